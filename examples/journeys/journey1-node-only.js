@@ -14,11 +14,9 @@
 
 const { CozoDb } = require('cozo-node');
 const path = require('path');
-const { 
-    createExecutor, 
-    createRepository,
-    buildCreateQuery 
-} = require('../../scripts/cozo-wrapper');
+const { createExecutor } = require('../../scripts/cozo-wrapper');
+const { createMigrator, createRelation, relationExists } = require('../../scripts/migrations');
+const { defineRelation } = require('../../scripts/schema');
 const { 
     parseNativeError, 
     SecurityValidator 
@@ -33,6 +31,24 @@ const config = Object.freeze({
     dbPath: process.env.COZO_DB_PATH || path.join(__dirname, 'journey1.db'),
 });
 
+// ============================================
+// Schema (Single Source: DDL, Repository, Validation)
+// ============================================
+
+const usersRelation = defineRelation({
+    name: 'users',
+    keys: { id: 'Int' },
+    values: {
+        username: { type: 'String', check: v => v.length >= 3 },
+        email: { type: 'String', check: v => v.includes('@') },
+        created_at: { type: 'Float', default: 'now()' }
+    }
+});
+
+const migrations = [
+    { version: 1, name: 'create users', up: [createRelation(usersRelation)], down: '::remove users' }
+];
+
 // ============================================
 // Database Initialization (Side Effect Boundary)
 // ============================================
@@ -56,28 +72,16 @@ async function initializeDatabase() {
     // Create functional executor
     executor = createExecutor(db, { isWasm: false });
     
-    // Create schema if not exists
-    try {
-        const createQuery = buildCreateQuery('users', {
-            keyFields: [{ name: 'id', type: 'Int' }],
-            valueFields: [
-                { name: 'username', type: 'String' },
-                { name: 'email', type: 'String' },
-                { name: 'created_at', type: 'Float', default: 'now()' }
-            ]
-        });
-        await executor.mutate(createQuery);
-        console.log('[Init] Created users relation');
-    } catch (e) {
-        // Relation may already exist
-        console.log('[Init] Users relation exists');
-    }
+    // Databases created before migrations already have users: adopt it as version 1
+    const migrator = createMigrator(executor, migrations);
+    if (await relationExists(executor, 'users')) await migrator.baseline(1);
+    
+    // Apply pending schema migrations (real failures propagate)
+    const { steps } = await migrator.migrate();
+    steps.forEach(s => console.log(`[Init] Applied migration ${s.version}: ${s.name}`));
     
     // Create repository
-    userRepo = createRepository(executor, 'users', {
-        keys: ['id'],
-        values: ['username', 'email', 'created_at']
-    });
+    userRepo = usersRelation.repository(executor, { rowMode: 'object' });
     
     console.log('[Init] Database ready');
 }
@@ -87,37 +91,15 @@ async function initializeDatabase() {
 // ============================================
 
 /**
- * Validate user data (pure function)
+ * Validate user data (pure function, derived from the relation definition)
  */
-const validateUser = (userData) => {
-    const errors = [];
-    
-    if (!userData.id || typeof userData.id !== 'number') {
-        errors.push({ code: 'INVALID_ID', field: 'id' });
-    }
-    
-    if (!userData.username || userData.username.length < 3) {
-        errors.push({ code: 'INVALID_USERNAME', field: 'username' });
-    }
-    
-    if (!userData.email || !userData.email.includes('@')) {
-        errors.push({ code: 'INVALID_EMAIL', field: 'email' });
-    }
-    
-    return {
-        valid: errors.length === 0,
-        errors
-    };
-};
+const validateUser = (userData) => usersRelation.validate(userData);
 
 /**
  * Transform user data for response (pure function)
+ * Rows already arrive as { id, username, email, created_at } objects.
  */
-const transformUserForResponse = (row) => {
-    if (!row) return null;
-    const [id, username, email, created_at] = row;
-    return Object.freeze({ id, username, email, created_at });
-};
+const transformUserForResponse = (row) => (row ? Object.freeze(row) : null);
 
 // ============================================
 // API Handlers (Thin Layer - Orchestration Only)
@@ -142,11 +124,11 @@ const handlers = {
         SecurityValidator.validateParams(userData);
         
         try {
+            // created_at is left out so its `now()` default applies
             await userRepo.save({
                 id: userData.id,
                 username: userData.username,
-                email: userData.email,
-                created_at: Date.now() / 1000
+                email: userData.email
             });
             
             return { success: true, id: userData.id };
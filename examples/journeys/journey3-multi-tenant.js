@@ -16,9 +16,9 @@ const path = require('path');
 const fs = require('fs');
 const { 
     createExecutor, 
-    createTenantManager,
-    buildCreateQuery 
+    createTenantManager
 } = require('../../scripts/cozo-wrapper');
+const { createMigrator, createRelation, relationExists } = require('../../scripts/migrations');
 
 // ============================================
 // Configuration
@@ -47,6 +47,26 @@ const createTenantDb = (backend, dbPath) => {
     return new CozoDb(backend, dbPath);
 };
 
+// ============================================
+// Tenant Schema Migrations
+// ============================================
+
+const tenantMigrations = [
+    {
+        version: 1,
+        name: 'create notes',
+        up: [createRelation('notes', {
+            keyFields: [{ name: 'id', type: 'Int' }],
+            valueFields: [
+                { name: 'title', type: 'String' },
+                { name: 'content', type: 'String' },
+                { name: 'created_at', type: 'Float', default: 'now()' }
+            ]
+        })],
+        down: '::remove notes'
+    }
+];
+
 // ============================================
 // Tenant Service (Business Logic)
 // ============================================
@@ -71,18 +91,10 @@ const createTenantService = () => {
         
         const db = manager.getDb(tenantId);
         
-        try {
-            await db.mutate(buildCreateQuery('notes', {
-                keyFields: [{ name: 'id', type: 'Int' }],
-                valueFields: [
-                    { name: 'title', type: 'String' },
-                    { name: 'content', type: 'String' },
-                    { name: 'created_at', type: 'Float', default: 'now()' }
-                ]
-            }));
-        } catch (e) {
-            // Schema exists
-        }
+        // Tenant databases from before migrations already have notes: adopt it as version 1
+        const migrator = createMigrator(db, tenantMigrations);
+        if (await relationExists(db, 'notes')) await migrator.baseline(1);
+        await migrator.migrate();
         
         initializedTenants.add(tenantId);
     };
@@ -0,0 +1,151 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    createAlgorithms,
+    buildEdgesRule,
+    buildPageRankQuery,
+    buildConnectedComponentsQuery,
+    buildCommunitiesQuery,
+    buildShortestPathsQuery,
+    buildKShortestPathsQuery,
+    buildSearchQuery
+} = require('../algorithms');
+const { ErrorCodes } = require('../cozo-errors');
+
+// ============================================
+// Query Builder Tests (Pure Functions)
+// ============================================
+
+describe('buildEdgesRule', () => {
+    it('binds a stored relation by field name', () => {
+        const { rule, params } = buildEdgesRule('roads', { fromField: 'src', toField: 'dst', weightField: 'km' });
+
+        assert.equal(rule, 'edges[a, b, w] := *roads{src: a, dst: b, km: w}');
+        assert.deepEqual(params, {});
+    });
+
+    it('binds inline edges as a parameter', () => {
+        const { rule, params } = buildEdgesRule([[1, 2], [2, 3]]);
+
+        assert.equal(rule, 'edges[a, b] <- $edges');
+        assert.deepEqual(params, { edges: [[1, 2], [2, 3]] });
+        assert.equal(buildEdgesRule([[1, 2, 0.5]]).rule, 'edges[a, b, w] <- $edges');
+    });
+
+    it('rejects empty or ragged inline edges and unsafe names', () => {
+        assert.throws(() => buildEdgesRule([]), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+        assert.throws(() => buildEdgesRule([[1, 2], [1, 2, 3]]), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+        assert.throws(() => buildEdgesRule('roads{x} :rm y', {}), { code: ErrorCodes.COZO_SEC_INVALID_INPUT });
+    });
+});
+
+describe('fixed rule queries', () => {
+    it('PageRank passes only the options given', () => {
+        const { query } = buildPageRankQuery('follows', { fromField: 'follower_id', toField: 'following_id', theta: 0.85 });
+
+        assert.ok(query.includes('edges[a, b] := *follows{follower_id: a, following_id: b}'));
+        assert.ok(query.endsWith('?[node, rank] <~ PageRank(edges[], theta: 0.85)'));
+    });
+
+    it('ConnectedComponents and Louvain use their output columns', () => {
+        assert.ok(buildConnectedComponentsQuery([[1, 2]]).query.endsWith('?[node, component] <~ ConnectedComponents(edges[])'));
+        assert.ok(buildCommunitiesQuery([[1, 2]], { maxIter: 5, undirected: true }).query
+            .endsWith('?[community, node] <~ CommunityDetectionLouvain(edges[], undirected: true, max_iter: 5)'));
+    });
+
+    it('Dijkstra binds starting and optional goals', () => {
+        const { query, params } = buildShortestPathsQuery([[1, 2, 4.5]], 1, [2, 3]);
+
+        assert.ok(query.includes('starting[node] <- $starting\ngoals[node] <- $goals'));
+        assert.ok(query.endsWith('ShortestPathDijkstra(edges[], starting[], goals[])'));
+        assert.deepEqual(params.starting, [[1]]);
+        assert.deepEqual(params.goals, [[2], [3]]);
+
+        assert.ok(!buildShortestPathsQuery([[1, 2]], [1]).query.includes('goals'));
+    });
+
+    it('Yen requires k', () => {
+        assert.ok(buildKShortestPathsQuery([[1, 2]], 1, 2, { k: 3 }).query.endsWith('KShortestPathYen(edges[], starting[], goals[], k: 3)'));
+        assert.throws(() => buildKShortestPathsQuery([[1, 2]], 1, 2), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+    });
+
+    it('BFS binds node columns by name for the condition', () => {
+        const { query } = buildSearchQuery('BFS', 'route', 'FRA', {
+            nodes: { relation: 'airport', fields: ['code', 'city'] },
+            condition: "city == 'Lisbon'",
+            limit: 1
+        });
+
+        assert.ok(query.includes('nodes[code, city] := *airport{code, city}'));
+        assert.ok(query.endsWith("BFS(edges[], nodes[code, city], starting[], limit: 1, condition: city == 'Lisbon')"));
+    });
+
+    it('rejects bad options', () => {
+        assert.throws(() => buildPageRankQuery([[1, 2]], { theta: '0.8' }), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+        assert.throws(
+            () => buildSearchQuery('DFS', [[1, 2]], 1, { nodes: { relation: 'n', fields: ['id'] }, condition: 'x\n:rm n {id}' }),
+            { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS }
+        );
+        assert.throws(() => buildSearchQuery('DFS', [[1, 2]], 1, { nodes: { relation: 'n' }, condition: 'true' }), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+        assert.throws(() => buildShortestPathsQuery([[1, 2]], []), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+    });
+});
+
+// ============================================
+// Algorithms Factory Tests (Mock Executor)
+// ============================================
+
+describe('createAlgorithms', () => {
+    const createMockExecutor = (rows) => {
+        const calls = [];
+        return {
+            calls,
+            query: async (q, params) => { calls.push({ q, params }); return rows; }
+        };
+    };
+
+    it('pageRank and connectedComponents return maps keyed by node', async () => {
+        const ranks = await createAlgorithms(createMockExecutor([[1, 0.6], [2, 0.4]])).pageRank([[1, 2]]);
+        assert.deepEqual([...ranks], [[1, 0.6], [2, 0.4]]);
+
+        const components = await createAlgorithms(createMockExecutor([['a', 0], ['b', 0]])).connectedComponents([['a', 'b']]);
+        assert.equal(components.get('b'), 0);
+    });
+
+    it('communities maps node to its community path', async () => {
+        const communities = await createAlgorithms(createMockExecutor([[[0, 2], 'a']])).communities([['a', 'b']]);
+
+        assert.deepEqual(communities.get('a'), [0, 2]);
+    });
+
+    it('shortestPaths returns paths with costs', async () => {
+        const exec = createMockExecutor([[1, 3, 5.5, [1, 2, 3]]]);
+
+        const paths = await createAlgorithms(exec).shortestPaths([[1, 2, 4.5], [2, 3, 1]], 1, 3);
+
+        assert.deepEqual(paths, [{ start: 1, goal: 3, cost: 5.5, path: [1, 2, 3] }]);
+        assert.deepEqual(exec.calls[0].params.goals, [[3]]);
+    });
+
+    it('bfs returns paths without cost', async () => {
+        const exec = createMockExecutor([['FRA', 'LIS', ['FRA', 'LIS']]]);
+        const algorithms = createAlgorithms(exec);
+
+        const found = await algorithms.bfs('route', 'FRA', { nodes: { relation: 'airport', fields: ['code'] }, condition: "code == 'LIS'" });
+
+        assert.deepEqual(found, [{ start: 'FRA', goal: 'LIS', path: ['FRA', 'LIS'] }]);
+    });
+
+    it('applies default edge fields from the factory', async () => {
+        const exec = createMockExecutor([]);
+
+        await createAlgorithms(exec, { fromField: 'src', toField: 'dst' }).kShortestPaths('links', 'x', 'y', { k: 2 });
+
+        assert.ok(exec.calls[0].q.includes('*links{src: a, dst: b}'));
+    });
+
+    it('returns frozen object', () => {
+        assert.ok(Object.isFrozen(createAlgorithms(createMockExecutor([]))));
+    });
+});
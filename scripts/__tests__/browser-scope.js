@@ -0,0 +1,22 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+/**
+ * Evaluate modules the way classic browser <script> tags would: no `module`,
+ * and one global scope shared by every file, with `window` as the global object.
+ * Top-level declarations that clash between files fail here as in a browser.
+ * @param {...string} names - Module names in load order, e.g. 'cozo-errors'
+ * @returns {Object} The shared window object
+ */
+const loadInBrowserScope = (...names) => {
+    const window = vm.createContext({});
+    vm.runInContext('var window = globalThis;', window);
+    names.forEach(name => {
+        const file = path.join(__dirname, '..', `${name}.js`);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), window, { filename: file });
+    });
+    return window;
+};
+
+module.exports = { loadInBrowserScope };
@@ -0,0 +1,165 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { coerceValue, coerceRecords, splitColumnType, describeValue, TypeErrorReasons } = require('../column-types');
+const { ErrorCodes } = require('../cozo-errors');
+const { loadInBrowserScope } = require('./browser-scope');
+
+const accepts = (type, value) => {
+    const result = coerceValue(type, value);
+    assert.ok(result.ok, `${type} should accept ${String(value)}`);
+    return result.value;
+};
+const rejects = (type, value) => {
+    const result = coerceValue(type, value);
+    assert.equal(result.ok, false, `${type} should reject ${String(value)}`);
+    return result.error.reason;
+};
+
+// ============================================
+// coerceValue
+// ============================================
+
+describe('coerceValue', () => {
+    it('Int accepts safe integers and integral strings', () => {
+        assert.equal(accepts('Int', 42), 42);
+        assert.equal(accepts('Int', ' -7 '), -7);
+        assert.equal(accepts('Int', 12n), 12);
+        assert.equal(rejects('Int', 1.5), TypeErrorReasons.TYPE);
+        assert.equal(rejects('Int', '1.5'), TypeErrorReasons.TYPE);
+        assert.equal(rejects('Int', true), TypeErrorReasons.TYPE);
+        assert.equal(rejects('Int', '9007199254740993'), TypeErrorReasons.RANGE);
+    });
+
+    it('Float accepts finite numbers and numeric strings', () => {
+        assert.equal(accepts('Float', 3), 3);
+        assert.equal(accepts('Float', '2.5e3'), 2500);
+        assert.equal(rejects('Float', NaN), TypeErrorReasons.RANGE);
+        assert.equal(rejects('Float', 'abc'), TypeErrorReasons.TYPE);
+    });
+
+    it('String and Bool do not coerce', () => {
+        assert.equal(accepts('String', ''), '');
+        assert.equal(rejects('String', 1), TypeErrorReasons.TYPE);
+        assert.equal(accepts('Bool', false), false);
+        assert.equal(rejects('Bool', 'true'), TypeErrorReasons.TYPE);
+    });
+
+    it('Json accepts serialisable values', () => {
+        assert.deepEqual(accepts('Json', { a: [1, null] }), { a: [1, null] });
+        assert.equal(accepts('Json', 'text'), 'text');
+        assert.equal(rejects('Json', () => 1), TypeErrorReasons.TYPE);
+        const cyclic = {};
+        cyclic.self = cyclic;
+        assert.equal(rejects('Json', cyclic), TypeErrorReasons.FORMAT);
+    });
+
+    it('Uuid checks format and lowercases', () => {
+        assert.equal(accepts('Uuid', 'F47AC10B-58CC-4372-A567-0E02B2C3D479'), 'f47ac10b-58cc-4372-a567-0e02b2c3d479');
+        assert.equal(rejects('Uuid', 'not-a-uuid'), TypeErrorReasons.FORMAT);
+    });
+
+    it('Bytes encodes binary data as base64', () => {
+        assert.equal(accepts('Bytes', new Uint8Array([72, 105])), 'SGk=');
+        assert.equal(accepts('Bytes', new Uint8Array([1, 2, 3]).buffer), 'AQID');
+        assert.equal(accepts('Bytes', 'SGk='), 'SGk=');
+        assert.equal(rejects('Bytes', 'SGk'), TypeErrorReasons.FORMAT);
+    });
+
+    it('Validity accepts keywords, dates and [timestamp, assert] pairs', () => {
+        assert.equal(accepts('Validity', 'ASSERT'), 'ASSERT');
+        assert.deepEqual(accepts('Validity', new Date(1000)), [1000000, true]);
+        assert.deepEqual(accepts('Validity', [5, false]), [5, false]);
+        assert.deepEqual(accepts('Validity', ['2024-01-01T00:00:00Z', true]), [1704067200000000, true]);
+        assert.equal(accepts('Validity', '2024-01-01T00:00:00Z'), '2024-01-01T00:00:00Z');
+        assert.equal(rejects('Validity', ['soon', true]), TypeErrorReasons.FORMAT);
+        assert.equal(rejects('Validity', {}), TypeErrorReasons.TYPE);
+    });
+
+    it('vectors check dimension and element type', () => {
+        assert.deepEqual(accepts('<F32; 3>', new Float32Array([1, 2, 3])), [1, 2, 3]);
+        assert.equal(rejects('<F32;3>', [1, 2]), TypeErrorReasons.LENGTH);
+        assert.deepEqual(coerceValue('<F64;2>', [1, 'x']).error, { reason: TypeErrorReasons.TYPE, index: 1 });
+    });
+
+    it('lists check elements recursively', () => {
+        assert.deepEqual(accepts('[Int]', ['1', 2]), [1, 2]);
+        assert.equal(rejects('[Int;2]', [1]), TypeErrorReasons.LENGTH);
+        assert.deepEqual(coerceValue('[[Int]]', [[1], [2.5]]).error, { reason: TypeErrorReasons.TYPE, index: 1 });
+    });
+
+    it('nullable types accept null; others reject it', () => {
+        assert.equal(accepts('String?', null), null);
+        assert.equal(accepts('Int?', undefined), null);
+        assert.equal(accepts('Any', null), null);
+        assert.equal(rejects('String', null), TypeErrorReasons.NULL);
+    });
+
+    it('passes unknown and tuple types through', () => {
+        assert.deepEqual(accepts('(Int, String)', [1, 'a']), [1, 'a']);
+    });
+});
+
+describe('splitColumnType / describeValue', () => {
+    it('splits nullability', () => {
+        assert.deepEqual(splitColumnType('[Int]?'), { baseType: '[Int]', nullable: true });
+        assert.deepEqual(splitColumnType('Int'), { baseType: 'Int', nullable: false });
+    });
+
+    it('describes values for error details', () => {
+        assert.equal(describeValue(1), 'integer');
+        assert.equal(describeValue(1.5), 'float');
+        assert.equal(describeValue(null), 'null');
+        assert.equal(describeValue(new Uint8Array(1)), 'bytes');
+    });
+});
+
+// ============================================
+// coerceRecords
+// ============================================
+
+describe('coerceRecords', () => {
+    const types = { id: 'Int', name: 'String' };
+
+    it('returns coerced copies and leaves absent fields alone', () => {
+        const input = [{ id: '1', name: 'a' }, { id: 2 }];
+        const out = coerceRecords('users', types, input, ['id', 'name']);
+
+        assert.deepEqual(out, [{ id: 1, name: 'a' }, { id: 2 }]);
+        assert.equal(input[0].id, '1');
+    });
+
+    it('ignores fields without a declared type or not being written', () => {
+        const out = coerceRecords('users', types, [{ id: 1, name: 5, extra: {} }], ['id']);
+
+        assert.deepEqual(out, [{ id: 1, name: 5, extra: {} }]);
+    });
+
+    it('collects every failure into one COZO_SCHEMA_TYPE_ERROR', () => {
+        assert.throws(
+            () => coerceRecords('users', types, [{ id: 'x', name: 1 }, { id: 1.5, name: 'ok' }], ['id', 'name']),
+            (err) => {
+                assert.equal(err.code, ErrorCodes.COZO_SCHEMA_TYPE_ERROR);
+                assert.match(err.detail, /users\.id expects Int, got string \(\+2 more\)/);
+                assert.deepEqual(err.context.errors, [
+                    { row: 0, field: 'id', type: 'Int', received: 'string', reason: TypeErrorReasons.TYPE },
+                    { row: 0, field: 'name', type: 'String', received: 'integer', reason: TypeErrorReasons.TYPE },
+                    { row: 1, field: 'id', type: 'Int', received: 'float', reason: TypeErrorReasons.TYPE }
+                ]);
+                return true;
+            }
+        );
+    });
+});
+
+// ============================================
+// Browser Export
+// ============================================
+
+describe('window.CozoColumnTypes', () => {
+    it('exposes the same functions as module.exports', () => {
+        const window = loadInBrowserScope('cozo-errors', 'column-types');
+
+        assert.deepEqual(Object.keys(window.CozoColumnTypes).sort(), Object.keys(require('../column-types')).sort());
+    });
+});
@@ -118,11 +118,36 @@ describe('parseNativeError', () => {
         assert.equal(err.code, ErrorCodes.COZO_SCHEMA_TYPE_ERROR);
     });
 
+    it('maps vector dimension mismatch to type error', () => {
+        const err = parseNativeError('vector dimension mismatch');
+        assert.equal(err.code, ErrorCodes.COZO_SCHEMA_TYPE_ERROR);
+    });
+
     it('maps key violation errors', () => {
         const err = parseNativeError('Primary key violation on id=1');
         assert.equal(err.code, ErrorCodes.COZO_DATA_KEY_VIOLATION);
     });
 
+    it('maps :insert / :ensure_not assertion failures to key violation', () => {
+        const err = parseNativeError('Assertion failure for [1] of users: key exists in database');
+        assert.equal(err.code, ErrorCodes.COZO_DATA_KEY_VIOLATION);
+    });
+
+    it('maps :update / :delete / :ensure assertion failures to not found', () => {
+        const err = parseNativeError('Assertion failure for [2] of users: key does not exist in database');
+        assert.equal(err.code, ErrorCodes.COZO_DATA_NOT_FOUND);
+    });
+
+    it('maps :ensure value mismatches to constraint error', () => {
+        const err = parseNativeError('Assertion failure for [1, "b"] of users: key exists in database, but value does not match');
+        assert.equal(err.code, ErrorCodes.COZO_DATA_CONSTRAINT_ERROR);
+    });
+
+    it('maps other assertion failures to constraint error', () => {
+        const err = parseNativeError('Assertion failure for [1] of users: values do not match');
+        assert.equal(err.code, ErrorCodes.COZO_DATA_CONSTRAINT_ERROR);
+    });
+
     it('maps timeout errors', () => {
         const err = parseNativeError('Query timeout after 30s');
         assert.equal(err.code, ErrorCodes.COZO_QUERY_TIMEOUT);
@@ -237,6 +262,59 @@ describe('SecurityValidator', () => {
         });
     });
 
+    describe('validateIdentifier', () => {
+        it('accepts valid identifiers and returns them', () => {
+            assert.equal(SecurityValidator.validateIdentifier('user_id'), 'user_id');
+            assert.equal(SecurityValidator.validateIdentifier('Users2', { kind: 'relation' }), 'Users2');
+        });
+
+        it('rejects injection attempts with identifier in context', () => {
+            const malicious = 'notes{id} :rm users {id}';
+            assert.throws(
+                () => SecurityValidator.validateIdentifier(malicious, { kind: 'relation' }),
+                (err) => err.code === ErrorCodes.COZO_SEC_INVALID_INPUT
+                    && err.context.identifier === malicious
+                    && err.context.kind === 'relation'
+            );
+        });
+
+        it('rejects empty, non-string and digit-leading names', () => {
+            for (const bad of ['', 42, null, '1abc', 'a-b', 'a.b']) {
+                assert.throws(
+                    () => SecurityValidator.validateIdentifier(bad),
+                    { code: ErrorCodes.COZO_SEC_INVALID_INPUT }
+                );
+            }
+        });
+
+        it('rejects reserved words', () => {
+            assert.throws(
+                () => SecurityValidator.validateIdentifier('not'),
+                { code: ErrorCodes.COZO_SEC_INVALID_INPUT }
+            );
+        });
+
+        it('rejects system relation names unless allowed', () => {
+            assert.throws(
+                () => SecurityValidator.validateIdentifier('_internal', { kind: 'relation' }),
+                { code: ErrorCodes.COZO_SEC_INVALID_INPUT }
+            );
+            assert.equal(
+                SecurityValidator.validateIdentifier('_internal', { kind: 'relation', allowReserved: true }),
+                '_internal'
+            );
+            assert.equal(SecurityValidator.validateIdentifier('_private'), '_private');
+        });
+
+        it('validateIdentifiers checks every name', () => {
+            assert.deepEqual(SecurityValidator.validateIdentifiers(['a', 'b']), ['a', 'b']);
+            assert.throws(
+                () => SecurityValidator.validateIdentifiers(['a', 'b c']),
+                (err) => err.context.identifier === 'b c'
+            );
+        });
+    });
+
     describe('sanitizeString', () => {
         it('escapes single quotes', () => {
             assert.equal(SecurityValidator.sanitizeString("it's"), "it''s");
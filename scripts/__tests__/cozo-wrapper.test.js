@@ -6,10 +6,72 @@ const {
     buildPutQuery,
     buildSelectQuery,
     buildDeleteQuery,
+    buildMutationQuery,
+    buildInsertQuery,
+    buildUpdateQuery,
+    buildReplaceQuery,
+    buildEnsureQuery,
+    buildEnsureNotQuery,
+    buildTransaction,
+    ROWS_PARAM,
+    encodeCursor,
+    decodeCursor,
+    buildKeysetPredicate,
+    zipRow,
+    camelCaseKeys,
+    toDates,
+    composeMappers,
+    computed,
+    hasMany,
+    belongsTo,
+    manyToMany,
     createExecutor,
     createTenantManager,
     createRepository
 } = require('../cozo-wrapper');
+const { ErrorCodes, SecurityValidator } = require('../cozo-errors');
+const { count, mean, max } = require('../query-builder');
+const { loadInBrowserScope } = require('./browser-scope');
+
+// ============================================
+// Test Helpers
+// ============================================
+
+/**
+ * Executor that records every query and mutation as { q, params } in `calls`
+ * @param {any[][]} [rows] - Rows returned by every query
+ * @param {Object} [options] - { affected: reported by mutations, error: message mutations throw }
+ */
+const createRecordingExecutor = (rows = [], options = {}) => {
+    const { affected = 0, error = null } = options;
+    const calls = [];
+    return {
+        calls,
+        query: async (q, params) => { calls.push({ q, params }); return rows; },
+        mutate: async (q, params) => {
+            calls.push({ q, params });
+            if (error) throw new Error(error);
+            return { success: true, affected };
+        }
+    };
+};
+
+// ============================================
+// Browser Build
+// ============================================
+
+describe('browser scripts', () => {
+    it('load together as classic scripts sharing one global scope', () => {
+        const window = loadInBrowserScope(
+            'cozo-errors', 'query-builder', 'index-manager', 'column-types', 'cozo-wrapper', 'schema', 'migrations',
+            'introspection', 'graph-traversal', 'graph-repository', 'algorithms', 'memory-monitor', 'sync-helper'
+        );
+
+        ['CozoErrors', 'CozoQueryBuilder', 'CozoWrapper', 'CozoSchema', 'CozoMigrations', 'CozoIntrospection',
+            'CozoGraphTraversal', 'CozoGraphRepository', 'CozoAlgorithms', 'CozoMemoryMonitor', 'CozoSyncHelper']
+            .forEach(name => assert.equal(typeof window[name], 'object', name));
+    });
+});
 
 // ============================================
 // Query Builder Tests (Pure Functions)
@@ -43,6 +105,39 @@ describe('buildCreateQuery', () => {
         assert.ok(query.includes('default now()'));
     });
 
+    it('keeps falsy defaults such as 0 and false', () => {
+        const query = buildCreateQuery('counters', {
+            keyFields: [{ name: 'id', type: 'Int' }],
+            valueFields: [{ name: 'n', type: 'Int', default: 0 }, { name: 'done', type: 'Bool', default: false }]
+        });
+
+        assert.ok(query.includes('n: Int default 0'));
+        assert.ok(query.includes('done: Bool default false'));
+    });
+
+    it('requires a Validity key to be the last key', () => {
+        const temporal = buildCreateQuery('facts', {
+            keyFields: [{ name: 'subject', type: 'String' }, { name: 'at', type: 'Validity' }],
+            valueFields: [{ name: 'body', type: 'String' }]
+        });
+        assert.ok(temporal.includes('at: Validity'));
+
+        assert.throws(
+            () => buildCreateQuery('facts', { keyFields: [{ name: 'at', type: 'Validity' }, { name: 'subject', type: 'String' }] }),
+            { code: ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH }
+        );
+    });
+
+    it('checks the Validity key in the browser build too', () => {
+        const window = loadInBrowserScope('cozo-errors', 'query-builder', 'index-manager', 'column-types', 'cozo-wrapper');
+
+        const query = window.CozoWrapper.buildCreateQuery('facts', {
+            keyFields: [{ name: 'subject', type: 'String' }, { name: 'at', type: 'Validity' }]
+        });
+
+        assert.ok(query.includes('at: Validity'));
+    });
+
     it('handles empty valueFields', () => {
         const query = buildCreateQuery('edges', {
             keyFields: [
@@ -58,6 +153,32 @@ describe('buildCreateQuery', () => {
     });
 });
 
+describe('identifier validation in builders', () => {
+    const isInvalidInput = (identifier) => (err) =>
+        err.code === ErrorCodes.COZO_SEC_INVALID_INPUT && err.context.identifier === identifier;
+
+    it('buildCreateQuery rejects bad relation and field names', () => {
+        assert.throws(
+            () => buildCreateQuery('users {id}\n:rm x', { keyFields: [{ name: 'id', type: 'Int' }] }),
+            isInvalidInput('users {id}\n:rm x')
+        );
+        assert.throws(
+            () => buildCreateQuery('users', { keyFields: [{ name: 'id: Int}', type: 'Int' }] }),
+            isInvalidInput('id: Int}')
+        );
+    });
+
+    it('buildPutQuery, buildSelectQuery and buildDeleteQuery reject bad names', () => {
+        assert.throws(() => buildPutQuery('users', ['id'], ['a, b'], []), isInvalidInput('a, b'));
+        assert.throws(() => buildSelectQuery('users}', ['id']), isInvalidInput('users}'));
+        assert.throws(() => buildDeleteQuery('users', ['id', ''], []), isInvalidInput(''));
+    });
+
+    it('rejects system relation names', () => {
+        assert.throws(() => buildSelectQuery('_tmp', ['id']), isInvalidInput('_tmp'));
+    });
+});
+
 describe('buildPutQuery', () => {
     it('generates :put with JSON data', () => {
         const query = buildPutQuery('users', ['id'], ['name'], [[1, 'Alice']]);
@@ -74,24 +195,44 @@ describe('buildPutQuery', () => {
 
         assert.ok(query.includes('[[1,"Alice"],[2,"Bob"]]'));
     });
+
+    it('binds rows through a $param reference', () => {
+        const query = buildPutQuery('users', ['id'], ['name'], ROWS_PARAM);
+
+        assert.ok(query.includes('?[id, name] <- $rows'));
+        assert.ok(query.includes(':put users {id => name}'));
+    });
+
+    it('rejects malformed param references', () => {
+        assert.throws(
+            () => buildPutQuery('users', ['id'], ['name'], '[[1]] :rm users {id}'),
+            { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS }
+        );
+    });
 });
 
 describe('buildSelectQuery', () => {
     it('generates basic select', () => {
-        const query = buildSelectQuery('users', ['id', 'name']);
+        const { query } = buildSelectQuery('users', ['id', 'name']);
 
         assert.ok(query.includes('?[id, name]'));
         assert.ok(query.includes('*users{id, name}'));
     });
 
     it('adds filter clause', () => {
-        const query = buildSelectQuery('users', ['name'], { filter: 'age > 25' });
+        const { query } = buildSelectQuery('users', ['name'], { filter: 'age > 25' });
 
         assert.ok(query.includes('age > 25'));
     });
 
+    it('adds offset', () => {
+        const { query } = buildSelectQuery('users', ['name'], { limit: 10, offset: 30 });
+
+        assert.ok(query.includes(':offset 30'));
+    });
+
     it('adds orderBy and limit', () => {
-        const query = buildSelectQuery('users', ['name'], {
+        const { query } = buildSelectQuery('users', ['name'], {
             orderBy: '-age',
             limit: 10
         });
@@ -100,8 +241,27 @@ describe('buildSelectQuery', () => {
         assert.ok(query.includes(':limit 10'));
     });
 
+    it('rejects injected order terms and non-integer limit or offset', () => {
+        assert.throws(
+            () => buildSelectQuery('users', ['id'], { orderBy: 'id\n?[x] <- [[1]]\n:rm users {id}' }),
+            { code: ErrorCodes.COZO_SEC_INVALID_INPUT }
+        );
+        assert.throws(() => buildSelectQuery('users', ['id'], { limit: '10\n:rm users {id}' }), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+        assert.throws(() => buildSelectQuery('users', ['id'], { offset: -1 }), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+        assert.ok(buildSelectQuery('users', ['id', 'age'], { orderBy: ['-age', 'id'] }).query.endsWith(':order -age, id'));
+    });
+
+    it('compiles where objects, returning their params, and binds where-only fields', () => {
+        const { query, params } = buildSelectQuery('users', ['name'], { where: { age: { gt: 25 } } });
+
+        assert.ok(query.includes('?[name] := *users{name, age}, age > $w0'));
+        assert.deepEqual(params, { w0: 25 });
+    });
+
     it('works with no options', () => {
-        const query = buildSelectQuery('users', ['id']);
+        const { query, params } = buildSelectQuery('users', ['id']);
+
+        assert.deepEqual(params, {});
 
         assert.ok(!query.includes(':order'));
         assert.ok(!query.includes(':limit'));
@@ -116,6 +276,85 @@ describe('buildDeleteQuery', () => {
         assert.ok(query.includes(':rm users'));
         assert.ok(query.includes('{id, name}'));
     });
+
+    it('binds rows through a $param reference', () => {
+        const query = buildDeleteQuery('users', ['id', 'name'], ROWS_PARAM);
+
+        assert.ok(query.includes('?[id, name] <- $rows'));
+        assert.ok(!query.includes('[['));
+    });
+});
+
+describe('buildMutationQuery', () => {
+    it('builds each op with key => value spec', () => {
+        assert.ok(buildInsertQuery('users', ['id'], ['name'], ROWS_PARAM).includes(':insert users {id => name}'));
+        assert.ok(buildUpdateQuery('users', ['id'], ['name'], ROWS_PARAM).includes(':update users {id => name}'));
+        assert.ok(buildReplaceQuery('users', [{ name: 'id', type: 'Int' }], [{ name: 'name', type: 'String', default: '""' }], ROWS_PARAM)
+            .includes(':replace users {id: Int => name: String default ""}'));
+        assert.ok(buildEnsureQuery('users', ['id'], ['name'], ROWS_PARAM).includes(':ensure users {id => name}'));
+    });
+
+    it('refuses an untyped replace spec', () => {
+        assert.throws(
+            () => buildReplaceQuery('users', ['id'], [{ name: 'name', type: 'String' }], ROWS_PARAM),
+            { code: ErrorCodes.COZO_SCHEMA_TYPE_ERROR }
+        );
+    });
+
+    it('uses key-only spec for delete, full spec for ensure_not', () => {
+        const ensureNot = buildEnsureNotQuery('users', ['id'], ['name'], [[1, null]]);
+        assert.ok(ensureNot.includes('?[id, name] <- [[1,null]]'));
+        assert.ok(ensureNot.includes(':ensure_not users {id => name}'));
+
+        const del = buildMutationQuery('delete', 'users', ['id'], ['name'], ROWS_PARAM);
+        assert.ok(del.includes('?[id] <- $rows'));
+        assert.ok(del.includes(':delete users {id}'));
+    });
+
+    it('omits => when there are no value columns', () => {
+        const query = buildMutationQuery('put', 'edges', ['from', 'to'], [], ROWS_PARAM);
+        assert.ok(query.includes(':put edges {from, to}'));
+    });
+
+    it('rejects unknown ops', () => {
+        assert.throws(
+            () => buildMutationQuery('drop', 'users', ['id'], [], ROWS_PARAM),
+            { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS }
+        );
+    });
+});
+
+describe('buildTransaction', () => {
+    it('chains queries in braces', () => {
+        const tx = buildTransaction([
+            buildEnsureNotQuery('users', ['id'], [], '$check'),
+            buildPutQuery('users', ['id'], ['name'], ROWS_PARAM)
+        ]);
+
+        assert.ok(tx.startsWith('{\n?[id] <- $check'));
+        assert.ok(tx.includes('}\n{\n?[id, name] <- $rows'));
+        assert.ok(tx.endsWith('}'));
+    });
+});
+
+describe('pagination cursors', () => {
+    it('round-trips payloads through an opaque token', () => {
+        const cursor = encodeCursor({ k: ['Zoë', 42], s: ['name', 'id'] });
+
+        assert.ok(/^[A-Za-z0-9_-]+$/.test(cursor));
+        assert.deepEqual(decodeCursor(cursor), { k: ['Zoë', 42], s: ['name', 'id'] });
+    });
+
+    it('rejects malformed cursors', () => {
+        assert.throws(() => decodeCursor('not-a-cursor'), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+    });
+
+    it('builds lexicographic key-range predicates', () => {
+        const { expr, params } = buildKeysetPredicate(['-age', 'id'], [30, 5]);
+
+        assert.equal(expr, '(age < $c0 || (age == $c0 && id > $c1))');
+        assert.deepEqual(params, { c0: 30, c1: 5 });
+    });
 });
 
 // ============================================
@@ -166,6 +405,19 @@ describe('createExecutor', () => {
         assert.equal(result.affected, 1);
     });
 
+    it('mutate() counts only inserted/deleted rows of :returning results', async () => {
+        const backend = {
+            run: async () => ({
+                ok: true,
+                headers: ['_kind', 'id'],
+                rows: [['requested', 1], ['requested', 2], ['deleted', 1]]
+            })
+        };
+        const exec = createExecutor(backend);
+
+        assert.equal((await exec.mutate('?[id] <- $rows :rm users {id} :returning')).affected, 1);
+    });
+
     it('mutate() throws on error', async () => {
         const backend = createMockBackend({ error: 'Mutation failed' });
         const exec = createExecutor(backend);
@@ -189,6 +441,70 @@ describe('createExecutor', () => {
         assert.deepEqual(result.rows, [['wasm']]);
     });
 
+    it('queryObjects() zips result headers with rows', async () => {
+        const backend = createMockBackend({ rows: [['Alice'], ['Bob']] });
+        const exec = createExecutor(backend);
+
+        const rows = await exec.queryObjects('?[col1] := *users{name: col1}');
+        assert.deepEqual(rows, [{ col1: 'Alice' }, { col1: 'Bob' }]);
+    });
+
+    describe('stream()', () => {
+        // Serves rows of `data` after the key-range params, like CozoDB would
+        const createPagingBackend = (data) => {
+            const queries = [];
+            return {
+                queries,
+                run: async (query, params) => {
+                    queries.push({ query, params });
+                    const limit = Number(query.match(/:limit (\d+)/)[1]);
+                    const after = 'stream_k0' in params ? params.stream_k0 : -Infinity;
+                    return { ok: true, headers: ['c0', 'c1'], rows: data.filter(r => r[0] > after).slice(0, limit) };
+                }
+            };
+        };
+
+        it('pages through the query by key, holding one page at a time', async () => {
+            const data = Array.from({ length: 5 }, (_, i) => [i, `u${i}`]);
+            const backend = createPagingBackend(data);
+            const exec = createExecutor(backend);
+
+            const rows = [];
+            for await (const row of exec.stream('?[id, name] := *users{id, name}, id >= $min', { min: 0 }, { key: 'id', batchSize: 2 })) {
+                rows.push(row);
+            }
+            assert.deepEqual(rows, data);
+            assert.equal(backend.queries.length, 3);
+            assert.equal(backend.queries[0].query, [
+                'stream_src[id, name] := *users{id, name}, id >= $min',
+                '?[c0, c1] := stream_src[c0, c1]',
+                ':order c0',
+                ':limit 2'
+            ].join('\n'));
+            assert.ok(backend.queries[1].query.includes('?[c0, c1] := stream_src[c0, c1], (c0 > $stream_k0)'));
+            assert.deepEqual(backend.queries[1].params, { min: 0, stream_k0: 1 });
+        });
+
+        it('supports multi-column and descending keys over aggregated heads', async () => {
+            const backend = createPagingBackend([]);
+            const exec = createExecutor(backend);
+
+            for await (const row of exec.stream('?[dept, count(id)] := *users{id, dept}', {}, { key: ['-count(id)', 'dept'] })) {
+                assert.fail(`unexpected row ${row}`);
+            }
+            assert.ok(backend.queries[0].query.includes(':order -c1, c0'));
+        });
+
+        it('rejects queries it cannot page', async () => {
+            const exec = createExecutor(createPagingBackend([]));
+            const drain = (...args) => exec.stream(...args).next();
+
+            await assert.rejects(() => drain('?[id] := *users{id}\n:limit 5', {}, { key: 'id' }), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+            await assert.rejects(() => drain('?[id] := *users{id}', {}, { key: 'name' }), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+            await assert.rejects(() => drain('?[id] := *users{id}', {}, { key: 'id', batchSize: 0 }), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+        });
+    });
+
     it('returned executor is frozen (immutable)', () => {
         const backend = createMockBackend();
         const exec = createExecutor(backend);
@@ -197,6 +513,33 @@ describe('createExecutor', () => {
     });
 });
 
+// ============================================
+// Row Mapping Tests (Pure Functions)
+// ============================================
+
+describe('row mappers', () => {
+    it('zipRow pairs fields with positions', () => {
+        assert.deepEqual(zipRow(['id', 'name'], [1, 'Alice']), { id: 1, name: 'Alice' });
+    });
+
+    it('camelCaseKeys converts snake_case keys', () => {
+        assert.deepEqual(camelCaseKeys({ created_at: 1, user_id2: 2, name: 'x' }), { createdAt: 1, userId2: 2, name: 'x' });
+    });
+
+    it('toDates converts seconds (default) or milliseconds', () => {
+        const row = toDates(['created_at'])({ created_at: 1700000000, name: 'x' });
+        assert.ok(row.created_at instanceof Date);
+        assert.equal(row.created_at.getTime(), 1700000000000);
+        assert.equal(toDates(['t'], { unit: 'ms' })({ t: 5 }).t.getTime(), 5);
+        assert.equal(toDates(['t'])({ t: null }).t, null);
+    });
+
+    it('composeMappers applies mappers left to right', () => {
+        const mapper = composeMappers(toDates(['created_at']), camelCaseKeys);
+        assert.ok(mapper({ created_at: 1 }).createdAt instanceof Date);
+    });
+});
+
 // ============================================
 // TenantManager Tests
 // ============================================
@@ -280,6 +623,459 @@ describe('createRepository', () => {
         assert.deepEqual(rows, [[1, 'Alice'], [2, 'Bob']]);
     });
 
+    it('findAll accepts a where object and passes bound params', async () => {
+        let captured = null;
+        const exec = {
+            query: async (q, params) => { captured = { q, params }; return []; },
+            mutate: async () => ({ success: true, affected: 0 })
+        };
+        const repo = createRepository(exec, 'users', { keys: ['id'], values: ['name', 'age'] });
+
+        await repo.findAll({ age: { gt: 25 }, name: { startsWith: "'; :rm users" } });
+
+        assert.ok(captured.q.includes('(age > $w0 && starts_with(name, $w1))'));
+        assert.deepEqual(captured.params, { w0: 25, w1: "'; :rm users" });
+    });
+
+    it('findAll rejects where fields outside the schema', async () => {
+        const repo = createRepository(createMockExecutor(), 'users', { keys: ['id'], values: ['name'] });
+
+        await assert.rejects(
+            () => repo.findAll({ password: 'x' }),
+            { code: ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH }
+        );
+    });
+
+    describe('findPage', () => {
+        it('fetches limit + 1 rows ordered by key and returns a cursor', async () => {
+            const exec = createRecordingExecutor([[1, 'A'], [2, 'B'], [3, 'C']]);
+            const repo = createRepository(exec, 'notes', { keys: ['id'], values: ['title'] });
+
+            const page = await repo.findPage({ limit: 2 });
+
+            assert.deepEqual(page.items, [[1, 'A'], [2, 'B']]);
+            assert.ok(page.nextCursor);
+            assert.ok(exec.calls[0].q.includes(':order id'));
+            assert.ok(exec.calls[0].q.includes(':limit 3'));
+            assert.deepEqual(decodeCursor(page.nextCursor), { k: [2], s: ['id'] });
+        });
+
+        it('seeks past the cursor with a key-range predicate', async () => {
+            const exec = createRecordingExecutor([[3, 'C']]);
+            const repo = createRepository(exec, 'notes', { keys: ['id'], values: ['title'] });
+            const after = encodeCursor({ k: [2], s: ['id'] });
+
+            const page = await repo.findPage({ limit: 2, after, where: { title: { ne: 'X' } } });
+
+            assert.equal(page.nextCursor, null);
+            assert.ok(exec.calls[0].q.includes('title != $w0'));
+            assert.ok(exec.calls[0].q.includes('(id > $c0)'));
+            assert.deepEqual(exec.calls[0].params, { w0: 'X', c0: 2 });
+            assert.ok(!exec.calls[0].q.includes(':offset'));
+        });
+
+        it('appends keys as tiebreakers to a custom order', async () => {
+            const exec = createRecordingExecutor([[1, 'A', 30], [2, 'B', 30]]);
+            const repo = createRepository(exec, 'users', { keys: ['id'], values: ['name', 'age'] });
+
+            const page = await repo.findPage({ orderBy: '-age', limit: 1 });
+
+            assert.ok(exec.calls[0].q.includes(':order -age, id'));
+            assert.deepEqual(decodeCursor(page.nextCursor), { k: [30, 1], s: ['-age', 'id'] });
+        });
+
+        it('rejects cursors from a different ordering', async () => {
+            const repo = createRepository(createRecordingExecutor(), 'users', { keys: ['id'], values: ['age'] });
+            const after = encodeCursor({ k: [1], s: ['id'] });
+
+            await assert.rejects(
+                () => repo.findPage({ orderBy: '-age', after }),
+                { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS }
+            );
+        });
+
+        it('falls back to offset pagination', async () => {
+            const exec = createRecordingExecutor([[1], [2], [3]]);
+            const repo = createRepository(exec, 'tags', { keys: ['id'], values: [] });
+
+            const first = await repo.findPage({ limit: 2, offset: 0 });
+            assert.deepEqual(first.items, [[1], [2]]);
+            assert.deepEqual(decodeCursor(first.nextCursor), { o: 2 });
+
+            await repo.findPage({ limit: 2, after: first.nextCursor });
+            assert.ok(exec.calls[1].q.includes(':offset 2'));
+        });
+    });
+
+    describe('iterate', () => {
+        it('yields every record across pages using keyset cursors', async () => {
+            const data = Array.from({ length: 5 }, (_, i) => [i, `u${i}`]);
+            const seen = [];
+            const exec = {
+                query: async (q, params) => {
+                    seen.push(params);
+                    const limit = Number(q.match(/:limit (\d+)/)[1]);
+                    const after = 'c0' in params ? params.c0 : -Infinity;
+                    return data.filter(r => r[0] > after).slice(0, limit);
+                },
+                mutate: async () => ({ success: true, affected: 0 })
+            };
+            const repo = createRepository(exec, 'users', { keys: ['id'], values: ['name'] });
+
+            const rows = [];
+            for await (const user of repo.iterate({ batchSize: 2, where: { name: { startsWith: 'u' } }, rowMode: 'object' })) {
+                rows.push(user);
+            }
+            assert.equal(rows.length, 5);
+            assert.deepEqual(rows[4], { id: 4, name: 'u4' });
+            assert.equal(seen.length, 3);
+            assert.deepEqual(seen[2], { w0: 'u', c0: 3 });
+        });
+    });
+
+    describe('count / exists / findOne / findByExample', () => {
+        const schema = { keys: ['id'], values: ['name', 'age'], types: { id: 'Int', name: 'String?', age: 'Int' } };
+
+        it('count aggregates in Datalog with bound where params', async () => {
+            const exec = createRecordingExecutor([[3]]);
+            const repo = createRepository(exec, 'users', schema);
+
+            assert.equal(await repo.count({ age: { gte: 18 } }), 3);
+            assert.match(exec.calls[0].q, /\?\[count\(id\)\] := \*users\{id, name, age\}, age >= \$w0/);
+            assert.deepEqual(exec.calls[0].params, { w0: 18 });
+
+            assert.equal(await createRepository(createRecordingExecutor(), 'users', schema).count(), 0);
+        });
+
+        it('exists reads at most one key', async () => {
+            const exec = createRecordingExecutor([[1]]);
+            const repo = createRepository(exec, 'users', schema);
+
+            assert.equal(await repo.exists('age > 60'), true);
+            assert.match(exec.calls[0].q, /\?\[id\] := \*users\{id, name, age\}, age > 60/);
+            assert.ok(exec.calls[0].q.includes(':limit 1'));
+            assert.equal(await createRepository(createRecordingExecutor(), 'users', schema).exists(), false);
+        });
+
+        it('findOne orders with key tiebreakers and returns null when empty', async () => {
+            const exec = createRecordingExecutor([[2, 'Bob', 40]]);
+            const repo = createRepository(exec, 'users', schema);
+
+            const user = await repo.findOne({ name: { startsWith: 'B' } }, { orderBy: '-age', rowMode: 'object' });
+            assert.deepEqual(user, { id: 2, name: 'Bob', age: 40 });
+            assert.ok(exec.calls[0].q.includes(':order -age, id'));
+            assert.ok(exec.calls[0].q.includes(':limit 1'));
+
+            assert.equal(await createRepository(createRecordingExecutor(), 'users', schema).findOne(), null);
+            await assert.rejects(() => repo.findOne(null, { orderBy: 'nope' }), { code: ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH });
+        });
+
+        it('findByExample binds coerced values as equality params', async () => {
+            const exec = createRecordingExecutor();
+            const repo = createRepository(exec, 'users', schema);
+
+            await repo.findByExample({ age: '30', name: null });
+            assert.ok(exec.calls[0].q.includes('age == $w0'));
+            assert.ok(exec.calls[0].q.includes('is_null(name)'));
+            assert.deepEqual(exec.calls[0].params, { w0: 30 });
+
+            await assert.rejects(() => repo.findByExample({ age: 'old' }), { code: ErrorCodes.COZO_SCHEMA_TYPE_ERROR });
+            await assert.rejects(() => repo.findByExample({ nope: 1 }), { code: ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH });
+        });
+    });
+
+    describe('relationships / include', () => {
+        const person = { name: 'person', keys: ['id'], values: ['name'] };
+        const notes = { name: 'notes', keys: ['id'], values: ['author_id', 'title'] };
+        const personRepo = (exec) => createRepository(exec, 'person', {
+            ...person,
+            rowMode: 'object',
+            relations: {
+                notes: hasMany(notes, { foreignKey: 'author_id' }),
+                following: manyToMany(person, { through: 'follows', sourceKey: 'follower_id', targetKey: 'following_id' })
+            }
+        });
+
+        it('loads hasMany and manyToMany includes in one joined query', async () => {
+            const exec = createRecordingExecutor([
+                [1, 'Alice', [[10, 1, 'hi']], [[2, 'Bob']]],
+                [2, 'Bob', [], []]
+            ]);
+
+            const rows = await personRepo(exec).findAll({ name: { startsWith: 'A' } }, { include: ['notes', 'following'] });
+
+            assert.equal(exec.calls.length, 1);
+            const { q, params } = exec.calls[0];
+            assert.ok(q.includes('root[id, name] := *person{id, name}, starts_with(name, $w0)'));
+            assert.ok(q.includes('notes_rows[id, collect(notes__row)] := root[id, name], *notes{id: notes__id, author_id: id, title: notes__title}'));
+            assert.ok(q.includes('*follows{follower_id: id, following_id: following__id}, *person{id: following__id, name: following__name}'));
+            assert.ok(q.includes('not notes_hit[id], notes__list = []'));
+            assert.deepEqual(params, { w0: 'A' });
+            assert.deepEqual(rows, [
+                { id: 1, name: 'Alice', notes: [{ id: 10, author_id: 1, title: 'hi' }], following: [{ id: 2, name: 'Bob' }] },
+                { id: 2, name: 'Bob', notes: [], following: [] }
+            ]);
+        });
+
+        it('belongsTo nests a single object or null', async () => {
+            const exec = createRecordingExecutor([[10, 1, 'hi', [[1, 'Alice']]], [11, 9, 'orphan', []]]);
+            const repo = createRepository(exec, 'notes', {
+                ...notes,
+                relations: { author: belongsTo(person, { foreignKey: 'author_id' }) }
+            });
+
+            const rows = await repo.findAll(null, { include: ['author'] });
+
+            assert.ok(exec.calls[0].q.includes('*person{id: author_id, name: author__name}'));
+            assert.deepEqual(rows, [[10, 1, 'hi', { id: 1, name: 'Alice' }], [11, 9, 'orphan', null]]);
+        });
+
+        it('findAll without include is unchanged', async () => {
+            const exec = createRecordingExecutor([[1, 'Alice']]);
+
+            assert.deepEqual(await personRepo(exec).findAll(), [{ id: 1, name: 'Alice' }]);
+            assert.ok(!exec.calls[0].q.includes('root'));
+        });
+
+        it('rejects unknown includes and bad declarations', async () => {
+            const exec = createRecordingExecutor([]);
+
+            await assert.rejects(() => personRepo(exec).findAll(null, { include: ['likes'] }), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+            assert.throws(() => hasMany(notes, { foreignKey: 'owner_id' }), { code: ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH });
+            assert.throws(() => hasMany('notes', { foreignKey: 'author_id' }), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+            assert.throws(
+                () => createRepository(exec, 'notes', { ...notes, relations: { author: belongsTo(person, { foreignKey: 'writer_id' }) } }),
+                { code: ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH }
+            );
+            assert.throws(
+                () => createRepository(exec, 'notes', { ...notes, relations: { author: { kind: 'hasOne' } } }),
+                { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS }
+            );
+        });
+    });
+
+    describe('aggregate', () => {
+        const schema = { keys: ['id'], values: ['name', 'department', 'age'] };
+
+        it('groups, aggregates and returns plain objects', async () => {
+            const exec = createRecordingExecutor([['Eng', 2, 31.5], ['Ops', 1, 40]]);
+            const repo = createRepository(exec, 'employees', schema);
+
+            const result = await repo.aggregate({
+                groupBy: ['department'],
+                metrics: { n: count('name'), avgAge: mean('age') }
+            });
+
+            assert.equal(
+                exec.calls[0].q,
+                '?[department, count(name), mean(age)] := *employees{department, name, age}'
+            );
+            assert.deepEqual(result, [
+                { department: 'Eng', n: 2, avgAge: 31.5 },
+                { department: 'Ops', n: 1, avgAge: 40 }
+            ]);
+        });
+
+        it('applies where, having and orderBy through a second rule stage', async () => {
+            const exec = createRecordingExecutor([]);
+            const repo = createRepository(exec, 'employees', schema);
+
+            await repo.aggregate({
+                groupBy: ['department'],
+                metrics: { oldest: max('age') },
+                where: { name: { ne: 'root' } },
+                having: { oldest: { gte: 50 } },
+                orderBy: '-oldest'
+            });
+
+            assert.equal(exec.calls[0].q, [
+                'grouped[department, max(age)] := *employees{department, age, name}, name != $w0',
+                '?[department, oldest] := grouped[department, oldest], oldest >= $h0',
+                ':order -oldest'
+            ].join('\n'));
+            assert.deepEqual(exec.calls[0].params, { w0: 'root', h0: 50 });
+        });
+
+        it('rejects unknown metrics, fields and having columns', async () => {
+            const repo = createRepository(createRecordingExecutor([]), 'employees', schema);
+
+            await assert.rejects(
+                () => repo.aggregate({ metrics: { n: 'median(age)' } }),
+                { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS }
+            );
+            await assert.rejects(
+                () => repo.aggregate({ metrics: { n: count('salary') } }),
+                { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS }
+            );
+            await assert.rejects(
+                () => repo.aggregate({ groupBy: ['team'], metrics: { n: count('name') } }),
+                { code: ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH }
+            );
+            await assert.rejects(
+                () => repo.aggregate({ metrics: { n: count('name') }, having: { age: { gt: 1 } } }),
+                { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS }
+            );
+        });
+    });
+
+    describe('searchSimilar', () => {
+        const schema = {
+            keys: ['id'],
+            values: ['title', 'embedding'],
+            vectorIndex: { name: 'embedding_idx', field: 'embedding', dim: 3 }
+        };
+
+        it('builds the HNSW search atom and returns rows with distances', async () => {
+            let captured = null;
+            const exec = {
+                query: async (q, params) => { captured = { q, params }; return [[1, 'A', [0, 0, 1], 0.25]]; },
+                mutate: async () => ({ success: true, affected: 0 })
+            };
+            const repo = createRepository(exec, 'docs', schema);
+
+            const hits = await repo.searchSimilar([0, 0, 1], { k: 5, ef: 30, filter: { title: { ne: 'x' } }, radius: 0.5 });
+
+            assert.deepEqual(hits, [{ row: [1, 'A', [0, 0, 1]], distance: 0.25 }]);
+            assert.ok(captured.q.includes('search_query = vec($vector)'));
+            assert.ok(captured.q.includes(
+                '~docs:embedding_idx{id, title, embedding | query: search_query, k: 5, ef: 30, '
+                + 'bind_distance: search_distance, filter: title != $f0, radius: 0.5}'
+            ));
+            assert.ok(captured.q.includes(':order search_distance'));
+            assert.deepEqual(captured.params, { f0: 'x', vector: [0, 0, 1] });
+        });
+
+        it('rejects wrong dimensions before querying', async () => {
+            let queried = false;
+            const exec = { query: async () => { queried = true; return []; }, mutate: async () => ({}) };
+            const repo = createRepository(exec, 'docs', schema);
+
+            await assert.rejects(
+                () => repo.searchSimilar([1, 2]),
+                (err) => err.code === ErrorCodes.COZO_SCHEMA_TYPE_ERROR && err.context.expected === 3
+            );
+            assert.equal(queried, false);
+        });
+
+        it('maps engine dimension errors and requires a configured index', async () => {
+            const exec = { query: async () => { throw new Error('vector dimension mismatch'); }, mutate: async () => ({}) };
+            await assert.rejects(
+                () => createRepository(exec, 'docs', schema).searchSimilar([1, 2, 3]),
+                { code: ErrorCodes.COZO_SCHEMA_TYPE_ERROR }
+            );
+            await assert.rejects(
+                () => createRepository(exec, 'docs', { keys: ['id'], values: [] }).searchSimilar([1]),
+                { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS }
+            );
+        });
+    });
+
+    describe('row modes', () => {
+        const createExec = (rows) => ({
+            query: async () => rows,
+            mutate: async () => ({ success: true, affected: 0 })
+        });
+        const schema = { keys: ['id'], values: ['user_name', 'created_at'] };
+
+        it('returns positional arrays by default', async () => {
+            const repo = createRepository(createExec([[1, 'alice', 10]]), 'users', schema);
+
+            assert.deepEqual(await repo.findAll(), [[1, 'alice', 10]]);
+        });
+
+        it('zips rows into objects when configured per repository', async () => {
+            const repo = createRepository(createExec([[1, 'alice', 10]]), 'users', { ...schema, rowMode: 'object' });
+
+            assert.deepEqual(await repo.findAll(), [{ id: 1, user_name: 'alice', created_at: 10 }]);
+            assert.deepEqual(await repo.findByKey([1]), { id: 1, user_name: 'alice', created_at: 10 });
+        });
+
+        it('applies a repository mapper, overridable per call', async () => {
+            const repo = createRepository(createExec([[1, 'alice', 10]]), 'users', { ...schema, mapRow: camelCaseKeys });
+
+            assert.deepEqual(await repo.findAll(), [{ id: 1, userName: 'alice', createdAt: 10 }]);
+            assert.deepEqual(await repo.findAll(null, { rowMode: 'array' }), [[1, 'alice', 10]]);
+            assert.deepEqual(await repo.findAll(null, { mapRow: r => r.id }), [1]);
+        });
+
+        it('shapes findPage items but keeps cursors working', async () => {
+            const repo = createRepository(createExec([[1, 'a', 1], [2, 'b', 2]]), 'users', schema);
+
+            const page = await repo.findPage({ limit: 1, rowMode: 'object' });
+            assert.deepEqual(page.items, [{ id: 1, user_name: 'a', created_at: 1 }]);
+            assert.deepEqual(decodeCursor(page.nextCursor).k, [1]);
+        });
+
+        it('remove is unaffected by object mode', async () => {
+            let params = null;
+            const exec = {
+                query: async () => [[1, 'alice', 10]],
+                mutate: async (q, p) => { params = p; return { success: true, affected: 1 }; }
+            };
+            await createRepository(exec, 'users', { ...schema, rowMode: 'object' }).remove([1]);
+
+            assert.deepEqual(params.rows, [[1]]);
+        });
+
+        it('rejects unknown row modes', async () => {
+            const repo = createRepository(createExec([]), 'users', schema);
+
+            await assert.rejects(() => repo.findAll(null, { rowMode: 'tuple' }), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+        });
+    });
+
+    describe('searchText', () => {
+        const schema = {
+            keys: ['id'],
+            values: ['title', 'body'],
+            textIndexes: [{ name: 'title_fts', field: 'title' }, { name: 'body_fts', field: 'body' }]
+        };
+
+        it('searches every text index and sums scores per row', async () => {
+            let captured = null;
+            const exec = {
+                query: async (q, params) => { captured = { q, params }; return [[1, 'Notes', 'cozo fts', 1.5]]; },
+                mutate: async () => ({ success: true, affected: 0 })
+            };
+            const repo = createRepository(exec, 'notes', schema);
+
+            const hits = await repo.searchText('cozo', { k: 3, filter: { id: { gt: 0 } } });
+
+            assert.deepEqual(hits, [{ row: [1, 'Notes', 'cozo fts'], score: 1.5 }]);
+            assert.ok(captured.q.includes(
+                "hits[id, search_source, search_score] := ~notes:title_fts{id, title, body | query: $text, k: 3, "
+                + "bind_score: search_score, filter: id > $f0}, search_source = 'title'"
+            ));
+            assert.ok(captured.q.includes('~notes:body_fts{'));
+            assert.ok(captured.q.includes('scored[id, sum(search_score)] := hits[id, search_source, search_score]'));
+            assert.ok(captured.q.includes(':order -search_score'));
+            assert.ok(captured.q.includes(':limit 3'));
+            assert.deepEqual(captured.params, { f0: 0, text: 'cozo' });
+        });
+
+        it('restricts the search to the requested fields', async () => {
+            let captured = '';
+            const exec = { query: async (q) => { captured = q; return []; }, mutate: async () => ({}) };
+
+            await createRepository(exec, 'notes', schema).searchText('cozo', { fields: ['body'] });
+
+            assert.ok(captured.includes('~notes:body_fts{'));
+            assert.ok(!captured.includes('~notes:title_fts{'));
+        });
+
+        it('rejects unindexed fields, empty text and missing indexes', async () => {
+            const exec = { query: async () => [], mutate: async () => ({}) };
+            const repo = createRepository(exec, 'notes', schema);
+
+            await assert.rejects(() => repo.searchText('x', { fields: ['id'] }), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+            await assert.rejects(() => repo.searchText('  '), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+            await assert.rejects(
+                () => createRepository(exec, 'notes', { keys: ['id'], values: ['title'] }).searchText('x'),
+                { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS }
+            );
+        });
+    });
+
     it('save calls mutate with correct put query', async () => {
         let capturedQuery = '';
         const exec = {
@@ -297,6 +1093,539 @@ describe('createRepository', () => {
         assert.ok(capturedQuery.includes('{id => name}'));
     });
 
+    it('saveAll binds rows as params so query length stays constant', async () => {
+        let captured = null;
+        const exec = {
+            query: async () => [],
+            mutate: async (q, params) => { captured = { q, params }; return { success: true, affected: 0 }; }
+        };
+
+        const repo = createRepository(exec, 'users', {
+            keys: ['id'],
+            values: ['name']
+        });
+
+        const records = Array.from({ length: 100000 }, (_, i) => ({ id: i, name: `user ']}${i}` }));
+        await repo.saveAll(records);
+
+        assert.ok(captured.q.includes('<- $rows'));
+        assert.ok(SecurityValidator.validateQuery(captured.q));
+        assert.equal(captured.params.rows.length, 100000);
+        assert.deepEqual(captured.params.rows[1], [1, "user ']}1"]);
+    });
+
+    it('insert uses :insert and maps existing key to COZO_DATA_KEY_VIOLATION', async () => {
+        const exec = createRecordingExecutor([], { error: 'Assertion failure for [1] of users: key exists in database' });
+        const repo = createRepository(exec, 'users', { keys: ['id'], values: ['name'] });
+
+        await assert.rejects(
+            () => repo.insert({ id: 1, name: 'Alice' }),
+            { code: ErrorCodes.COZO_DATA_KEY_VIOLATION }
+        );
+        assert.ok(exec.calls[0].q.includes(':insert users {id => name}'));
+    });
+
+    it('update touches only provided columns and maps missing key to COZO_DATA_NOT_FOUND', async () => {
+        const exec = createRecordingExecutor();
+        const repo = createRepository(exec, 'users', { keys: ['id'], values: ['name', 'email'] });
+
+        await repo.update({ id: 1, email: 'a@example.com' });
+        assert.ok(exec.calls[0].q.includes(':update users {id => email}'));
+        assert.deepEqual(exec.calls[0].params.rows, [[1, 'a@example.com']]);
+
+        const failing = createRecordingExecutor([], { error: 'Assertion failure for [9] of users: key does not exist in database' });
+        const failingRepo = createRepository(failing, 'users', { keys: ['id'], values: ['name', 'email'] });
+        await assert.rejects(
+            () => failingRepo.update({ id: 9, name: 'X' }),
+            { code: ErrorCodes.COZO_DATA_NOT_FOUND }
+        );
+    });
+
+    describe('patch / patchWhere', () => {
+        const schema = { keys: ['id'], values: ['name', 'views'], types: { id: 'Int', name: 'String', views: 'Int' } };
+
+        it('patch issues one :update touching only the given columns', async () => {
+            const exec = createRecordingExecutor();
+            const repo = createRepository(exec, 'posts', schema);
+
+            await repo.patch([1], { views: '10' });
+            assert.equal(exec.calls.length, 1);
+            assert.ok(exec.calls[0].q.includes(':update posts {id => views}'));
+            assert.deepEqual(exec.calls[0].params.rows, [[1, 10]]);
+        });
+
+        it('patch maps a missing key to COZO_DATA_NOT_FOUND', async () => {
+            const exec = createRecordingExecutor([], { error: 'Assertion failure for [9] of posts: key does not exist in database' });
+            const repo = createRepository(exec, 'posts', schema);
+
+            await assert.rejects(() => repo.patch([9], { name: 'x' }), { code: ErrorCodes.COZO_DATA_NOT_FOUND });
+        });
+
+        it('rejects empty, unknown, key and computed patch changes', async () => {
+            const repo = createRepository(createRecordingExecutor(), 'posts', schema);
+
+            await assert.rejects(() => repo.patch([1], {}), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+            await assert.rejects(() => repo.patch([1], { title: 'x' }), { code: ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH });
+            await assert.rejects(() => repo.patch([1], { id: 2 }), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+            await assert.rejects(() => repo.patch([1], { views: computed('views + 1') }), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+        });
+
+        it('patchWhere computes new values from current columns in one query', async () => {
+            const exec = createRecordingExecutor();
+            const repo = createRepository(exec, 'posts', schema);
+
+            await repo.patchWhere({ name: { startsWith: 'a' } }, { views: computed('views + 1'), name: 'b' });
+            const { q, params } = exec.calls[0];
+            assert.equal(q, [
+                'patched[id, views__new, name__new] := *posts{id, name, views}, starts_with(name, $w0), views__new = views + 1, name__new = $p1',
+                '?[id, views, name] := patched[id, views, name]',
+                ':update posts {id => views, name}'
+            ].join('\n'));
+            assert.deepEqual(params, { w0: 'a', p1: 'b' });
+        });
+
+        it('patchWhere accepts raw filters, checks literals and where fields', async () => {
+            const exec = createRecordingExecutor();
+            const repo = createRepository(exec, 'posts', schema);
+
+            await repo.patchWhere('views > 100', { name: 'popular' });
+            assert.ok(exec.calls[0].q.includes('*posts{id, name, views}, views > 100, name__new = $p0'));
+
+            await assert.rejects(() => repo.patchWhere(null, { views: 'many' }), { code: ErrorCodes.COZO_SCHEMA_TYPE_ERROR });
+            await assert.rejects(() => repo.patchWhere({ title: 'x' }, { views: 1 }), { code: ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH });
+        });
+
+        it('computed rejects multi-line or rule-like expressions', () => {
+            assert.throws(() => computed('1\n:rm posts {id}'), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+            assert.throws(() => computed('x := 1'), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+            assert.equal(computed('views * 2').expr, 'views * 2');
+        });
+    });
+
+    describe('time travel', () => {
+        const schema = { keys: ['subject', 'at'], values: ['body'], types: { subject: 'String', at: 'Validity', body: 'String' } };
+
+        it('saveAt asserts the record from the given time', async () => {
+            const exec = createRecordingExecutor();
+            const repo = createRepository(exec, 'facts', schema);
+
+            await repo.saveAt({ subject: 'sky', body: 'blue' }, new Date(1000));
+
+            assert.ok(exec.calls[0].q.includes(':put facts {subject, at => body}'));
+            assert.deepEqual(exec.calls[0].params.rows, [['sky', [1000000, true], 'blue']]);
+        });
+
+        it('retract writes a [time, false] version from the values visible then', async () => {
+            const exec = createRecordingExecutor();
+            const repo = createRepository(exec, 'facts', schema);
+
+            await repo.retract(['sky'], 2000000);
+
+            const { q, params } = exec.calls[0];
+            assert.ok(q.includes('*facts{subject, body @ $as_of}, subject == $key_0, at = [$as_of, false]'));
+            assert.ok(q.endsWith(':put facts {subject, at => body}\n:returning'));
+            assert.deepEqual(params, { key_0: 'sky', as_of: 2000000 });
+        });
+
+        it('writes date strings into Validity tuples as microseconds', async () => {
+            const exec = createRecordingExecutor();
+            const repo = createRepository(exec, 'facts', schema);
+
+            await repo.retract(['sky'], '2024-01-01T00:00:00Z');
+            await repo.saveAt({ subject: 'sky', body: 'blue' }, '2024-01-01T00:00:00.001Z');
+
+            assert.equal(exec.calls[0].params.as_of, 1704067200000000);
+            assert.deepEqual(exec.calls[1].params.rows, [['sky', [1704067200001000, true], 'blue']]);
+            await assert.rejects(() => repo.retract(['sky'], 'NOW'), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+        });
+
+        it('findAsOf reads with @ and a bound timestamp', async () => {
+            const exec = createRecordingExecutor([['sky', [10, true], 'blue']]);
+            const repo = createRepository(exec, 'facts', { ...schema, rowMode: 'object' });
+
+            const rows = await repo.findAsOf('NOW', { subject: 'sky' });
+
+            assert.ok(exec.calls[0].q.includes('*facts{subject, at, body @ $as_of}, subject == $w0'));
+            assert.deepEqual(exec.calls[0].params, { w0: 'sky', as_of: 'NOW' });
+            assert.deepEqual(rows, [{ subject: 'sky', at: [10, true], body: 'blue' }]);
+            await assert.rejects(() => repo.findAsOf('yesterday'), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+        });
+
+        it('findAsOf filters exactly like findAll', async () => {
+            const exec = createRecordingExecutor();
+            const repo = createRepository(exec, 'facts', schema);
+            const where = { subject: { startsWith: 's' }, body: { ne: 'grey' } };
+
+            await repo.findAll(where);
+            await repo.findAsOf(new Date(1000), where);
+
+            assert.equal(exec.calls[1].q, exec.calls[0].q.replace('body}', 'body @ $as_of}'));
+            assert.deepEqual(exec.calls[1].params, { ...exec.calls[0].params, as_of: 1000000 });
+        });
+
+        it('history returns every version oldest first', async () => {
+            const exec = createRecordingExecutor([['sky', [30, false], 'blue'], ['sky', [10, true], 'blue']]);
+            const repo = createRepository(exec, 'facts', schema);
+
+            const versions = await repo.history(['sky']);
+
+            assert.deepEqual(versions.map(v => v[1]), [[10, true], [30, false]]);
+            assert.ok(!exec.calls[0].q.includes('@'));
+            await assert.rejects(() => repo.history(['sky', 1]), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+        });
+
+        it('is only available with a Validity last key', async () => {
+            const repo = createRepository(createRecordingExecutor(), 'users', { keys: ['id'], values: ['name'] });
+
+            await assert.rejects(() => repo.findAsOf('NOW'), { code: ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH });
+            assert.throws(
+                () => createRepository(createRecordingExecutor(), 'facts', { keys: ['at', 'subject'], values: [], validity: 'at' }),
+                { code: ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH }
+            );
+        });
+    });
+
+    describe('remove / removeMany / removeWhere', () => {
+        const schema = { keys: ['org', 'id'], values: ['name', 'age'], types: { org: 'Int', id: 'Int', name: 'String', age: 'Int' } };
+
+        it('remove deletes by key columns in one :rm with :returning', async () => {
+            const exec = createRecordingExecutor();
+            const repo = createRepository(exec, 'users', schema);
+
+            await repo.remove([1, '2']);
+            assert.equal(exec.calls.length, 1);
+            assert.match(exec.calls[0].q, /\?\[org, id\] <- \$rows\s+:rm users \{org, id\}\s+:returning$/);
+            assert.deepEqual(exec.calls[0].params.rows, [[1, 2]]);
+        });
+
+        it('removeMany sends every tuple at once and checks tuple arity', async () => {
+            const exec = createRecordingExecutor();
+            const repo = createRepository(exec, 'users', schema);
+
+            await repo.removeMany([[1, 1], [1, 2], [2, 1]]);
+            assert.equal(exec.calls.length, 1);
+            assert.equal(exec.calls[0].params.rows.length, 3);
+
+            assert.deepEqual(await repo.removeMany([]), { success: true, affected: 0 });
+            assert.equal(exec.calls.length, 1);
+            await assert.rejects(() => repo.removeMany([[1]]), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+        });
+
+        it('removeWhere deletes matching keys in one query', async () => {
+            const exec = createRecordingExecutor();
+            const repo = createRepository(exec, 'users', schema);
+
+            await repo.removeWhere({ age: { lt: 18 } });
+            assert.equal(exec.calls[0].q, [
+                '?[org, id] := *users{org, id, name, age}, age < $w0',
+                ':rm users {org, id}',
+                ':returning'
+            ].join('\n'));
+            assert.deepEqual(exec.calls[0].params, { w0: 18 });
+
+            await repo.removeWhere('starts_with(name, "tmp_")');
+            assert.ok(exec.calls[1].q.includes('name, age}, starts_with(name, "tmp_")'));
+        });
+
+        it('removeWhere refuses empty filters and unknown fields', async () => {
+            const repo = createRepository(createRecordingExecutor(), 'users', schema);
+
+            await assert.rejects(() => repo.removeWhere(null), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+            await assert.rejects(() => repo.removeWhere({}), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+            await assert.rejects(() => repo.removeWhere({ email: 'x' }), { code: ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH });
+        });
+
+        it('reports the engine count of deleted rows', async () => {
+            const backend = {
+                run: async () => ({ ok: true, headers: ['_kind', 'org', 'id'], rows: [['requested', 1, 9], ['requested', 1, 1], ['deleted', 1, 1]] })
+            };
+            const repo = createRepository(createExecutor(backend), 'users', schema);
+
+            assert.deepEqual(await repo.removeMany([[1, 9], [1, 1]]), { success: true, affected: 1 });
+        });
+    });
+
+    it('ensureExists and ensureAbsent use their ops', async () => {
+        const exec = createRecordingExecutor();
+        const repo = createRepository(exec, 'users', { keys: ['id'], values: ['name'] });
+
+        await repo.ensureExists({ id: 1, name: 'A' });
+        await repo.ensureAbsent([3]);
+
+        assert.ok(exec.calls[0].q.includes(':ensure users {id => name}'));
+        assert.ok(exec.calls[1].q.includes(':ensure_not users {id => name}'));
+        assert.deepEqual(exec.calls[1].params.rows, [[3, null]]);
+    });
+
+    describe('transaction', () => {
+        const schema = { keys: ['id'], values: ['name', 'score'] };
+
+        it('chains ensure steps and writes into one query', async () => {
+            const exec = createRecordingExecutor();
+            const repo = createRepository(exec, 'users', schema);
+
+            await repo.transaction([
+                { op: 'ensure', records: [{ id: 1, name: 'A', score: 2 }] },
+                { op: 'ensure_not', records: [{ id: 3 }] },
+                { op: 'insert', records: [{ id: 3, name: 'C', score: 1 }] },
+                { op: 'update', records: [{ id: 1, score: 3 }] },
+                { op: 'rm', records: [{ id: 2 }] }
+            ]);
+
+            assert.equal(exec.calls.length, 1);
+            const blocks = exec.calls[0].q.split('\n}\n{\n');
+            assert.equal(blocks.length, 5);
+            assert.ok(blocks[0].includes('?[id, name, score] <- $s0_0'));
+            assert.ok(blocks[0].includes(':ensure users {id => name, score}'));
+            assert.ok(blocks[1].includes(':ensure_not users {id => name, score}'));
+            assert.ok(blocks[2].includes(':insert users {id => name, score}'));
+            assert.ok(blocks[3].includes(':update users {id => score}'));
+            assert.ok(blocks[4].includes(':rm users {id}'));
+            assert.deepEqual(exec.calls[0].params, {
+                s0_0: [[1, 'A', 2]],
+                s1_0: [[3, null, null]],
+                s2_0: [[3, 'C', 1]],
+                s3_0: [[1, 3]],
+                s4_0: [[2]]
+            });
+        });
+
+        it('checks every step before running anything', async () => {
+            const exec = createRecordingExecutor();
+            const repo = createRepository(exec, 'users', schema);
+
+            await assert.rejects(
+                () => repo.transaction([{ op: 'put', records: [{ id: 1, name: 'A' }] }, { op: 'drop', records: [] }]),
+                { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS }
+            );
+            await assert.rejects(
+                () => repo.transaction([{ op: 'ensure_not', records: [{ name: 'A' }] }]),
+                { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS, context: { relation: 'users', op: 'ensure_not', index: 0 } }
+            );
+            assert.equal(exec.calls.length, 0);
+            assert.deepEqual(await repo.transaction([]), { success: true, affected: 0 });
+        });
+
+        it('maps a failed precondition to CozoError', async () => {
+            const exec = createRecordingExecutor([], {
+                error: 'Assertion failure for [1, "B"] of users: key exists in database, but value does not match'
+            });
+            const repo = createRepository(exec, 'users', schema);
+
+            await assert.rejects(
+                () => repo.transaction([
+                    { op: 'ensure', records: [{ id: 1, name: 'B', score: 2 }] },
+                    { op: 'put', records: [{ id: 1, name: 'C', score: 2 }] }
+                ]),
+                { code: ErrorCodes.COZO_DATA_CONSTRAINT_ERROR }
+            );
+        });
+    });
+
+    it('replace refuses repositories without a definition', async () => {
+        const exec = createRecordingExecutor();
+        const repo = createRepository(exec, 'users', { keys: ['id'], values: ['name'], types: { id: 'Int', name: 'String' } });
+
+        await assert.rejects(() => repo.replace([{ id: 1, name: 'A' }]), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+        assert.equal(exec.calls.length, 0);
+    });
+
+    describe('chunked saveAll', () => {
+        const records = Array.from({ length: 5 }, (_, i) => ({ id: i, name: `u${i}` }));
+        const failingAt = (n) => {
+            const calls = [];
+            return {
+                calls,
+                query: async () => [],
+                mutate: async (q, params) => {
+                    calls.push({ q, params });
+                    if (calls.length === n) throw new Error('Assertion failure for [2] of users: key exists in database');
+                    return { success: true, affected: 1 };
+                }
+            };
+        };
+
+        it('writes batchSize rows per query and reports progress', async () => {
+            const exec = createRecordingExecutor();
+            const repo = createRepository(exec, 'users', { keys: ['id'], values: ['name'] });
+            const progress = [];
+
+            const result = await repo.saveAll(records, { batchSize: 2, onProgress: p => progress.push(p) });
+            assert.deepEqual(exec.calls.map(c => c.params.rows.length), [2, 2, 1]);
+            assert.equal(result.batches, 3);
+            assert.deepEqual(progress.map(p => [p.batch, p.saved, p.total, p.batches]), [[0, 2, 5, 3], [1, 4, 5, 3], [2, 5, 5, 3]]);
+        });
+
+        it('reports the failed batch and resumes from it', async () => {
+            const exec = failingAt(2);
+            const repo = createRepository(exec, 'users', { keys: ['id'], values: ['name'] });
+
+            const err = await repo.saveAll(records, { batchSize: 2 }).catch(e => e);
+            assert.equal(err.code, ErrorCodes.COZO_DATA_KEY_VIOLATION);
+            assert.equal(err.context.batch, 1);
+            assert.equal(err.context.resumeFrom, 2);
+
+            await repo.saveAll(records, { batchSize: 2, startAt: err.context.resumeFrom });
+            assert.deepEqual(exec.calls.slice(2).map(c => c.params.rows.map(r => r[0])), [[2, 3], [4]]);
+        });
+
+        it('stops before the next batch once the signal aborts', async () => {
+            const exec = createRecordingExecutor();
+            const repo = createRepository(exec, 'users', { keys: ['id'], values: ['name'] });
+            const signal = { aborted: false };
+
+            const err = await repo.saveAll(records, {
+                batchSize: 2,
+                signal,
+                onProgress: () => { signal.aborted = true; }
+            }).catch(e => e);
+            assert.equal(exec.calls.length, 1);
+            assert.equal(err.context.aborted, true);
+            assert.equal(err.context.resumeFrom, 2);
+        });
+
+        it('transaction mode chains every batch into one query', async () => {
+            const exec = createRecordingExecutor();
+            const repo = createRepository(exec, 'users', { keys: ['id'], values: ['name'] });
+
+            await repo.saveAll(records, { batchSize: 2, transaction: true });
+            assert.equal(exec.calls.length, 1);
+            assert.ok(exec.calls[0].q.includes('<- $b0_0'));
+            assert.ok(exec.calls[0].q.includes('<- $b2_0'));
+            assert.deepEqual(Object.keys(exec.calls[0].params), ['b0_0', 'b1_0', 'b2_0']);
+        });
+
+        it('validates every record before the first write', async () => {
+            const exec = createRecordingExecutor();
+            const repo = createRepository(exec, 'users', { keys: ['id'], values: ['name'], types: { id: 'Int', name: 'String' } });
+
+            await assert.rejects(
+                () => repo.saveAll([...records, { id: 'x', name: 'bad' }], { batchSize: 2 }),
+                (err) => err.code === ErrorCodes.COZO_SCHEMA_TYPE_ERROR && err.context.errors[0].row === 5
+            );
+            await assert.rejects(() => repo.saveAll(records, { batchSize: 0 }), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+            assert.equal(exec.calls.length, 0);
+        });
+
+        it('skips the query entirely for no records', async () => {
+            const exec = createRecordingExecutor();
+            const repo = createRepository(exec, 'users', { keys: ['id'], values: ['name'] });
+
+            assert.deepEqual(await repo.saveAll([]), { success: true, affected: 0, batches: 0 });
+            assert.deepEqual(await repo.saveAll([], { transaction: true }), { success: true, affected: 0, batches: 0 });
+            assert.deepEqual(
+                await repo.saveAll([{ id: 1, name: 'A' }], { transaction: true, startAt: 1 }),
+                { success: true, affected: 0, batches: 0 }
+            );
+            assert.equal(exec.calls.length, 0);
+        });
+    });
+
+    describe('typed writes', () => {
+        const typedSchema = {
+            keys: ['id'],
+            values: ['name', 'score', 'tags'],
+            types: { id: 'Int', name: 'String', score: 'Float?', tags: '[String]' }
+        };
+
+        it('coerces safe values before building rows', async () => {
+            const exec = createRecordingExecutor();
+            const repo = createRepository(exec, 'users', typedSchema);
+
+            await repo.saveAll([{ id: '7', name: 'Alice', score: '1.5', tags: [] }, { id: 8n, name: 'Bob', score: null, tags: ['x'] }]);
+            assert.deepEqual(exec.calls[0].params.rows, [[7, 'Alice', 1.5, []], [8, 'Bob', null, ['x']]]);
+        });
+
+        it('rejects mismatches with field-level details and does not write', async () => {
+            const exec = createRecordingExecutor();
+            const repo = createRepository(exec, 'users', typedSchema);
+
+            await assert.rejects(
+                () => repo.saveAll([{ id: 1, name: 'A', score: 1, tags: [] }, { id: 2.5, name: 3, score: 1, tags: [1] }]),
+                (err) => {
+                    assert.equal(err.code, ErrorCodes.COZO_SCHEMA_TYPE_ERROR);
+                    assert.equal(err.context.relation, 'users');
+                    assert.deepEqual(err.context.errors.map(e => [e.row, e.field, e.received]), [
+                        [1, 'id', 'float'],
+                        [1, 'name', 'integer'],
+                        [1, 'tags', 'array']
+                    ]);
+                    assert.equal(err.context.errors[2].index, 0);
+                    return true;
+                }
+            );
+            assert.equal(exec.calls.length, 0);
+        });
+
+        it('checks only the columns an op writes', async () => {
+            const exec = createRecordingExecutor();
+            const repo = createRepository(exec, 'users', typedSchema);
+
+            await repo.update({ id: '1', score: 2 });
+            assert.deepEqual(exec.calls[0].params.rows, [[1, 2]]);
+            await assert.rejects(() => repo.insert({ id: 1, name: null, score: 1, tags: [] }), { code: ErrorCodes.COZO_SCHEMA_TYPE_ERROR });
+        });
+    });
+
+    describe('partial records and defaults', () => {
+        const schema = {
+            keys: ['id'],
+            values: ['name', 'bio', 'created_at'],
+            types: { id: 'Int', name: 'String', bio: 'String?', created_at: 'Float' },
+            defaults: ['created_at']
+        };
+
+        it('leaves out missing default columns and writes missing nullable ones as null', async () => {
+            const exec = createRecordingExecutor();
+            const repo = createRepository(exec, 'users', schema);
+
+            await repo.save({ id: 1, name: 'Alice' });
+            assert.ok(exec.calls[0].q.includes(':put users {id => name, bio}'));
+            assert.deepEqual(exec.calls[0].params, { rows: [[1, 'Alice', null]] });
+        });
+
+        it('chains one put per column set in a single transaction', async () => {
+            const exec = createRecordingExecutor();
+            const repo = createRepository(exec, 'users', schema);
+
+            await repo.saveAll([
+                { id: 1, name: 'A' },
+                { id: 2, name: 'B', created_at: 5 },
+                { id: 3, name: 'C' }
+            ]);
+            const { q, params } = exec.calls[0];
+            assert.equal(exec.calls.length, 1);
+            assert.match(q, /<- \$rows_0\s+:put users \{id => name, bio\}/);
+            assert.match(q, /<- \$rows_1\s+:put users \{id => name, bio, created_at\}/);
+            assert.deepEqual(params, { rows_0: [[1, 'A', null], [3, 'C', null]], rows_1: [[2, 'B', null, 5]] });
+        });
+
+        it('rejects missing keys and required values before writing', async () => {
+            const exec = createRecordingExecutor();
+            const repo = createRepository(exec, 'users', schema);
+
+            await assert.rejects(
+                () => repo.saveAll([{ id: 1, name: 'A' }, { name: 'B' }, { id: 3 }]),
+                (err) => {
+                    assert.equal(err.code, ErrorCodes.COZO_DATA_CONSTRAINT_ERROR);
+                    assert.match(err.detail, /id, name/);
+                    assert.deepEqual(err.context.missing, [{ row: 1, field: 'id' }, { row: 2, field: 'name' }]);
+                    return true;
+                }
+            );
+            await assert.rejects(() => repo.insert({ name: 'X' }), { code: ErrorCodes.COZO_DATA_CONSTRAINT_ERROR });
+            assert.equal(exec.calls.length, 0);
+        });
+
+        it('insert honours defaults too', async () => {
+            const exec = createRecordingExecutor();
+            const repo = createRepository(exec, 'users', schema);
+
+            await repo.insert({ id: 1, name: 'A', bio: 'hi' });
+            assert.ok(exec.calls[0].q.includes(':insert users {id => name, bio}'));
+        });
+    });
+
     it('returned repository is frozen', () => {
         const exec = createMockExecutor();
         const repo = createRepository(exec, 'users', {
@@ -0,0 +1,170 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    createGraphRepository,
+    resolveGraph,
+    buildNeighborsQuery,
+    buildSubgraphQueries,
+    buildDegreeQuery,
+    buildRemoveNodeQuery
+} = require('../graph-repository');
+const { defineRelation } = require('../schema');
+const { ErrorCodes } = require('../cozo-errors');
+
+const person = { name: 'person', keys: ['id'], values: ['name'] };
+const follows = { name: 'follows', keys: ['follower_id', 'following_id'], values: ['since'] };
+const graph = resolveGraph({ nodes: person, edges: follows });
+
+// ============================================
+// Query Builder Tests (Pure Functions)
+// ============================================
+
+describe('resolveGraph', () => {
+    it('defaults endpoints to the first two edge keys', () => {
+        assert.equal(graph.fromField, 'follower_id');
+        assert.equal(graph.toField, 'following_id');
+    });
+
+    it('rejects composite node keys and bad endpoints', () => {
+        assert.throws(
+            () => resolveGraph({ nodes: { name: 'n', keys: ['a', 'b'] }, edges: follows }),
+            { code: ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH }
+        );
+        assert.throws(
+            () => resolveGraph({ nodes: person, edges: follows, toField: 'since' }),
+            { code: ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH }
+        );
+        assert.throws(() => resolveGraph({ nodes: 'person', edges: follows }), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+    });
+});
+
+describe('buildNeighborsQuery', () => {
+    it('expands seeds up to the depth bound, nearest first', () => {
+        const { query, params } = buildNeighborsQuery(graph, { depth: 2 });
+
+        assert.ok(query.includes('step[a, b] := *follows{follower_id: a, following_id: b}'));
+        assert.ok(!query.includes('follower_id: b'));
+        assert.ok(query.includes('reach[node, depth] := node in $seeds, depth = 0'));
+        assert.ok(query.includes('?[id, name, hop_depth] := hops[id, hop_depth], hop_depth > 0, *person{id, name}'));
+        assert.ok(query.includes(':order hop_depth, id'));
+        assert.deepEqual(params, { max_depth: 2 });
+    });
+
+    it('follows edges backwards for in and both', () => {
+        assert.ok(buildNeighborsQuery(graph, { direction: 'in' }).query.includes('*follows{follower_id: b, following_id: a}'));
+        const both = buildNeighborsQuery(graph, { direction: 'both' }).query;
+        assert.ok(both.includes('follower_id: a') && both.includes('follower_id: b'));
+    });
+
+    it('validates direction and depth', () => {
+        assert.throws(() => buildNeighborsQuery(graph, { direction: 'up' }), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+        assert.throws(() => buildNeighborsQuery(graph, { depth: 0 }), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+    });
+});
+
+describe('buildSubgraphQueries / buildDegreeQuery / buildRemoveNodeQuery', () => {
+    it('keeps edges whose endpoints are both in the subgraph', () => {
+        const { nodes, edges, params } = buildSubgraphQueries(graph, { depth: 1 });
+
+        assert.ok(nodes.includes('?[id, name] := kept[id], *person{id, name}'));
+        assert.ok(edges.includes('*follows{follower_id, following_id, since}, kept[follower_id], kept[following_id]'));
+        assert.deepEqual(params, { max_depth: 1 });
+    });
+
+    it('counts incident edges with a Datalog count()', () => {
+        const { query } = buildDegreeQuery(graph, { direction: 'out' });
+
+        assert.ok(query.includes('incident[follower_id, following_id] := *follows{follower_id, following_id}, follower_id == $node'));
+        assert.ok(!query.includes('following_id == $node'));
+        assert.ok(query.endsWith('?[count(follower_id)] := incident[follower_id, following_id]'));
+    });
+
+    it('removes incident edges and then the node in one transaction', () => {
+        const query = buildRemoveNodeQuery(graph);
+
+        assert.ok(query.includes('follower_id = $node, *follows{follower_id, following_id}'));
+        assert.ok(query.includes('following_id == $node\n:rm follows {follower_id, following_id}\n}'));
+        assert.ok(query.endsWith('?[id] <- [[$node]]\n:rm person {id}\n:returning\n}'));
+    });
+});
+
+// ============================================
+// Graph Repository Tests (Mock Executor)
+// ============================================
+
+describe('createGraphRepository', () => {
+    const createMockExecutor = (rows = [], { error = null } = {}) => {
+        const calls = [];
+        return {
+            calls,
+            query: async (q, params) => { calls.push({ q, params }); return rows; },
+            mutate: async (q, params) => {
+                calls.push({ q, params });
+                if (error) throw new Error(error);
+                return { success: true, affected: 1 };
+            }
+        };
+    };
+
+    it('addNode and addEdge write through typed repositories', async () => {
+        const exec = createMockExecutor();
+        const g = createGraphRepository(exec, {
+            nodes: defineRelation({ name: 'person', keys: { id: 'Int' }, values: { name: 'String' } }),
+            edges: defineRelation({ name: 'follows', keys: { follower_id: 'Int', following_id: 'Int' }, values: { since: 'Float' } })
+        });
+
+        await g.addNode({ id: '1', name: 'Alice' });
+        await g.addEdge(1, 2, { since: 1700000000 });
+
+        assert.deepEqual(exec.calls[0].params.rows, [[1, 'Alice']]);
+        assert.ok(exec.calls[1].q.includes(':put follows {follower_id, following_id => since}'));
+        assert.deepEqual(exec.calls[1].params.rows, [[1, 2, 1700000000]]);
+        await assert.rejects(() => g.addEdge(1, 'x'), { code: ErrorCodes.COZO_SCHEMA_TYPE_ERROR });
+    });
+
+    it('neighbors binds the seed and drops the depth column', async () => {
+        const exec = createMockExecutor([[2, 'Bob', 1], [3, 'Carol', 2]]);
+        const g = createGraphRepository(exec, { nodes: person, edges: follows, rowMode: 'object' });
+
+        const rows = await g.neighbors(1, { depth: 2 });
+
+        assert.deepEqual(rows, [{ id: 2, name: 'Bob' }, { id: 3, name: 'Carol' }]);
+        assert.deepEqual(exec.calls[0].params, { max_depth: 2, seeds: [1] });
+    });
+
+    it('degree returns the count, or 0 without edges', async () => {
+        assert.equal(await createGraphRepository(createMockExecutor([[3]]), { nodes: person, edges: follows }).degree(1), 3);
+        assert.equal(await createGraphRepository(createMockExecutor([]), { nodes: person, edges: follows }).degree(1), 0);
+    });
+
+    it('removeNode runs one mutation', async () => {
+        const exec = createMockExecutor();
+        const g = createGraphRepository(exec, { nodes: person, edges: follows });
+
+        assert.deepEqual(await g.removeNode(1), { success: true, affected: 1 });
+        assert.equal(exec.calls.length, 1);
+        assert.deepEqual(exec.calls[0].params, { node: 1 });
+    });
+
+    it('removeNode maps engine errors to CozoError', async () => {
+        const exec = createMockExecutor([], { error: 'Relation person does not exist' });
+        const g = createGraphRepository(exec, { nodes: person, edges: follows });
+
+        await assert.rejects(() => g.removeNode(1), { code: ErrorCodes.COZO_SCHEMA_RELATION_NOT_FOUND });
+    });
+
+    it('subgraph returns nodes and edge objects', async () => {
+        const exec = createMockExecutor([[1, 2, 5]]);
+        const g = createGraphRepository(exec, { nodes: { name: 'n', keys: ['id'], values: [] }, edges: follows });
+
+        const { edges } = await g.subgraph(1, { depth: 1 });
+
+        assert.deepEqual(edges, [{ follower_id: 1, following_id: 2, since: 5 }]);
+        assert.deepEqual(exec.calls[0].params, { max_depth: 1, seeds: [1] });
+    });
+
+    it('returns frozen object', () => {
+        assert.ok(Object.isFrozen(createGraphRepository(createMockExecutor(), { nodes: person, edges: follows })));
+    });
+});
@@ -0,0 +1,160 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    createGraphTraversal,
+    buildReachableQuery,
+    buildPathsQuery,
+    buildShortestPathQuery,
+    DEFAULT_SHORTEST_PATH_DEPTH
+} = require('../graph-traversal');
+const { ErrorCodes } = require('../cozo-errors');
+
+// ============================================
+// Query Builder Tests (Pure Functions)
+// ============================================
+
+describe('buildReachableQuery', () => {
+    it('generates a depth-bounded transitive closure', () => {
+        const { query, params } = buildReachableQuery('edges', { maxDepth: 3 });
+
+        assert.ok(query.includes('reach[node, depth] := *edges{from: $start, to: node}, depth = 1'));
+        assert.ok(query.includes('d0 < $max_depth'));
+        assert.ok(query.includes('hops[node, min(depth)] := reach[node, depth]'));
+        assert.ok(query.includes(':order depth, node'));
+        assert.deepEqual(params, { max_depth: 3 });
+    });
+
+    it('uses custom edge field names', () => {
+        const { query } = buildReachableQuery('follows', {
+            maxDepth: 2,
+            fromField: 'follower',
+            toField: 'followee'
+        });
+
+        assert.ok(query.includes('*follows{follower: mid, followee: node}'));
+    });
+
+    it('requires a positive integer maxDepth', () => {
+        for (const maxDepth of [undefined, 0, -1, 2.5]) {
+            assert.throws(
+                () => buildReachableQuery('edges', { maxDepth }),
+                { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS }
+            );
+        }
+    });
+
+    it('rejects unsafe relation names', () => {
+        assert.throws(
+            () => buildReachableQuery('edges{from} :rm users', { maxDepth: 1 }),
+            { code: ErrorCodes.COZO_SEC_INVALID_INPUT }
+        );
+    });
+});
+
+describe('buildPathsQuery', () => {
+    it('enumerates simple paths without revisiting nodes', () => {
+        const { query } = buildPathsQuery('edges', { maxDepth: 4 });
+
+        assert.ok(query.includes('p = [$start, node]'));
+        assert.ok(query.includes('!is_in(node, p0)'));
+        assert.ok(query.includes('mid != $target'));
+        assert.ok(query.includes('length(p0) <= $max_depth'));
+        assert.ok(query.endsWith('?[p] := path[node, p], node == $target'));
+    });
+
+    it('requires maxDepth', () => {
+        assert.throws(() => buildPathsQuery('edges', {}), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+    });
+});
+
+describe('buildShortestPathQuery', () => {
+    it('sums the weight field when given', () => {
+        const { query } = buildShortestPathQuery('roads', { weightField: 'km' });
+
+        assert.ok(query.includes('*roads{from: $start, to: node, km: w}, hops = 1, cost = w'));
+        assert.ok(query.includes('cost = c0 + w'));
+        assert.ok(query.includes('c0 + w == cost'));
+        assert.ok(query.endsWith('?[cost, p] := back[node, 1, p0], best[$target, cost], p = prepend(p0, $start)'));
+    });
+
+    it('keeps one cost per (node, hops) instead of enumerating paths', () => {
+        // On a complete graph the number of simple paths explodes with depth;
+        // the fixed point only ever holds nodes x maxDepth dist rows.
+        const { query } = buildShortestPathQuery('edges', { maxDepth: 16 });
+        const recursive = query.split('\n').filter(line => /^dist\[.*:= dist\[/.test(line));
+
+        assert.deepEqual(recursive, [
+            'dist[node, hops, min(cost)] := dist[mid, h0, c0], h0 < $max_depth, *edges{from: mid, to: node}, hops = h0 + 1, cost = c0 + 1'
+        ]);
+        assert.ok(!query.includes('append('));
+        assert.ok(!query.includes('is_in('));
+        assert.ok(query.includes('back[node0, h0, p0], h0 > 1, via[node0, h0, node], hops = h0 - 1'));
+    });
+
+    it('counts hops without a weight field and applies the default depth bound', () => {
+        const { query, params } = buildShortestPathQuery('edges');
+
+        assert.ok(query.includes('cost = 1'));
+        assert.ok(!query.includes('w}'));
+        assert.deepEqual(params, { max_depth: DEFAULT_SHORTEST_PATH_DEPTH });
+    });
+});
+
+// ============================================
+// Traversal Factory Tests (Mock Executor)
+// ============================================
+
+describe('createGraphTraversal', () => {
+    const createMockExecutor = (rows) => {
+        const calls = [];
+        return {
+            calls,
+            query: async (q, params) => { calls.push({ q, params }); return rows; }
+        };
+    };
+
+    it('reachable returns a node list and binds start', async () => {
+        const exec = createMockExecutor([[2, 1], [3, 2]]);
+        const graph = createGraphTraversal(exec);
+
+        const nodes = await graph.reachable('edges', 1, { maxDepth: 5 });
+
+        assert.deepEqual(nodes, [2, 3]);
+        assert.deepEqual(exec.calls[0].params, { max_depth: 5, start: 1 });
+    });
+
+    it('pathsBetween returns path arrays sorted by length', async () => {
+        const exec = createMockExecutor([[[1, 2, 3, 4]], [[1, 4]]]);
+        const graph = createGraphTraversal(exec);
+
+        const paths = await graph.pathsBetween('edges', 1, 4, { maxDepth: 3 });
+
+        assert.deepEqual(paths, [[1, 4], [1, 2, 3, 4]]);
+        assert.deepEqual(exec.calls[0].params, { max_depth: 3, start: 1, target: 4 });
+    });
+
+    it('shortestPath returns path and cost, or null', async () => {
+        const graph = createGraphTraversal(createMockExecutor([[7.5, ['a', 'b', 'c']]]));
+        assert.deepEqual(
+            await graph.shortestPath('roads', 'a', 'c', { weightField: 'km' }),
+            { path: ['a', 'b', 'c'], cost: 7.5 }
+        );
+
+        const empty = createGraphTraversal(createMockExecutor([]));
+        assert.equal(await empty.shortestPath('roads', 'a', 'z'), null);
+    });
+
+    it('applies default edge fields from the factory', async () => {
+        const exec = createMockExecutor([]);
+        const graph = createGraphTraversal(exec, { fromField: 'src', toField: 'dst' });
+
+        await graph.reachable('links', 'x', { maxDepth: 1 });
+
+        assert.ok(exec.calls[0].q.includes('*links{src: $start, dst: node}'));
+    });
+
+    it('returns frozen object', () => {
+        assert.ok(Object.isFrozen(createGraphTraversal(createMockExecutor([]))));
+    });
+});
@@ -0,0 +1,188 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    createIndexManager,
+    buildCreateVectorIndexQuery,
+    buildDropVectorIndexQuery,
+    buildCreateTextIndexQuery,
+    buildDropTextIndexQuery,
+    validateVector
+} = require('../index-manager');
+const { ErrorCodes } = require('../cozo-errors');
+
+// ============================================
+// Pure Function Tests
+// ============================================
+
+describe('validateVector', () => {
+    it('returns vectors of the right dimension', () => {
+        const v = [0.1, 0.2, 0.3];
+        assert.equal(validateVector(v, 3), v);
+        assert.ok(validateVector(new Float32Array(3), 3));
+    });
+
+    it('rejects dimension mismatch with expected/actual in context', () => {
+        assert.throws(
+            () => validateVector([1, 2], 3, 'embedding'),
+            (err) => err.code === ErrorCodes.COZO_SCHEMA_TYPE_ERROR
+                && err.context.field === 'embedding'
+                && err.context.expected === 3
+                && err.context.actual === 2
+        );
+    });
+
+    it('rejects non-numeric entries and non-arrays', () => {
+        assert.throws(() => validateVector([1, 'x', 3], 3), { code: ErrorCodes.COZO_SCHEMA_TYPE_ERROR });
+        assert.throws(() => validateVector([1, NaN, 3], 3), { code: ErrorCodes.COZO_SCHEMA_TYPE_ERROR });
+        assert.throws(() => validateVector('1,2,3', 3), { code: ErrorCodes.COZO_SCHEMA_TYPE_ERROR });
+    });
+});
+
+describe('buildCreateVectorIndexQuery', () => {
+    it('generates ::hnsw create with defaults', () => {
+        const query = buildCreateVectorIndexQuery('items', { field: 'embedding', dim: 1536 });
+
+        assert.ok(query.startsWith('::hnsw create items:embedding_idx {'));
+        assert.ok(query.includes('dim: 1536'));
+        assert.ok(query.includes('fields: [embedding]'));
+        assert.ok(query.includes('distance: L2'));
+        assert.ok(query.includes('m: 50'));
+        assert.ok(query.includes('ef_construction: 20'));
+        assert.ok(query.includes('dtype: F32'));
+    });
+
+    it('applies custom options', () => {
+        const query = buildCreateVectorIndexQuery('items', {
+            field: 'v', dim: 8, name: 'vec_idx', distance: 'Cosine', m: 16, ef_construction: 100
+        });
+
+        assert.ok(query.startsWith('::hnsw create items:vec_idx {'));
+        assert.ok(query.includes('distance: Cosine'));
+        assert.ok(query.includes('m: 16'));
+        assert.ok(query.includes('ef_construction: 100'));
+    });
+
+    it('rejects invalid options', () => {
+        assert.throws(
+            () => buildCreateVectorIndexQuery('items', { field: 'v', dim: 0 }),
+            { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS }
+        );
+        assert.throws(
+            () => buildCreateVectorIndexQuery('items', { field: 'v', dim: 3, distance: 'Manhattan' }),
+            { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS }
+        );
+        assert.throws(
+            () => buildCreateVectorIndexQuery('items}', { field: 'v', dim: 3 }),
+            { code: ErrorCodes.COZO_SEC_INVALID_INPUT }
+        );
+    });
+});
+
+describe('buildDropVectorIndexQuery', () => {
+    it('generates ::hnsw drop', () => {
+        assert.equal(buildDropVectorIndexQuery('items', 'vec_idx'), '::hnsw drop items:vec_idx');
+    });
+});
+
+describe('buildCreateTextIndexQuery', () => {
+    it('generates ::fts create with default tokenizer and filters', () => {
+        const query = buildCreateTextIndexQuery('notes', { field: 'body' });
+
+        assert.ok(query.startsWith('::fts create notes:body_fts {'));
+        assert.ok(query.includes('extractor: body'));
+        assert.ok(query.includes('extract_filter: !is_null(body)'));
+        assert.ok(query.includes('tokenizer: Simple'));
+        assert.ok(query.includes('filters: [Lowercase]'));
+    });
+
+    it('accepts parameterised tokenizers and filters', () => {
+        const query = buildCreateTextIndexQuery('notes', {
+            field: 'body',
+            name: 'body_idx',
+            tokenizer: 'NGram(1, 3, false)',
+            filters: ['Lowercase', "Stemmer('english')", "Stopwords('en')"]
+        });
+
+        assert.ok(query.startsWith('::fts create notes:body_idx {'));
+        assert.ok(query.includes('tokenizer: NGram(1, 3, false)'));
+        assert.ok(query.includes("filters: [Lowercase, Stemmer('english'), Stopwords('en')]"));
+    });
+
+    it('rejects unknown tokenizers and filters', () => {
+        assert.throws(
+            () => buildCreateTextIndexQuery('notes', { field: 'body', tokenizer: 'Simple}; ::remove notes' }),
+            { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS }
+        );
+        assert.throws(
+            () => buildCreateTextIndexQuery('notes', { field: 'body', filters: ['Uppercase'] }),
+            { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS }
+        );
+    });
+});
+
+describe('buildDropTextIndexQuery', () => {
+    it('generates ::fts drop', () => {
+        assert.equal(buildDropTextIndexQuery('notes', 'body_fts'), '::fts drop notes:body_fts');
+    });
+});
+
+// ============================================
+// Index Manager Tests (Mock Executor)
+// ============================================
+
+describe('createIndexManager', () => {
+    const createMockExecutor = (error = null) => {
+        const calls = [];
+        return {
+            calls,
+            mutate: async (q) => {
+                calls.push(q);
+                if (error) throw new Error(error);
+                return { success: true, affected: 0 };
+            }
+        };
+    };
+
+    it('createVectorIndex runs the op and returns a descriptor', async () => {
+        const exec = createMockExecutor();
+        const manager = createIndexManager(exec);
+
+        const index = await manager.createVectorIndex('items', { field: 'embedding', dim: 4 });
+
+        assert.deepEqual(index, { name: 'embedding_idx', field: 'embedding', dim: 4 });
+        assert.ok(exec.calls[0].startsWith('::hnsw create items:embedding_idx'));
+    });
+
+    it('dropVectorIndex runs ::hnsw drop', async () => {
+        const exec = createMockExecutor();
+        await createIndexManager(exec).dropVectorIndex('items', 'embedding_idx');
+
+        assert.equal(exec.calls[0], '::hnsw drop items:embedding_idx');
+    });
+
+    it('createTextIndex and dropTextIndex run the fts ops', async () => {
+        const exec = createMockExecutor();
+        const manager = createIndexManager(exec);
+
+        const index = await manager.createTextIndex('notes', { field: 'body' });
+        await manager.dropTextIndex('notes', index.name);
+
+        assert.deepEqual(index, { name: 'body_fts', field: 'body' });
+        assert.ok(exec.calls[0].startsWith('::fts create notes:body_fts'));
+        assert.equal(exec.calls[1], '::fts drop notes:body_fts');
+    });
+
+    it('maps engine errors to CozoError', async () => {
+        const manager = createIndexManager(createMockExecutor('Relation items does not exist'));
+
+        await assert.rejects(
+            () => manager.createVectorIndex('items', { field: 'v', dim: 2 }),
+            { code: ErrorCodes.COZO_SCHEMA_RELATION_NOT_FOUND }
+        );
+    });
+
+    it('returns frozen object', () => {
+        assert.ok(Object.isFrozen(createIndexManager(createMockExecutor())));
+    });
+});
@@ -0,0 +1,186 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    introspect,
+    diffSchema,
+    toRepositorySchema,
+    toCreateSchema,
+    parseColumns,
+    parseColumnType
+} = require('../introspection');
+const { ErrorCodes } = require('../cozo-errors');
+
+// ============================================
+// Fixtures (shaped like CozoDB system op output)
+// ============================================
+
+const systemOps = {
+    '::relations': {
+        ok: true,
+        headers: ['name', 'arity', 'access_level', 'n_keys', 'n_non_keys'],
+        rows: [['docs', 4, 'normal', 1, 3], ['_tmp', 1, 'normal', 1, 0]]
+    },
+    '::columns docs': {
+        ok: true,
+        headers: ['column', 'is_key', 'index', 'type', 'has_default'],
+        rows: [
+            ['title', false, 1, 'String', false],
+            ['id', true, 0, 'Int', false],
+            ['body', false, 2, 'String?', true],
+            ['embedding', false, 3, '<F32;3>', false]
+        ]
+    },
+    '::indices docs': {
+        ok: true,
+        headers: ['name', 'type', 'relations', 'config'],
+        rows: [
+            ['by_title', 'normal', ['docs:by_title'], { indices: [1, 0] }],
+            ['embedding_idx', 'hnsw', ['docs:embedding_idx'], {
+                vec_dim: 3, dtype: 'F32', vec_fields: [3], distance: 'Cosine', ef_construction: 20, m_neighbours: 50
+            }],
+            ['body_fts', 'fts', ['docs:body_fts'], { extractor: 'body', tokenizer: 'Simple', tokenizer_filters: ['Lowercase'] }]
+        ]
+    }
+};
+
+const createMockExecutor = (ops = systemOps) => {
+    const calls = [];
+    return {
+        calls,
+        run: async (q) => {
+            calls.push(q);
+            return ops[q] || { ok: false, message: `Cannot find requested stored relation '${q}'` };
+        }
+    };
+};
+
+// ============================================
+// Parser Tests (Pure Functions)
+// ============================================
+
+describe('parseColumnType', () => {
+    it('splits nullability from the base type', () => {
+        assert.deepEqual(parseColumnType('String?'), { type: 'String', nullable: true });
+        assert.deepEqual(parseColumnType('<F32;128>'), { type: '<F32;128>', nullable: false });
+    });
+});
+
+describe('parseColumns', () => {
+    it('orders columns by index and splits keys from values', () => {
+        const { keys, values } = parseColumns(systemOps['::columns docs']);
+
+        assert.deepEqual(keys.map(c => c.name), ['id']);
+        assert.deepEqual(values.map(c => c.name), ['title', 'body', 'embedding']);
+        assert.deepEqual(values[1], { name: 'body', type: 'String', nullable: true, hasDefault: true, isKey: false });
+    });
+
+    it('falls back to known headers when none are returned', () => {
+        const { keys } = parseColumns({ rows: [['id', true, 0, 'Int', false]] });
+
+        assert.equal(keys[0].name, 'id');
+    });
+});
+
+// ============================================
+// Introspection Tests (Mock Executor)
+// ============================================
+
+describe('introspect', () => {
+    it('describes relations with columns and indexes', async () => {
+        const schema = await introspect(createMockExecutor());
+        const docs = schema.docs;
+
+        assert.deepEqual(Object.keys(schema), ['docs']);
+        assert.deepEqual(docs.indices, [{ name: 'by_title', fields: ['title', 'id'] }]);
+        assert.equal(docs.vectorIndexes[0].field, 'embedding');
+        assert.equal(docs.vectorIndexes[0].dim, 3);
+        assert.equal(docs.vectorIndexes[0].distance, 'Cosine');
+        assert.deepEqual(docs.textIndexes, [{ name: 'body_fts', field: 'body', tokenizer: 'Simple', filters: ['Lowercase'] }]);
+        assert.ok(Object.isFrozen(schema));
+        assert.ok(Object.isFrozen(docs));
+    });
+
+    it('limits to requested relations and reports missing ones', async () => {
+        const exec = createMockExecutor();
+        await introspect(exec, { relations: ['docs'] });
+        assert.ok(!exec.calls.includes('::columns _tmp'));
+
+        await assert.rejects(
+            () => introspect(createMockExecutor(), { relations: ['nope'] }),
+            { code: ErrorCodes.COZO_SCHEMA_RELATION_NOT_FOUND }
+        );
+    });
+
+    it('maps failed system ops to CozoError', async () => {
+        const ops = { ...systemOps, '::columns docs': { ok: false, message: 'Query timeout' } };
+
+        await assert.rejects(() => introspect(createMockExecutor(ops)), { code: ErrorCodes.COZO_QUERY_TIMEOUT });
+    });
+});
+
+describe('conversions', () => {
+    it('toRepositorySchema feeds createRepository', async () => {
+        const { docs } = await introspect(createMockExecutor());
+
+        assert.deepEqual(toRepositorySchema(docs), {
+            keys: ['id'],
+            values: ['title', 'body', 'embedding'],
+            vectorIndex: { name: 'embedding_idx', field: 'embedding', dim: 3 },
+            textIndexes: [{ name: 'body_fts', field: 'body' }]
+        });
+    });
+
+    it('toCreateSchema keeps types and nullability', async () => {
+        const { docs } = await introspect(createMockExecutor());
+
+        assert.deepEqual(toCreateSchema(docs).valueFields[1], { name: 'body', type: 'String?' });
+    });
+});
+
+// ============================================
+// Diff Tests (Pure Functions)
+// ============================================
+
+describe('diffSchema', () => {
+    const desired = {
+        docs: {
+            keyFields: [{ name: 'id', type: 'Int' }],
+            valueFields: [
+                { name: 'title', type: 'String?' },
+                { name: 'embedding', type: '<F32; 3>' },
+                { name: 'tags', type: '[String]', default: '[]' }
+            ],
+            indices: [{ name: 'embedding_idx', type: 'hnsw' }, { name: 'title_fts', type: 'fts' }]
+        },
+        users: { keyFields: [{ name: 'id', type: 'Int' }], valueFields: [] }
+    };
+
+    it('lists column, index and relation changes', async () => {
+        const actual = await introspect(createMockExecutor());
+        const changes = diffSchema(actual, desired);
+
+        assert.deepEqual(changes.map(c => [c.op, c.relation, c.column ?? c.index?.name]), [
+            ['changeColumn', 'docs', 'title'],
+            ['addColumn', 'docs', 'tags'],
+            ['dropColumn', 'docs', 'body'],
+            ['createIndex', 'docs', 'title_fts'],
+            ['dropIndex', 'docs', 'by_title'],
+            ['dropIndex', 'docs', 'body_fts'],
+            ['createRelation', 'users', undefined]
+        ]);
+        assert.deepEqual(changes[0].to, { type: 'String', nullable: true });
+        assert.deepEqual(changes[1].field, { name: 'tags', type: '[String]', default: '[]' });
+    });
+
+    it('reports key changes and extra relations on request', async () => {
+        const actual = await introspect(createMockExecutor());
+        const { valueFields } = toCreateSchema(actual.docs);
+        const changes = diffSchema(actual, {
+            docs: { keyFields: [{ name: 'slug', type: 'String' }], valueFields }
+        }, { dropExtra: true });
+
+        assert.deepEqual(changes, [{ op: 'changeKeys', relation: 'docs', from: ['id'], to: ['slug'] }]);
+        assert.deepEqual(diffSchema(actual, {}, { dropExtra: true }), [{ op: 'dropRelation', relation: 'docs' }]);
+    });
+});
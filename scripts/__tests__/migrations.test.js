@@ -0,0 +1,255 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    createMigrator,
+    relationExists,
+    createRelation,
+    dropRelation,
+    addColumn,
+    dropColumn,
+    normalizeMigrations,
+    checksum
+} = require('../migrations');
+const { ErrorCodes } = require('../cozo-errors');
+
+const usersSchema = {
+    keyFields: [{ name: 'id', type: 'Int' }],
+    valueFields: [{ name: 'name', type: 'String' }]
+};
+
+const migrations = [
+    { version: 1, name: 'create users', up: [createRelation('users', usersSchema)], down: [dropRelation('users')] },
+    {
+        version: 2,
+        name: 'add users.email',
+        up: [addColumn('users', usersSchema, { name: 'email', type: 'String', default: "''" })],
+        down: [dropColumn('users', { ...usersSchema, valueFields: [...usersSchema.valueFields, { name: 'email', type: 'String' }] }, 'email')]
+    }
+];
+
+// ============================================
+// Pure Function Tests
+// ============================================
+
+describe('checksum', () => {
+    it('is stable and sensitive to edits', () => {
+        assert.equal(checksum(':create a {x: Int}'), checksum(':create a {x: Int}'));
+        assert.notEqual(checksum(':create a {x: Int}'), checksum(':create a {x: Float}'));
+        assert.match(checksum(''), /^[0-9a-f]{8}$/);
+    });
+});
+
+describe('normalizeMigrations', () => {
+    it('sorts by version and flattens steps', () => {
+        const plan = normalizeMigrations([migrations[1], migrations[0]]);
+
+        assert.deepEqual(plan.map(m => m.version), [1, 2]);
+        assert.equal(plan[1].upQueries.length, 4);
+        assert.ok(Object.isFrozen(plan[0]));
+    });
+
+    it('ignores down steps in the checksum', () => {
+        const [a] = normalizeMigrations([{ version: 1, name: 'x', up: ':create a {x: Int}' }]);
+        const [b] = normalizeMigrations([{ version: 1, name: 'x', up: ':create a {x: Int}', down: '::remove a' }]);
+
+        assert.equal(a.checksum, b.checksum);
+    });
+
+    it('rejects bad versions, duplicates and empty steps', () => {
+        assert.throws(() => normalizeMigrations([{ version: 0, name: 'x', up: 'q' }]), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+        assert.throws(
+            () => normalizeMigrations([{ version: 1, name: 'a', up: 'q' }, { version: 1, name: 'b', up: 'q' }]),
+            { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS }
+        );
+        assert.throws(() => normalizeMigrations([{ version: 1, name: 'a', up: [''] }]), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+    });
+});
+
+describe('step helpers', () => {
+    it('addColumn copies into a new relation, then swaps', () => {
+        const step = addColumn('users', usersSchema, { name: 'email', type: 'String', default: "''" });
+
+        assert.ok(step.queries[0].startsWith(':create users_migrating {'));
+        assert.ok(step.queries[0].includes("email: String default ''"));
+        assert.ok(step.queries[1].includes('?[id, name] := *users{id, name}'));
+        assert.ok(step.queries[1].includes(':put users_migrating {id => name}'));
+        assert.equal(step.queries[2], '::remove users');
+        assert.equal(step.queries[3], '::rename users_migrating -> users');
+    });
+
+    it('addColumn requires a default or nullable type and a new name', () => {
+        assert.throws(
+            () => addColumn('users', usersSchema, { name: 'email', type: 'String' }),
+            { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS }
+        );
+        assert.doesNotThrow(() => addColumn('users', usersSchema, { name: 'email', type: 'String?' }));
+        assert.ok(addColumn('users', usersSchema, { name: 'visits', type: 'Int', default: 0 }).queries[0].includes('visits: Int default 0'));
+        assert.throws(
+            () => addColumn('users', usersSchema, { name: 'name', type: 'String?' }),
+            { code: ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH }
+        );
+    });
+
+    it('dropColumn only copies the remaining columns', () => {
+        const schema = { ...usersSchema, valueFields: [...usersSchema.valueFields, { name: 'email', type: 'String' }] };
+        const step = dropColumn('users', schema, 'email');
+
+        assert.ok(step.queries[1].includes(':put users_migrating {id => name}'));
+        assert.throws(() => dropColumn('users', schema, 'id'), { code: ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH });
+    });
+});
+
+// ============================================
+// Migrator Tests (Mock Executor)
+// ============================================
+
+describe('createMigrator', () => {
+    /**
+     * Executor that keeps the migration log in memory
+     */
+    const createMockExecutor = ({ failOn = null } = {}) => {
+        const state = { relations: new Set(), log: new Map(), mutations: [] };
+        return {
+            state,
+            query: async (q) => {
+                if (q === '::relations') return [...state.relations].map(name => [name]);
+                if (q.includes('*schema_migrations{')) {
+                    return [...state.log.values()].sort((a, b) => a[0] - b[0]);
+                }
+                return [];
+            },
+            mutate: async (q, params = {}) => {
+                if (failOn && q.includes(failOn)) throw new Error('Relation users already exists');
+                state.mutations.push(q);
+                if (q.startsWith(':create schema_migrations')) state.relations.add('schema_migrations');
+                if (q.includes(':put schema_migrations')) params.rows.forEach(r => state.log.set(r[0], r));
+                if (q.includes(':rm schema_migrations')) params.rows.forEach(([v]) => state.log.delete(v));
+                return { success: true, affected: 0 };
+            }
+        };
+    };
+
+    it('status reports everything pending on a fresh database', async () => {
+        const exec = createMockExecutor();
+        const status = await createMigrator(exec, migrations).status();
+
+        assert.equal(status.current, null);
+        assert.deepEqual(status.pending, [{ version: 1, name: 'create users' }, { version: 2, name: 'add users.email' }]);
+        assert.deepEqual(status.drifted, []);
+        assert.equal(exec.state.mutations.length, 0);
+    });
+
+    it('dry run returns the plan without touching the database', async () => {
+        const exec = createMockExecutor();
+        const result = await createMigrator(exec, migrations).migrate({ dryRun: true });
+
+        assert.equal(result.dryRun, true);
+        assert.deepEqual(result.steps.map(s => [s.version, s.direction]), [[1, 'up'], [2, 'up']]);
+        assert.equal(exec.state.mutations.length, 0);
+    });
+
+    it('migrate creates the log, runs steps in order and records versions', async () => {
+        const exec = createMockExecutor();
+        const migrator = createMigrator(exec, migrations, { now: () => 1000 });
+
+        await migrator.migrate({ to: 1 });
+        assert.ok(exec.state.mutations[0].startsWith(':create schema_migrations'));
+        assert.ok(exec.state.mutations[1].startsWith(':create users'));
+        assert.equal((await migrator.status()).current, 1);
+
+        await migrator.migrate();
+        const status = await migrator.status();
+        assert.equal(status.current, 2);
+        assert.deepEqual(status.pending, []);
+        assert.equal(status.applied[1].appliedAt, 1000);
+
+        const again = await migrator.migrate();
+        assert.deepEqual(again.steps, []);
+    });
+
+    it('detects checksum drift and refuses to migrate', async () => {
+        const exec = createMockExecutor();
+        await createMigrator(exec, migrations).migrate({ to: 1 });
+
+        const edited = [{ ...migrations[0], up: ':create users {id: Int => name: String, age: Int}' }, migrations[1]];
+        const migrator = createMigrator(exec, edited);
+
+        assert.deepEqual((await migrator.status()).drifted.map(d => d.version), [1]);
+        await assert.rejects(
+            () => migrator.migrate(),
+            (err) => err.code === ErrorCodes.COZO_SCHEMA_MIGRATION_DRIFT && err.context.drifted[0].version === 1
+        );
+    });
+
+    it('surfaces step failures with the migration in context', async () => {
+        const exec = createMockExecutor({ failOn: ':create users' });
+
+        await assert.rejects(
+            () => createMigrator(exec, migrations).migrate(),
+            (err) => err.code === ErrorCodes.COZO_SCHEMA_RELATION_EXISTS
+                && err.context.version === 1
+                && err.context.direction === 'up'
+        );
+        assert.equal(exec.state.log.size, 0);
+    });
+
+    it('baseline records existing schema as applied without running it', async () => {
+        const exec = createMockExecutor();
+        exec.state.relations.add('users');
+        const migrator = createMigrator(exec, migrations);
+
+        assert.equal(await relationExists(exec, 'users'), true);
+        const planned = await migrator.baseline(1, { dryRun: true });
+        assert.deepEqual(planned.steps.map(s => s.version), [1]);
+        assert.equal(exec.state.mutations.length, 0);
+
+        await migrator.baseline(1);
+        assert.ok(exec.state.mutations[0].startsWith(':create schema_migrations'));
+        assert.ok(!exec.state.mutations.some(q => q.startsWith(':create users')));
+        assert.equal((await migrator.status()).current, 1);
+
+        assert.deepEqual((await migrator.baseline(1)).steps, []);
+        const { steps } = await migrator.migrate();
+        assert.deepEqual(steps.map(s => s.version), [2]);
+    });
+
+    it('baseline rejects versions that are not defined', async () => {
+        const migrator = createMigrator(createMockExecutor(), migrations);
+
+        await assert.rejects(() => migrator.baseline(3), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+    });
+
+    it('rollback reverts newest first and removes log entries', async () => {
+        const exec = createMockExecutor();
+        const migrator = createMigrator(exec, migrations);
+        await migrator.migrate();
+
+        const planned = await migrator.rollback({ to: 0, dryRun: true });
+        assert.deepEqual(planned.steps.map(s => s.version), [2, 1]);
+        assert.equal(exec.state.log.size, 2);
+
+        await migrator.rollback();
+        assert.equal((await migrator.status()).current, 1);
+        assert.ok(exec.state.mutations.includes('::remove users'));
+    });
+
+    it('rollback requires down steps', async () => {
+        const exec = createMockExecutor();
+        const migrator = createMigrator(exec, [{ version: 1, name: 'one-way', up: ':create a {x: Int}' }]);
+        await migrator.migrate();
+
+        await assert.rejects(() => migrator.rollback(), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+    });
+
+    it('rejects ephemeral log relation names', () => {
+        assert.throws(
+            () => createMigrator(createMockExecutor(), migrations, { relation: '_migrations' }),
+            { code: ErrorCodes.COZO_SEC_INVALID_INPUT }
+        );
+    });
+
+    it('returns frozen object', () => {
+        assert.ok(Object.isFrozen(createMigrator(createMockExecutor(), migrations)));
+    });
+});
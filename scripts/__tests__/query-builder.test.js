@@ -0,0 +1,362 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    createQueryBuilder,
+    relation,
+    ruleAtom,
+    search,
+    not,
+    pred,
+    unify,
+    renderAtom,
+    compileWhere,
+    aggregate,
+    count,
+    mean
+} = require('../query-builder');
+const { CozoError, ErrorCodes } = require('../cozo-errors');
+const { loadInBrowserScope } = require('./browser-scope');
+
+// ============================================
+// Atom Tests (Pure Functions)
+// ============================================
+
+describe('renderAtom', () => {
+    it('renders relation with array bindings as shorthand', () => {
+        assert.equal(renderAtom(relation('users', ['id', 'name'])), '*users{id, name}');
+    });
+
+    it('renders relation with field-to-variable bindings', () => {
+        const atom = relation('users', { id: 'user_id', name: 'name' });
+        assert.equal(renderAtom(atom), '*users{id: user_id, name}');
+    });
+
+    it('renders params and numbers as terms', () => {
+        const atom = relation('edges', { from: 1, to: '$target' });
+        assert.equal(renderAtom(atom), '*edges{from: 1, to: $target}');
+    });
+
+    it('renders a time-travel timestamp on relation atoms', () => {
+        const atom = relation('facts', ['subject', 'body'], { asOf: '$as_of' });
+        assert.equal(renderAtom(atom), '*facts{subject, body @ $as_of}');
+        assert.throws(() => relation('facts', ['subject'], { asOf: "'NOW'} :rm facts" }), { code: ErrorCodes.COZO_SEC_INVALID_INPUT });
+    });
+
+    it('renders rule application', () => {
+        assert.equal(renderAtom(ruleAtom('reachable', ['a', 'b'])), 'reachable[a, b]');
+    });
+
+    it('renders index search atoms', () => {
+        const atom = search('items', 'vec_idx', ['id', 'title'], {
+            query: 'q', k: 5, ef: 40, bind_distance: 'dist'
+        });
+        assert.equal(
+            renderAtom(atom),
+            '~items:vec_idx{id, title | query: q, k: 5, ef: 40, bind_distance: dist}'
+        );
+        assert.throws(() => search('items', 'idx}', ['id']), { code: ErrorCodes.COZO_SEC_INVALID_INPUT });
+    });
+
+    it('renders negation', () => {
+        const atom = not(relation('banned', { user_id: 'id' }));
+        assert.equal(renderAtom(atom), 'not *banned{user_id: id}');
+    });
+
+    it('renders predicates and unification verbatim', () => {
+        assert.equal(renderAtom(pred('age > $min_age')), 'age > $min_age');
+        assert.equal(renderAtom(unify('n', 'd + 1')), 'n = d + 1');
+    });
+
+    it('throws CozoError on unknown atom kind', () => {
+        assert.throws(() => renderAtom({ kind: 'bogus' }), CozoError);
+    });
+
+    it('validates relation, field and rule names', () => {
+        assert.throws(() => relation('users{id}', ['id']), { code: ErrorCodes.COZO_SEC_INVALID_INPUT });
+        assert.throws(() => relation('users', { 'id}': 'x' }), { code: ErrorCodes.COZO_SEC_INVALID_INPUT });
+        assert.throws(() => relation('users', { id: "x}, *secrets{y" }), { code: ErrorCodes.COZO_SEC_INVALID_INPUT });
+        assert.throws(() => ruleAtom('r[x] := *secret{x}', []), { code: ErrorCodes.COZO_SEC_INVALID_INPUT });
+        assert.throws(
+            () => createQueryBuilder().rule('bad name', ['x'], [relation('t', ['x'])]),
+            { code: ErrorCodes.COZO_SEC_INVALID_INPUT }
+        );
+    });
+
+    it('returns frozen atoms', () => {
+        assert.ok(Object.isFrozen(relation('users', ['id'])));
+        assert.ok(Object.isFrozen(ruleAtom('r', ['a'])));
+    });
+});
+
+describe('aggregate', () => {
+    it('builds aggregation head expressions', () => {
+        assert.equal(count('name'), 'count(name)');
+        assert.equal(mean('salary'), 'mean(salary)');
+    });
+
+    it('rejects unknown aggregation functions', () => {
+        assert.throws(
+            () => aggregate('median', 'x'),
+            { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS }
+        );
+    });
+
+    it('rejects aggregated expressions that are not variables', () => {
+        assert.throws(() => aggregate('count', 'x) + evil(y'), { code: ErrorCodes.COZO_SEC_INVALID_INPUT });
+    });
+});
+
+// ============================================
+// Where DSL Tests
+// ============================================
+
+describe('compileWhere', () => {
+    it('compiles the documented example with every literal bound', () => {
+        const { expr, params, fields } = compileWhere({
+            age: { gt: 25 },
+            department: { in: ['Eng', 'Ops'] },
+            name: { startsWith: 'A' }
+        });
+
+        assert.equal(expr, '(age > $w0 && is_in(department, $w1) && starts_with(name, $w2))');
+        assert.deepEqual(params, { w0: 25, w1: ['Eng', 'Ops'], w2: 'A' });
+        assert.deepEqual(fields, ['age', 'department', 'name']);
+    });
+
+    it('treats literals as equality and null as is_null', () => {
+        const { expr, params } = compileWhere({ name: "O'Brien", email: null });
+
+        assert.equal(expr, '(name == $w0 && is_null(email))');
+        assert.deepEqual(params, { w0: "O'Brien" });
+    });
+
+    it('supports and / or / not', () => {
+        const { expr } = compileWhere({
+            or: [{ role: 'admin' }, { and: [{ age: { gte: 60 } }, { not: { retired: true } }] }]
+        });
+
+        assert.equal(expr, '(role == $w0 || (age >= $w1 && !(retired == $w2)))');
+    });
+
+    it('supports null checks and negated membership', () => {
+        const { expr } = compileWhere({
+            email: { isNull: false },
+            status: { notIn: ['banned'] }
+        });
+
+        assert.equal(expr, '(!is_null(email) && !is_in(status, $w0))');
+    });
+
+    it('supports string predicates and transforms', () => {
+        const { expr, params } = compileWhere({
+            name: { endsWith: 'son', contains: 'ar', regex: '^[A-Z]' },
+            email: { lowercase: { eq: 'a@b.c' } },
+            title: { length: { lte: 80 } }
+        });
+
+        assert.equal(expr, '((ends_with(name, $w0) && str_includes(name, $w1) && regex_matches(name, $w2))'
+            + ' && lowercase(email) == $w3 && length(title) <= $w4)');
+        assert.equal(params.w4, 80);
+    });
+
+    it('uses a custom param prefix', () => {
+        const { expr, params } = compileWhere({ id: 1 }, { paramPrefix: 'f_' });
+        assert.equal(expr, 'id == $f_0');
+        assert.deepEqual(params, { f_0: 1 });
+    });
+
+    it('returns an empty expression for empty where', () => {
+        assert.equal(compileWhere({}).expr, '');
+        assert.equal(compileWhere(null).expr, '');
+    });
+
+    it('rejects unknown operators and malicious field names', () => {
+        assert.throws(
+            () => compileWhere({ age: { between: [1, 2] } }),
+            { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS }
+        );
+        assert.throws(
+            () => compileWhere({ 'age > 0 || true': 1 }),
+            { code: ErrorCodes.COZO_SEC_INVALID_INPUT }
+        );
+        assert.throws(
+            () => compileWhere({ status: { in: 'x' } }),
+            { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS }
+        );
+    });
+});
+
+// ============================================
+// Builder Tests
+// ============================================
+
+describe('createQueryBuilder', () => {
+    it('builds a simple select', () => {
+        const { query, params } = createQueryBuilder()
+            .select(['id', 'name'], [relation('users', ['id', 'name'])])
+            .build();
+
+        assert.equal(query, '?[id, name] := *users{id, name}');
+        assert.deepEqual(params, {});
+    });
+
+    it('joins relations on shared variables', () => {
+        const { query } = createQueryBuilder()
+            .select(['user_name', 'amount'], [
+                relation('users', { id: 'user_id', name: 'user_name' }),
+                relation('orders', ['user_id', 'amount'])
+            ])
+            .build();
+
+        assert.equal(
+            query,
+            '?[user_name, amount] := *users{id: user_id, name: user_name}, *orders{user_id, amount}'
+        );
+    });
+
+    it('emits one line per body for disjunction', () => {
+        const { query } = createQueryBuilder()
+            .rule('special', ['name'],
+                [relation('users', ['name', 'role']), pred("role == 'admin'")],
+                [relation('users', ['name', 'age']), pred('age > 60')])
+            .select(['name'], [ruleAtom('special', ['name'])])
+            .build();
+
+        assert.equal(query, [
+            "special[name] := *users{name, role}, role == 'admin'",
+            'special[name] := *users{name, age}, age > 60',
+            '?[name] := special[name]'
+        ].join('\n'));
+    });
+
+    it('supports recursive rules defined across calls', () => {
+        const { query, params } = createQueryBuilder()
+            .rule('reachable', ['to'], [relation('edges', { from: '$start', to: 'to' })])
+            .rule('reachable', ['to'], [
+                ruleAtom('reachable', ['mid']),
+                relation('edges', { from: 'mid', to: 'to' })
+            ])
+            .select(['id'], [ruleAtom('reachable', ['id'])])
+            .params({ start: 1 })
+            .build();
+
+        assert.equal(query, [
+            'reachable[to] := *edges{from: $start, to}',
+            'reachable[to] := reachable[mid], *edges{from: mid, to}',
+            '?[id] := reachable[id]'
+        ].join('\n'));
+        assert.deepEqual(params, { start: 1 });
+    });
+
+    it('places the entry rule last regardless of definition order', () => {
+        const { query } = createQueryBuilder()
+            .select(['x'], [ruleAtom('r', ['x'])])
+            .rule('r', ['x'], [relation('t', ['x'])])
+            .build();
+
+        assert.ok(query.endsWith('?[x] := r[x]'));
+    });
+
+    it('supports aggregations in the head', () => {
+        const { query } = createQueryBuilder()
+            .select(['department', count('name')], [relation('employees', ['name', 'department'])])
+            .build();
+
+        assert.ok(query.startsWith('?[department, count(name)] :='));
+    });
+
+    it('adds :order, :limit and :offset options', () => {
+        const { query } = createQueryBuilder()
+            .select(['name', 'age'], [relation('users', ['name', 'age'])])
+            .orderBy(['-age', 'name'])
+            .limit(10)
+            .offset(20)
+            .build();
+
+        assert.ok(query.includes('\n:order -age, name'));
+        assert.ok(query.includes('\n:limit 10'));
+        assert.ok(query.includes('\n:offset 20'));
+    });
+
+    it('supports negation in bodies', () => {
+        const { query } = createQueryBuilder()
+            .select(['name'], [
+                relation('users', ['name', 'id']),
+                not(relation('banned', { user_id: 'id' }))
+            ])
+            .build();
+
+        assert.equal(query, '?[name] := *users{name, id}, not *banned{user_id: id}');
+    });
+
+    it('is immutable (each call returns a new builder)', () => {
+        const base = createQueryBuilder().select(['id'], [relation('users', ['id'])]);
+        const limited = base.limit(5);
+
+        assert.notEqual(base, limited);
+        assert.ok(!base.build().query.includes(':limit'));
+        assert.ok(limited.build().query.includes(':limit 5'));
+        assert.ok(Object.isFrozen(base));
+    });
+
+    it('throws without an entry rule', () => {
+        assert.throws(
+            () => createQueryBuilder().rule('r', ['x'], [relation('t', ['x'])]).build(),
+            { code: ErrorCodes.COZO_QUERY_SYNTAX_ERROR }
+        );
+    });
+
+    it('throws on empty rule bodies', () => {
+        assert.throws(
+            () => createQueryBuilder().select(['x'], []),
+            { code: ErrorCodes.COZO_QUERY_SYNTAX_ERROR }
+        );
+    });
+
+    it('throws when a rule is redefined with different arity', () => {
+        const builder = createQueryBuilder().rule('r', ['x'], [relation('t', ['x'])]);
+        assert.throws(
+            () => builder.rule('r', ['x', 'y'], [relation('t', ['x', 'y'])]),
+            { code: ErrorCodes.COZO_QUERY_SYNTAX_ERROR }
+        );
+    });
+
+    it('rejects head terms that are neither variables nor aggregations', () => {
+        const body = [relation('users', ['id', 'age'])];
+        assert.equal(createQueryBuilder().select(['id', count('age')], body).build().query, '?[id, count(age)] := *users{id, age}');
+        assert.throws(() => createQueryBuilder().select(['id + 1'], body), { code: ErrorCodes.COZO_SEC_INVALID_INPUT });
+        assert.throws(() => createQueryBuilder().select(['count(x) + evil(y)'], body), { code: ErrorCodes.COZO_SEC_INVALID_INPUT });
+        assert.throws(() => createQueryBuilder().select(['median(age)'], body), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+    });
+
+    it('validates order terms', () => {
+        const builder = createQueryBuilder().select(['id', 'age'], [relation('users', ['id', 'age'])]);
+        assert.ok(builder.orderBy('-age, id').build().query.endsWith(':order -age, id'));
+        assert.throws(() => builder.orderBy('id\n:rm users {id}'), { code: ErrorCodes.COZO_SEC_INVALID_INPUT });
+        assert.throws(() => builder.orderBy(['--age']), { code: ErrorCodes.COZO_SEC_INVALID_INPUT });
+    });
+
+    it('rejects invalid limit and offset', () => {
+        const builder = createQueryBuilder();
+        assert.throws(() => builder.limit(-1), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+        assert.throws(() => builder.offset(1.5), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+    });
+
+    it('toString returns the query string', () => {
+        const builder = createQueryBuilder().select(['id'], [relation('users', ['id'])]);
+        assert.equal(String(builder), '?[id] := *users{id}');
+    });
+});
+
+// ============================================
+// Browser Export
+// ============================================
+
+describe('window.CozoQueryBuilder', () => {
+    it('exposes the same functions as module.exports', () => {
+        const window = loadInBrowserScope('cozo-errors', 'query-builder');
+
+        assert.deepEqual(Object.keys(window.CozoQueryBuilder).sort(), Object.keys(require('../query-builder')).sort());
+    });
+});
@@ -0,0 +1,186 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { defineRelation, matchesType, ValidationCodes } = require('../schema');
+const { buildCreateQuery, createRepository } = require('../cozo-wrapper');
+const { createRelation } = require('../migrations');
+const { ErrorCodes } = require('../cozo-errors');
+
+const users = defineRelation({
+    name: 'users',
+    keys: { id: 'Int' },
+    values: {
+        username: { type: 'String', check: v => v.length >= 3 },
+        email: 'String',
+        bio: 'String?',
+        created_at: { type: 'Float', default: 'now()' }
+    },
+    indices: [{ name: 'by_email', fields: ['email'] }]
+});
+
+// ============================================
+// Definition Tests
+// ============================================
+
+describe('defineRelation', () => {
+    it('normalises field maps into key/value fields', () => {
+        assert.deepEqual(users.keys, ['id']);
+        assert.deepEqual(users.values, ['username', 'email', 'bio', 'created_at']);
+        assert.equal(users.valueFields[2].nullable, true);
+        assert.equal(users.valueFields[2].baseType, 'String');
+        assert.ok(Object.isFrozen(users));
+    });
+
+    it('accepts field lists in buildCreateQuery shape', () => {
+        const tags = defineRelation({
+            name: 'tags',
+            keys: [{ name: 'id', type: 'Int' }],
+            values: [{ name: 'label', type: 'String', default: "''" }]
+        });
+
+        assert.ok(tags.createQuery.includes("label: String default ''"));
+    });
+
+    it('produces create and index queries', () => {
+        assert.ok(users.createQuery.startsWith(':create users {'));
+        assert.ok(users.createQuery.includes('created_at: Float default now()'));
+        assert.deepEqual(users.indexQueries, ['::index create users:by_email {email}']);
+    });
+
+    it('renders HNSW and FTS indexes, inferring vector dimension', () => {
+        const docs = defineRelation({
+            name: 'docs',
+            keys: { id: 'Int' },
+            values: { body: 'String', embedding: '<F32;4>' },
+            indices: [{ type: 'hnsw', field: 'embedding', distance: 'Cosine' }, { type: 'fts', field: 'body' }]
+        });
+
+        assert.equal(docs.indices[0].dim, 4);
+        assert.ok(docs.indexQueries[0].startsWith('::hnsw create docs:embedding_idx {'));
+        assert.ok(docs.indexQueries[0].includes('dim: 4'));
+        assert.ok(docs.indexQueries[1].startsWith('::fts create docs:body_fts {'));
+    });
+
+    it('rejects bad definitions', () => {
+        assert.throws(() => defineRelation({ name: 'x', keys: {}, values: { a: 'Int' } }), { code: ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH });
+        assert.throws(() => defineRelation({ name: 'x', keys: { a: 'Int' }, values: { a: 'Int' } }), { code: ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH });
+        assert.throws(() => defineRelation({ name: 'x', keys: { a: '' } }), { code: ErrorCodes.COZO_SCHEMA_TYPE_ERROR });
+        assert.throws(
+            () => defineRelation({ name: 'x', keys: { a: 'Int' }, indices: [{ name: 'i', fields: ['b'] }] }),
+            { code: ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH }
+        );
+        assert.throws(() => defineRelation({ name: 'x}', keys: { a: 'Int' } }), { code: ErrorCodes.COZO_SEC_INVALID_INPUT });
+    });
+});
+
+describe('definition.validate', () => {
+    it('accepts a complete record, leaving defaults and nullable fields optional', () => {
+        const result = users.validate({ id: 1, username: 'alice', email: 'a@example.com' });
+
+        assert.deepEqual(result, { valid: true, errors: [] });
+    });
+
+    it('reports missing, unknown, mistyped and failed-check fields', () => {
+        const { valid, errors } = users.validate({ username: 'al', email: 3, bio: null, nickname: 'x' });
+
+        assert.equal(valid, false);
+        assert.deepEqual(errors, [
+            { field: 'nickname', code: ValidationCodes.UNKNOWN_FIELD },
+            { field: 'id', code: ValidationCodes.MISSING_FIELD },
+            { field: 'username', code: ValidationCodes.INVALID_VALUE },
+            { field: 'email', code: ValidationCodes.INVALID_TYPE }
+        ]);
+    });
+
+    it('partial mode only checks present fields', () => {
+        assert.equal(users.validate({ email: 'b@example.com' }, { partial: true }).valid, true);
+        assert.equal(users.validate({ username: null }, { partial: true }).valid, false);
+    });
+});
+
+describe('matchesType', () => {
+    it('checks primitive column types', () => {
+        assert.ok(matchesType('Int', 3));
+        assert.ok(!matchesType('Int', 3.5));
+        assert.ok(matchesType('Float', 3.5));
+        assert.ok(!matchesType('Bool', 'true'));
+        assert.ok(matchesType('Json', { any: 'thing' }));
+    });
+
+    it('agrees with repository coercion for richer types', () => {
+        assert.ok(matchesType('Int', '42'));
+        assert.ok(matchesType('<F32;2>', [0.1, 0.2]));
+        assert.ok(!matchesType('<F32;2>', [0.1]));
+        assert.ok(!matchesType('Uuid', 'abc'));
+    });
+});
+
+describe('definition repositories', () => {
+    it('type-check writes against the declared field types', async () => {
+        const calls = [];
+        const exec = { query: async () => [], mutate: async (q, params) => { calls.push(params); return { success: true, affected: 1 }; } };
+        const repo = users.repository(exec);
+
+        await repo.save({ id: '3', username: 'carol', email: 'c@example.com', bio: null, created_at: 1 });
+        assert.deepEqual(calls[0].rows, [[3, 'carol', 'c@example.com', null, 1]]);
+
+        await assert.rejects(
+            () => repo.save({ id: 4, username: 'dave', email: null, bio: null, created_at: 1 }),
+            (err) => err.code === ErrorCodes.COZO_SCHEMA_TYPE_ERROR && err.context.errors[0].field === 'email'
+        );
+    });
+
+    it('leave out defaulted fields and require the rest', async () => {
+        const queries = [];
+        const exec = { query: async () => [], mutate: async (q) => { queries.push(q); return { success: true, affected: 1 }; } };
+        const repo = users.repository(exec);
+
+        await repo.save({ id: 5, username: 'erin', email: 'e@example.com' });
+        assert.ok(queries[0].includes(':put users {id => username, email, bio}'));
+
+        await assert.rejects(() => repo.save({ id: 6, username: 'frank' }), { code: ErrorCodes.COZO_DATA_CONSTRAINT_ERROR });
+    });
+
+    it('replace with the declared column types and defaults, unless indexed', async () => {
+        const queries = [];
+        const exec = { query: async () => [], mutate: async (q) => { queries.push(q); return { success: true, affected: 1 }; } };
+        const posts = defineRelation({
+            name: 'posts',
+            keys: { id: 'Int' },
+            values: { title: 'String', created_at: { type: 'Float', default: 'now()' } }
+        });
+
+        await posts.repository(exec).replace([{ id: 1, title: 'a', created_at: 0 }]);
+        assert.ok(queries[0].includes(':replace posts {id: Int => title: String, created_at: Float default now()}'));
+
+        await assert.rejects(() => users.repository(exec).replace([]), { code: ErrorCodes.COZO_QUERY_INVALID_PARAMS });
+        assert.equal(queries.length, 1);
+    });
+});
+
+// ============================================
+// Builders Accepting Definitions
+// ============================================
+
+describe('builders accept definitions', () => {
+    it('buildCreateQuery(definition) matches the definition create query', () => {
+        assert.equal(buildCreateQuery(users), users.createQuery);
+    });
+
+    it('createRepository(executor, definition) binds name and columns', async () => {
+        let captured = '';
+        const exec = { query: async (q) => { captured = q; return []; }, mutate: async () => ({ success: true, affected: 0 }) };
+
+        await createRepository(exec, users).findAll();
+        assert.ok(captured.includes('*users{id, username, email, bio, created_at}'));
+
+        await users.repository(exec).findAll();
+        assert.ok(captured.includes('*users{'));
+    });
+
+    it('migrations.createRelation(definition) includes index ops', () => {
+        const step = createRelation(users);
+
+        assert.deepEqual(step.queries, [users.createQuery, ...users.indexQueries]);
+    });
+});
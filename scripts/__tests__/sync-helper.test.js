@@ -162,6 +162,59 @@ describe('createSyncManager', () => {
         assert.ok(Object.isFrozen(manager));
     });
 
+    it('pull applies server rows as bound params', async () => {
+        const mutations = [];
+        const localDb = {
+            query: async () => [],
+            mutate: async (q, params) => { mutations.push({ q, params }); return { success: true }; }
+        };
+        const manager = createSyncManager(localDb, {
+            serverUrl: 'http://localhost:3000',
+            clientId: 'c1'
+        });
+
+        const originalFetch = globalThis.fetch;
+        globalThis.fetch = async () => ({
+            ok: true,
+            json: async () => ({
+                items: [{ id: 'n1', data: { title: "it's ]] :rm notes" }, updatedAt: 1 }],
+                serverTime: 10
+            })
+        });
+
+        try {
+            const result = await manager.pull('notes', ['id', 'title']);
+            assert.equal(result.pulled, 1);
+        } finally {
+            globalThis.fetch = originalFetch;
+        }
+
+        assert.equal(mutations.length, 1);
+        assert.ok(mutations[0].q.includes('<- $rows'));
+        assert.deepEqual(mutations[0].params, { rows: [['n1', "it's ]] :rm notes"]] });
+    });
+
+    it('pull rejects malicious table names before fetching', async () => {
+        let fetched = false;
+        const originalFetch = globalThis.fetch;
+        globalThis.fetch = async () => { fetched = true; return { ok: true, json: async () => ({ items: [] }) }; };
+
+        const manager = createSyncManager(createMockLocalDb(), {
+            serverUrl: 'http://localhost:3000'
+        });
+
+        try {
+            await assert.rejects(
+                () => manager.pull('notes{id} :rm users {id}', ['id']),
+                (err) => err.code === 'COZO_SEC_INVALID_INPUT'
+                    && err.context.identifier === 'notes{id} :rm users {id}'
+            );
+        } finally {
+            globalThis.fetch = originalFetch;
+        }
+        assert.equal(fetched, false);
+    });
+
     it('exposes internal pure functions for testing', () => {
         const manager = createSyncManager(createMockLocalDb(), {
             serverUrl: 'http://localhost:3000'
@@ -0,0 +1,363 @@
+/**
+ * CozoDB Graph Algorithms
+ *
+ * Generates invocations of CozoDB's built-in fixed rules (`?[...] <~ Algo(...)`)
+ * over a stored edge relation or an inline edge list, and turns their output
+ * rows into plain JavaScript results.
+ *
+ * Features:
+ * - pageRank: Map of node -> rank
+ * - connectedComponents / communities: Map of node -> component / community
+ * - shortestPaths (Dijkstra) / kShortestPaths (Yen): paths with costs
+ * - bfs / dfs: first nodes matching a condition, with the path to them
+ *
+ * @module algorithms
+ */
+
+(() => {
+
+    const { CozoError, ErrorCodes, SecurityValidator } = typeof module !== 'undefined' && module.exports
+        ? require('./cozo-errors')
+        : window.CozoErrors;
+
+    // ============================================
+    // Types (JSDoc for documentation)
+    // ============================================
+
+    /**
+     * @typedef {Object} PathResult
+     * @property {any} start - Starting node
+     * @property {any} goal - Reached node
+     * @property {number} [cost] - Summed edge weight (hop count when unweighted)
+     * @property {any[]} path - Nodes from start to goal
+     */
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    const DEFAULT_EDGE_FIELDS = Object.freeze({ fromField: 'from', toField: 'to' });
+
+    /**
+     * Inline rule names the generated programs use for their inputs
+     */
+    const EDGES_RULE = 'edges';
+    const NODES_RULE = 'nodes';
+
+    // ============================================
+    // Input Rules (Pure Functions)
+    // ============================================
+
+    /**
+     * Edge input rule: `edges[a, b(, w)]` from a stored relation or `<- $edges`
+     * Inline edges are [from, to] or [from, to, weight] tuples (all the same width).
+     * @param {string|any[][]} edges - Edge relation name or inline edge list
+     * @param {Object} options - { fromField, toField, weightField }
+     * @returns {{ rule: string, params: Object }}
+     */
+    const buildEdgesRule = (edges, options = {}) => {
+        if (Array.isArray(edges)) {
+            const widths = new Set(edges.map(e => (Array.isArray(e) ? e.length : 0)));
+            const [width] = widths;
+            if (edges.length === 0 || widths.size !== 1 || (width !== 2 && width !== 3)) {
+                throw new CozoError(
+                    ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                    'Inline edges must be a non-empty list of [from, to] or [from, to, weight] tuples',
+                    { widths: [...widths] }
+                );
+            }
+            const head = width === 3 ? 'a, b, w' : 'a, b';
+            return { rule: `${EDGES_RULE}[${head}] <- $edges`, params: { edges } };
+        }
+
+        const { fromField, toField, weightField = null } = { ...DEFAULT_EDGE_FIELDS, ...options };
+        SecurityValidator.validateIdentifier(edges, { kind: 'relation' });
+        SecurityValidator.validateIdentifiers([fromField, toField, ...(weightField ? [weightField] : [])]);
+        const bindings = [`${fromField}: a`, `${toField}: b`, ...(weightField ? [`${weightField}: w`] : [])];
+        const head = weightField ? 'a, b, w' : 'a, b';
+        return { rule: `${EDGES_RULE}[${head}] := *${edges}{${bindings.join(', ')}}`, params: {} };
+    };
+
+    /**
+     * Node list input rule: `name[node] <- $param`
+     */
+    const buildNodeListRule = (name, nodes) => {
+        const list = Array.isArray(nodes) ? nodes : [nodes];
+        if (list.length === 0) {
+            throw new CozoError(
+                ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                `${name} needs at least one node`,
+                { input: name }
+            );
+        }
+        return { rule: `${name}[node] <- $${name}`, params: { [name]: list.map(n => [n]) } };
+    };
+
+    /**
+     * Render fixed rule options (`key: value`), skipping undefined values
+     * Values must be finite numbers or booleans; `expressions` are passed through raw.
+     */
+    const renderOptions = (options, expressions = {}) => {
+        const rendered = Object.entries(options)
+            .filter(([, v]) => v !== undefined)
+            .map(([key, value]) => {
+                if (typeof value !== 'boolean' && !(typeof value === 'number' && Number.isFinite(value))) {
+                    throw new CozoError(
+                        ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                        `Algorithm option ${key} must be a finite number or boolean`,
+                        { option: key, value }
+                    );
+                }
+                return `${key}: ${value}`;
+            });
+        Object.entries(expressions).forEach(([key, expr]) => {
+            if (typeof expr !== 'string' || expr.trim() === '' || /[\n{}]|:=|<~|<-/.test(expr)) {
+                throw new CozoError(
+                    ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                    `Algorithm option ${key} must be a single-line Datalog expression`,
+                    { option: key, expr }
+                );
+            }
+            rendered.push(`${key}: ${expr}`);
+        });
+        return rendered;
+    };
+
+    /**
+     * Assemble input rules and the fixed rule application into one program
+     * @param {string[]} head - Output column names
+     * @param {string} algorithm - Fixed rule name, e.g. 'PageRank'
+     * @param {Object[]} inputs - [{ rule, params }] in order
+     * @param {string[]} args - Relation arguments, e.g. ['edges[]', 'starting[]']
+     * @param {string[]} options - Rendered options
+     * @returns {{ query: string, params: Object }}
+     */
+    const buildFixedRule = (head, algorithm, inputs, args, options) => ({
+        query: [
+            ...inputs.map(i => i.rule),
+            `?[${head.join(', ')}] <~ ${algorithm}(${[...args, ...options].join(', ')})`
+        ].join('\n'),
+        params: Object.assign({}, ...inputs.map(i => i.params))
+    });
+
+    // ============================================
+    // Pure Query Builders
+    // ============================================
+
+    /**
+     * Build a PageRank query
+     * Result rows: [node, rank]
+     * @param {string|any[][]} edges - Edge relation name or inline edge list
+     * @param {Object} [options] - { fromField, toField, weightField, undirected, theta, epsilon, iterations }
+     * @returns {{ query: string, params: Object }}
+     */
+    const buildPageRankQuery = (edges, options = {}) => {
+        const { undirected, theta, epsilon, iterations } = options;
+        return buildFixedRule(['node', 'rank'], 'PageRank',
+            [buildEdgesRule(edges, options)], [`${EDGES_RULE}[]`],
+            renderOptions({ undirected, theta, epsilon, iterations }));
+    };
+
+    /**
+     * Build a ConnectedComponents query (edges are treated as undirected)
+     * Result rows: [node, component]
+     * @param {string|any[][]} edges - Edge relation name or inline edge list
+     * @param {Object} [options] - { fromField, toField }
+     * @returns {{ query: string, params: Object }}
+     */
+    const buildConnectedComponentsQuery = (edges, options = {}) =>
+        buildFixedRule(['node', 'component'], 'ConnectedComponents',
+            [buildEdgesRule(edges, options)], [`${EDGES_RULE}[]`], []);
+
+    /**
+     * Build a CommunityDetectionLouvain query
+     * Result rows: [community, node], community being the list of community ids
+     * from the top level down
+     * @param {string|any[][]} edges - Edge relation name or inline edge list
+     * @param {Object} [options] - { fromField, toField, weightField, undirected, maxIter, delta, keepDepth }
+     * @returns {{ query: string, params: Object }}
+     */
+    const buildCommunitiesQuery = (edges, options = {}) => {
+        const { undirected, maxIter, delta, keepDepth } = options;
+        return buildFixedRule(['community', 'node'], 'CommunityDetectionLouvain',
+            [buildEdgesRule(edges, options)], [`${EDGES_RULE}[]`],
+            renderOptions({ undirected, max_iter: maxIter, delta, keep_depth: keepDepth }));
+    };
+
+    /**
+     * Build a ShortestPathDijkstra query from $starting to $goals
+     * Without goals, paths to every reachable node are returned.
+     * Result rows: [start, goal, cost, path]
+     * @param {string|any[][]} edges - Edge relation name or inline edge list
+     * @param {any|any[]} starts - Start node(s)
+     * @param {any|any[]|null} goals - Goal node(s), or null for all
+     * @param {Object} [options] - { fromField, toField, weightField, undirected, keepTies }
+     * @returns {{ query: string, params: Object }}
+     */
+    const buildShortestPathsQuery = (edges, starts, goals = null, options = {}) => {
+        const { undirected, keepTies } = options;
+        const inputs = [buildEdgesRule(edges, options), buildNodeListRule('starting', starts)];
+        if (goals !== null) inputs.push(buildNodeListRule('goals', goals));
+        return buildFixedRule(['start', 'goal', 'cost', 'path'], 'ShortestPathDijkstra',
+            inputs, [`${EDGES_RULE}[]`, 'starting[]', ...(goals !== null ? ['goals[]'] : [])],
+            renderOptions({ undirected, keep_ties: keepTies }));
+    };
+
+    /**
+     * Build a KShortestPathYen query for the k cheapest paths from $starting to $goals
+     * Result rows: [start, goal, cost, path]
+     * @param {string|any[][]} edges - Edge relation name or inline edge list
+     * @param {any|any[]} starts - Start node(s)
+     * @param {any|any[]} goals - Goal node(s)
+     * @param {Object} options - { k, fromField, toField, weightField, undirected }
+     * @returns {{ query: string, params: Object }}
+     */
+    const buildKShortestPathsQuery = (edges, starts, goals, options = {}) => {
+        const { k, undirected } = options;
+        if (!Number.isInteger(k) || k < 1) {
+            throw new CozoError(
+                ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                'k is required and must be a positive integer',
+                { k }
+            );
+        }
+        return buildFixedRule(['start', 'goal', 'cost', 'path'], 'KShortestPathYen',
+            [buildEdgesRule(edges, options), buildNodeListRule('starting', starts), buildNodeListRule('goals', goals)],
+            [`${EDGES_RULE}[]`, 'starting[]', 'goals[]'],
+            renderOptions({ k, undirected }));
+    };
+
+    /**
+     * Build a BFS or DFS query for the first nodes satisfying `condition`
+     * The node relation's columns are bound by name inside the condition.
+     * Result rows: [start, goal, path]
+     * @param {'BFS'|'DFS'} algorithm
+     * @param {string|any[][]} edges - Edge relation name or inline edge list
+     * @param {any|any[]} starts - Start node(s)
+     * @param {Object} options - { nodes: { relation, fields }, condition, limit, fromField, toField }
+     *   fields[0] is the node id column
+     * @returns {{ query: string, params: Object }}
+     */
+    const buildSearchQuery = (algorithm, edges, starts, options = {}) => {
+        const { nodes = {}, condition, limit } = options;
+        const { relation, fields = [] } = nodes;
+        SecurityValidator.validateIdentifier(relation, { kind: 'relation' });
+        if (fields.length === 0) {
+            throw new CozoError(
+                ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                `${algorithm} needs nodes.fields, starting with the node id column`,
+                { relation }
+            );
+        }
+        SecurityValidator.validateIdentifiers(fields);
+        const nodesRule = { rule: `${NODES_RULE}[${fields.join(', ')}] := *${relation}{${fields.join(', ')}}`, params: {} };
+        return buildFixedRule(['start', 'goal', 'path'], algorithm,
+            [buildEdgesRule(edges, options), nodesRule, buildNodeListRule('starting', starts)],
+            [`${EDGES_RULE}[]`, `${NODES_RULE}[${fields.join(', ')}]`, 'starting[]'],
+            renderOptions({ limit }, { condition }));
+    };
+
+    // ============================================
+    // Algorithms Factory (Dependency Injection)
+    // ============================================
+
+    /**
+     * Create graph algorithm helpers bound to an executor
+     *
+     * @example
+     * const algorithms = createAlgorithms(executor, { fromField: 'follower_id', toField: 'following_id' });
+     * const ranks = await algorithms.pageRank('follows');           // Map { 1 => 0.21, ... }
+     * const [best] = await algorithms.shortestPaths([[1, 2, 4.5], [2, 3, 1]], 1, 3);
+     *
+     * @param {Object} executor - Database executor from createExecutor
+     * @param {Object} [defaults] - Default edge fields { fromField, toField, weightField }
+     * @returns {Object} { pageRank, connectedComponents, communities, shortestPaths, kShortestPaths, bfs, dfs }
+     */
+    const createAlgorithms = (executor, defaults = {}) => {
+        const withDefaults = (options) => ({ ...DEFAULT_EDGE_FIELDS, ...defaults, ...options });
+        const run = async ({ query, params }) => executor.query(query, params);
+        const toMap = (rows, nodeIndex, valueIndex) => new Map(rows.map(r => [r[nodeIndex], r[valueIndex]]));
+        const toPaths = (rows) => rows.map(([start, goal, cost, path]) => ({ start, goal, cost, path }));
+
+        /**
+         * PageRank of every node
+         * @returns {Promise<Map<any, number>>}
+         */
+        const pageRank = async (edges, options = {}) =>
+            toMap(await run(buildPageRankQuery(edges, withDefaults(options))), 0, 1);
+
+        /**
+         * Connected component id of every node
+         * @returns {Promise<Map<any, any>>}
+         */
+        const connectedComponents = async (edges, options = {}) =>
+            toMap(await run(buildConnectedComponentsQuery(edges, withDefaults(options))), 0, 1);
+
+        /**
+         * Louvain community of every node (list of community ids, top level first)
+         * @returns {Promise<Map<any, number[]>>}
+         */
+        const communities = async (edges, options = {}) =>
+            toMap(await run(buildCommunitiesQuery(edges, withDefaults(options))), 1, 0);
+
+        /**
+         * Cheapest path per start/goal pair (Dijkstra; unweighted edges cost 1)
+         * @param {any|any[]|null} [goals] - null for every reachable node
+         * @returns {Promise<PathResult[]>}
+         */
+        const shortestPaths = async (edges, starts, goals = null, options = {}) =>
+            toPaths(await run(buildShortestPathsQuery(edges, starts, goals, withDefaults(options))));
+
+        /**
+         * The k cheapest paths per start/goal pair (Yen)
+         * @param {Object} options - { k, ... }
+         * @returns {Promise<PathResult[]>}
+         */
+        const kShortestPaths = async (edges, starts, goals, options = {}) =>
+            toPaths(await run(buildKShortestPathsQuery(edges, starts, goals, withDefaults(options))));
+
+        /**
+         * BFS / DFS from the start nodes to the first nodes matching `condition`
+         * @param {Object} options - { nodes: { relation, fields }, condition, limit }
+         * @returns {Function} (edges, starts, options) => Promise<PathResult[]> (without cost)
+         */
+        const search = (algorithm) => async (edges, starts, options = {}) => {
+            const rows = await run(buildSearchQuery(algorithm, edges, starts, withDefaults(options)));
+            return rows.map(([start, goal, path]) => ({ start, goal, path }));
+        };
+        const bfs = search('BFS');
+        const dfs = search('DFS');
+
+        return Object.freeze({ pageRank, connectedComponents, communities, shortestPaths, kShortestPaths, bfs, dfs });
+    };
+
+    // ============================================
+    // Exports
+    // ============================================
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            createAlgorithms,
+            buildEdgesRule,
+            buildPageRankQuery,
+            buildConnectedComponentsQuery,
+            buildCommunitiesQuery,
+            buildShortestPathsQuery,
+            buildKShortestPathsQuery,
+            buildSearchQuery
+        };
+    }
+
+    if (typeof window !== 'undefined') {
+        window.CozoAlgorithms = {
+            createAlgorithms,
+            buildPageRankQuery,
+            buildConnectedComponentsQuery,
+            buildCommunitiesQuery,
+            buildShortestPathsQuery,
+            buildKShortestPathsQuery,
+            buildSearchQuery
+        };
+    }
+
+})();
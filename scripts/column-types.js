@@ -0,0 +1,287 @@
+/**
+ * CozoDB Column Types
+ *
+ * Checks JS values against declared column types before they reach the
+ * engine, coercing where no information is lost. Used by repository writes
+ * and by definition.validate, so both accept exactly the same values.
+ *
+ * Supported types:
+ * - Int, Float, String, Bool, Json, Uuid, Bytes, Validity, Any
+ * - Vectors `<F32;N>` / `<F64;N>`, lists `[T]` / `[T;N]`
+ * - Nullable `T?`; tuples and unknown types are passed through unchecked
+ *
+ * Coercions:
+ * - Int: integral strings and BigInts within the safe integer range
+ * - Float: numeric strings, safe BigInts
+ * - Uuid: lowercased
+ * - Bytes: Uint8Array / ArrayBuffer to base64 (the engine decodes base64 strings)
+ * - Validity: Date to `[microseconds, true]`, integer to `[n, true]`; date strings
+ *   inside a `[time, asserted]` pair to microseconds (the engine only parses bare ones)
+ * - Vectors: typed arrays to plain arrays
+ *
+ * @module column-types
+ */
+
+(() => {
+
+    const { CozoError, ErrorCodes } = typeof module !== 'undefined' && module.exports
+        ? require('./cozo-errors')
+        : window.CozoErrors;
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Why a value was rejected (`reason` in error details)
+     */
+    const TypeErrorReasons = Object.freeze({
+        NULL: 'NULL',
+        TYPE: 'TYPE',
+        RANGE: 'RANGE',
+        FORMAT: 'FORMAT',
+        LENGTH: 'LENGTH'
+    });
+
+    const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    const INT_PATTERN = /^[-+]?\d+$/;
+    const FLOAT_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+    const BASE64_PATTERN = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+    const VECTOR_PATTERN = /^<F(?:32|64)\s*;\s*(\d+)>$/;
+    const LIST_PATTERN = /^\[(.+?)(?:\s*;\s*(\d+))?\]$/;
+    const VALIDITY_KEYWORDS = Object.freeze(['ASSERT', 'RETRACT']);
+
+    // ============================================
+    // Pure Helpers
+    // ============================================
+
+    const ok = (value) => ({ ok: true, value });
+    const fail = (reason, extra = {}) => ({ ok: false, error: { reason, ...extra } });
+
+    /**
+     * Short description of a JS value for error details
+     * @param {any} value
+     * @returns {string} e.g. 'string', 'float', 'integer', 'array', 'null'
+     */
+    const describeValue = (value) => {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'float';
+        if (value instanceof Date) return 'date';
+        if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) return 'bytes';
+        return typeof value;
+    };
+
+    const toSafeNumber = (value) => {
+        const n = Number(value);
+        return Number.isSafeInteger(n) ? n : null;
+    };
+
+    const toBase64 = (value) => {
+        const bytes = value instanceof ArrayBuffer
+            ? new Uint8Array(value)
+            : new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+        let binary = '';
+        bytes.forEach(b => { binary += String.fromCharCode(b); });
+        return globalThis.btoa(binary);
+    };
+
+    const isDateString = (value) => !Number.isNaN(Date.parse(value));
+
+    const toValidityTimestamp = (value) => {
+        if (value instanceof Date) return ok(value.getTime() * 1000);
+        if (Number.isSafeInteger(value)) return ok(value);
+        if (typeof value === 'string' && isDateString(value)) return ok(Date.parse(value) * 1000);
+        return fail(TypeErrorReasons.FORMAT);
+    };
+
+    // ============================================
+    // Type Checks (Pure Functions)
+    // ============================================
+
+    /**
+     * Split a declared column type into base type and nullability
+     * @param {string} type - e.g. 'String?', '<F32;128>'
+     * @returns {{ baseType: string, nullable: boolean }}
+     */
+    const splitColumnType = (type) => {
+        const text = String(type).trim();
+        return text.endsWith('?')
+            ? { baseType: text.slice(0, -1).trim(), nullable: true }
+            : { baseType: text, nullable: false };
+    };
+
+    const coerceVector = (dim, value) => {
+        if (!Array.isArray(value) && !(ArrayBuffer.isView(value) && !(value instanceof DataView))) {
+            return fail(TypeErrorReasons.TYPE);
+        }
+        if (value.length !== dim) return fail(TypeErrorReasons.LENGTH, { expected: dim, actual: value.length });
+        const list = Array.from(value);
+        const index = list.findIndex(v => typeof v !== 'number' || !Number.isFinite(v));
+        return index === -1 ? ok(list) : fail(TypeErrorReasons.TYPE, { index });
+    };
+
+    const coerceList = (elementType, length, value) => {
+        if (!Array.isArray(value)) return fail(TypeErrorReasons.TYPE);
+        if (length !== undefined && value.length !== length) {
+            return fail(TypeErrorReasons.LENGTH, { expected: length, actual: value.length });
+        }
+        const out = [];
+        for (const [index, element] of value.entries()) {
+            const result = coerceValue(elementType, element);
+            if (!result.ok) return { ok: false, error: { ...result.error, index } };
+            out.push(result.value);
+        }
+        return ok(out);
+    };
+
+    const coerceValidity = (value) => {
+        if (typeof value === 'string') {
+            return VALIDITY_KEYWORDS.includes(value) || isDateString(value) ? ok(value) : fail(TypeErrorReasons.FORMAT);
+        }
+        if (value instanceof Date || Number.isSafeInteger(value)) {
+            const timestamp = toValidityTimestamp(value);
+            return ok([timestamp.value, true]);
+        }
+        if (Array.isArray(value) && value.length === 2 && typeof value[1] === 'boolean') {
+            const timestamp = toValidityTimestamp(value[0]);
+            return timestamp.ok ? ok([timestamp.value, value[1]]) : timestamp;
+        }
+        return fail(TypeErrorReasons.TYPE);
+    };
+
+    /**
+     * Check a value against a declared type, coercing where safe
+     * Nullable types (`T?`) accept null and undefined (written as null).
+     * @param {string} type - Declared column type
+     * @param {any} value
+     * @returns {{ ok: true, value: any } | { ok: false, error: { reason: string } }}
+     */
+    const coerceValue = (type, value) => {
+        const { baseType, nullable } = splitColumnType(type);
+        if (value === null || value === undefined) {
+            return nullable || baseType === 'Any' ? ok(null) : fail(TypeErrorReasons.NULL);
+        }
+
+        switch (baseType) {
+            case 'Int': {
+                if (typeof value === 'number') {
+                    if (!Number.isInteger(value)) return fail(TypeErrorReasons.TYPE);
+                    return Number.isSafeInteger(value) ? ok(value) : fail(TypeErrorReasons.RANGE);
+                }
+                if (typeof value === 'bigint' || (typeof value === 'string' && INT_PATTERN.test(value.trim()))) {
+                    const n = toSafeNumber(typeof value === 'string' ? value.trim() : value);
+                    return n === null ? fail(TypeErrorReasons.RANGE) : ok(n);
+                }
+                return fail(TypeErrorReasons.TYPE);
+            }
+            case 'Float': {
+                if (typeof value === 'number') return Number.isFinite(value) ? ok(value) : fail(TypeErrorReasons.RANGE);
+                if (typeof value === 'bigint') {
+                    const n = toSafeNumber(value);
+                    return n === null ? fail(TypeErrorReasons.RANGE) : ok(n);
+                }
+                if (typeof value === 'string' && FLOAT_PATTERN.test(value.trim())) return ok(Number(value.trim()));
+                return fail(TypeErrorReasons.TYPE);
+            }
+            case 'String':
+                return typeof value === 'string' ? ok(value) : fail(TypeErrorReasons.TYPE);
+            case 'Bool':
+                return typeof value === 'boolean' ? ok(value) : fail(TypeErrorReasons.TYPE);
+            case 'Json': {
+                if (['function', 'symbol', 'bigint'].includes(typeof value)) return fail(TypeErrorReasons.TYPE);
+                try {
+                    return JSON.stringify(value) === undefined ? fail(TypeErrorReasons.TYPE) : ok(value);
+                } catch {
+                    return fail(TypeErrorReasons.FORMAT);
+                }
+            }
+            case 'Uuid':
+                if (typeof value !== 'string') return fail(TypeErrorReasons.TYPE);
+                return UUID_PATTERN.test(value) ? ok(value.toLowerCase()) : fail(TypeErrorReasons.FORMAT);
+            case 'Bytes':
+                if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) return ok(toBase64(value));
+                if (typeof value !== 'string') return fail(TypeErrorReasons.TYPE);
+                return BASE64_PATTERN.test(value) ? ok(value) : fail(TypeErrorReasons.FORMAT);
+            case 'Validity':
+                return coerceValidity(value);
+            case 'Any':
+                return ok(value);
+            default: {
+                const vector = baseType.match(VECTOR_PATTERN);
+                if (vector) return coerceVector(Number(vector[1]), value);
+                const list = baseType.match(LIST_PATTERN);
+                if (list) return coerceList(list[1], list[2] === undefined ? undefined : Number(list[2]), value);
+                return ok(value);
+            }
+        }
+    };
+
+    /**
+     * Coerce the typed fields of records, collecting every failure
+     * Fields absent from a record (undefined) are left as they are; whether
+     * they may be omitted is not a type question.
+     *
+     * @param {string} relation - Relation name, for the error detail
+     * @param {Object} types - Map of field name to declared type
+     * @param {Object[]} records - Records to write
+     * @param {string[]} fields - Fields that will be written
+     * @returns {Object[]} Records with coerced values
+     * @throws {CozoError} COZO_SCHEMA_TYPE_ERROR with context
+     *   { relation, errors: [{ row, field, type, received, reason }] }
+     */
+    const coerceRecords = (relation, types, records, fields) => {
+        const errors = [];
+        const typed = fields.filter(f => types[f] !== undefined);
+
+        const coerced = records.map((record, row) => {
+            const out = { ...record };
+            for (const field of typed) {
+                if (record[field] === undefined) continue;
+                const result = coerceValue(types[field], record[field]);
+                if (result.ok) {
+                    out[field] = result.value;
+                } else {
+                    errors.push({ row, field, type: types[field], received: describeValue(record[field]), ...result.error });
+                }
+            }
+            return out;
+        });
+
+        if (errors.length > 0) {
+            const [first] = errors;
+            throw new CozoError(
+                ErrorCodes.COZO_SCHEMA_TYPE_ERROR,
+                `${relation}.${first.field} expects ${first.type}, got ${first.received}`
+                    + (errors.length > 1 ? ` (+${errors.length - 1} more)` : ''),
+                { relation, errors }
+            );
+        }
+        return coerced;
+    };
+
+    // ============================================
+    // Exports
+    // ============================================
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            coerceValue,
+            coerceRecords,
+            splitColumnType,
+            describeValue,
+            TypeErrorReasons
+        };
+    }
+
+    if (typeof window !== 'undefined') {
+        window.CozoColumnTypes = {
+            coerceValue,
+            coerceRecords,
+            splitColumnType,
+            describeValue,
+            TypeErrorReasons
+        };
+    }
+
+})();
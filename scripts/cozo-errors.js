@@ -36,6 +36,7 @@ const ErrorCodes = {
     COZO_SCHEMA_RELATION_NOT_FOUND: 'COZO_SCHEMA_RELATION_NOT_FOUND',
     COZO_SCHEMA_COLUMN_MISMATCH: 'COZO_SCHEMA_COLUMN_MISMATCH',
     COZO_SCHEMA_TYPE_ERROR: 'COZO_SCHEMA_TYPE_ERROR',
+    COZO_SCHEMA_MIGRATION_DRIFT: 'COZO_SCHEMA_MIGRATION_DRIFT',
     
     // Data errors
     COZO_DATA_KEY_VIOLATION: 'COZO_DATA_KEY_VIOLATION',
@@ -69,6 +70,7 @@ const DefaultMessages = {
     [ErrorCodes.COZO_SCHEMA_RELATION_NOT_FOUND]: 'Relation not found',
     [ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH]: 'Column definition mismatch',
     [ErrorCodes.COZO_SCHEMA_TYPE_ERROR]: 'Data type error',
+    [ErrorCodes.COZO_SCHEMA_MIGRATION_DRIFT]: 'Applied migration no longer matches its definition',
     
     [ErrorCodes.COZO_DATA_KEY_VIOLATION]: 'Primary key constraint violation',
     [ErrorCodes.COZO_DATA_CONSTRAINT_ERROR]: 'Data constraint error',
@@ -150,12 +152,29 @@ function parseNativeError(nativeError) {
     if (lowerMessage.includes('syntax') || lowerMessage.includes('parse')) {
         return new CozoError(ErrorCodes.COZO_QUERY_SYNTAX_ERROR, message);
     }
+    // Mutation assertions (:insert, :update, :delete, :ensure, :ensure_not)
+    // An :ensure value mismatch reads "key exists in database, but value does not match"
+    if (lowerMessage.includes('value does not match')) {
+        return new CozoError(ErrorCodes.COZO_DATA_CONSTRAINT_ERROR, message);
+    }
+    if (lowerMessage.includes('does not exist in database')) {
+        return new CozoError(ErrorCodes.COZO_DATA_NOT_FOUND, message);
+    }
+    if (lowerMessage.includes('exists in database')) {
+        return new CozoError(ErrorCodes.COZO_DATA_KEY_VIOLATION, message);
+    }
+    if (lowerMessage.includes('assertion failure')) {
+        return new CozoError(ErrorCodes.COZO_DATA_CONSTRAINT_ERROR, message);
+    }
     if (lowerMessage.includes('relation') && lowerMessage.includes('exist')) {
         if (lowerMessage.includes('already')) {
             return new CozoError(ErrorCodes.COZO_SCHEMA_RELATION_EXISTS, message);
         }
         return new CozoError(ErrorCodes.COZO_SCHEMA_RELATION_NOT_FOUND, message);
     }
+    if (lowerMessage.includes('dimension mismatch')) {
+        return new CozoError(ErrorCodes.COZO_SCHEMA_TYPE_ERROR, message);
+    }
     if (lowerMessage.includes('type') && (lowerMessage.includes('mismatch') || lowerMessage.includes('error'))) {
         return new CozoError(ErrorCodes.COZO_SCHEMA_TYPE_ERROR, message);
     }
@@ -181,6 +200,8 @@ function parseNativeError(nativeError) {
  */
 const SecurityValidator = {
     MAX_QUERY_LENGTH: 100000,  // 100KB max query size
+    IDENTIFIER_PATTERN: /^[A-Za-z_][A-Za-z0-9_]*$/,
+    RESERVED_WORDS: Object.freeze(['not', 'or', 'and', 'null', 'true', 'false']),
     
     /**
      * Validate query string
@@ -230,6 +251,60 @@ const SecurityValidator = {
         return true;
     },
     
+    /**
+     * Validate a relation, field or rule name before it is interpolated
+     * CozoDB has no identifier quoting, so names are checked against an allowlist.
+     * Relation names starting with `_` are engine-internal (ephemeral) and
+     * rejected unless `allowReserved` is set.
+     * @param {string} name - Identifier to validate
+     * @param {Object} [options] - { kind: 'relation'|'field'|'rule', allowReserved: boolean }
+     * @returns {string} The validated identifier
+     * @throws {CozoError} if validation fails
+     */
+    validateIdentifier(name, options = {}) {
+        const { kind = 'field', allowReserved = false } = options;
+        const context = { identifier: name, kind };
+        
+        if (typeof name !== 'string' || !this.IDENTIFIER_PATTERN.test(name)) {
+            throw new CozoError(
+                ErrorCodes.COZO_SEC_INVALID_INPUT,
+                `Invalid ${kind} name: ${String(name)}`,
+                context
+            );
+        }
+        
+        if (this.RESERVED_WORDS.includes(name.toLowerCase())) {
+            throw new CozoError(
+                ErrorCodes.COZO_SEC_INVALID_INPUT,
+                `Reserved word used as ${kind} name: ${name}`,
+                context
+            );
+        }
+        
+        if (kind === 'relation' && name.startsWith('_') && !allowReserved) {
+            throw new CozoError(
+                ErrorCodes.COZO_SEC_INVALID_INPUT,
+                `System relation name not allowed: ${name}`,
+                context
+            );
+        }
+        
+        return name;
+    },
+    
+    /**
+     * Validate a list of identifiers
+     * @param {string[]} names - Identifiers to validate
+     * @param {Object} [options] - Same as validateIdentifier
+     * @returns {string[]} The validated identifiers
+     */
+    validateIdentifiers(names, options = {}) {
+        if (!Array.isArray(names)) {
+            throw new CozoError(ErrorCodes.COZO_SEC_INVALID_INPUT, 'Identifiers must be an array');
+        }
+        return names.map(name => this.validateIdentifier(name, options));
+    },
+    
     /**
      * Sanitize string value for safe Datalog embedding
      * Use this when building dynamic queries (not recommended - prefer parameters)
@@ -11,332 +11,2048 @@
  * @module cozo-wrapper
  */
 
-// ============================================
-// Types (JSDoc for documentation)
-// ============================================
+(() => {
 
-/**
- * @typedef {Object} QueryResult
- * @property {boolean} ok - Whether query succeeded
- * @property {string[]} [headers] - Column names
- * @property {any[][]} [rows] - Result rows
- * @property {string} [message] - Error message if !ok
- */
+    const { CozoError, ErrorCodes, SecurityValidator, parseNativeError } = typeof module !== 'undefined' && module.exports
+        ? require('./cozo-errors')
+        : window.CozoErrors;
+    const {
+        compileWhere,
+        createQueryBuilder,
+        relation: relationAtom,
+        ruleAtom,
+        search: searchAtom,
+        pred,
+        not: notAtom,
+        unify,
+        sum,
+        collect,
+        orderTerms,
+        AGGREGATIONS
+    } = typeof module !== 'undefined' && module.exports
+        ? require('./query-builder')
+        : window.CozoQueryBuilder;
+    const { validateVector } = typeof module !== 'undefined' && module.exports
+        ? require('./index-manager')
+        : window.CozoIndexManager;
+    const { coerceRecords, splitColumnType } = typeof module !== 'undefined' && module.exports
+        ? require('./column-types')
+        : window.CozoColumnTypes;
 
-/**
- * @typedef {Object} CozoConfig
- * @property {'memory'|'sqlite'|'rocksdb'|'wasm'} backend
- * @property {string} [path] - Database path for persistent backends
- * @property {Object} [options] - Backend-specific options
- */
+    // ============================================
+    // Types (JSDoc for documentation)
+    // ============================================
 
-// ============================================
-// Pure Query Builders (No Side Effects)
-// ============================================
+    /**
+     * @typedef {Object} QueryResult
+     * @property {boolean} ok - Whether query succeeded
+     * @property {string[]} [headers] - Column names
+     * @property {any[][]} [rows] - Result rows
+     * @property {string} [message] - Error message if !ok
+     */
 
-/**
- * Build a CREATE relation query
- * @param {string} name - Relation name
- * @param {Object} schema - { keyFields: [...], valueFields: [...] }
- * @returns {string} Datalog query
- */
-const buildCreateQuery = (name, schema) => {
-    const { keyFields = [], valueFields = [] } = schema;
-    
-    const keyPart = keyFields
-        .map(f => `${f.name}: ${f.type}${f.default ? ` default ${f.default}` : ''}`)
-        .join(',\n                ');
-    
-    const valuePart = valueFields
-        .map(f => `${f.name}: ${f.type}${f.default ? ` default ${f.default}` : ''}`)
-        .join(',\n                ');
-    
-    return `:create ${name} {
+    /**
+     * @typedef {Object} CozoConfig
+     * @property {'memory'|'sqlite'|'rocksdb'|'wasm'} backend
+     * @property {string} [path] - Database path for persistent backends
+     * @property {Object} [options] - Backend-specific options
+     */
+
+    // ============================================
+    // Pure Query Builders (No Side Effects)
+    // ============================================
+
+    /**
+     * Validate relation and field names before interpolation
+     * Throws COZO_SEC_INVALID_INPUT with the offending identifier in context.
+     * @param {string} relation - Relation name
+     * @param {string[]} fields - Field names
+     */
+    const assertIdentifiers = (relation, fields) => {
+        SecurityValidator.validateIdentifier(relation, { kind: 'relation' });
+        SecurityValidator.validateIdentifiers(fields, { kind: 'field' });
+    };
+
+    /**
+     * Check for a definition from defineRelation (scripts/schema.js),
+     * which carries its own name and columns
+     * @param {any} value
+     * @returns {boolean}
+     */
+    const isRelationDefinition = (value) =>
+        value !== null && typeof value === 'object'
+        && typeof value.name === 'string' && Array.isArray(value.keyFields);
+
+    /**
+     * Render a column declaration, e.g. `created_at: Float default now()`
+     * @param {Object} field - { name, type, default }
+     * @returns {string}
+     */
+    const renderColumn = (f) => `${f.name}: ${f.type}${f.default !== undefined ? ` default ${f.default}` : ''}`;
+
+    /**
+     * Build a CREATE relation query
+     * A `Validity` key column makes the relation temporal (time travel); CozoDB
+     * requires it to be the last key.
+     * @param {string|Object} name - Relation name, or a definition from defineRelation
+     * @param {Object} [schema] - { keyFields: [...], valueFields: [...] } (omitted for definitions)
+     * @returns {string} Datalog query
+     */
+    const buildCreateQuery = (name, schema) => {
+        if (isRelationDefinition(name)) return buildCreateQuery(name.name, name);
+        const { keyFields = [], valueFields = [] } = schema;
+        assertIdentifiers(name, [...keyFields, ...valueFields].map(f => f.name));
+        const validityKeys = keyFields.filter(f => splitColumnType(f.type).baseType === 'Validity');
+        if (validityKeys.length > 0 && (validityKeys.length > 1 || validityKeys[0] !== keyFields[keyFields.length - 1])) {
+            throw new CozoError(
+                ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH,
+                `${name}: a Validity key must be the last key column`,
+                { relation: name, fields: validityKeys.map(f => f.name) }
+            );
+        }
+
+        const keyPart = keyFields.map(renderColumn).join(',\n                ');
+
+        const valuePart = valueFields.map(renderColumn).join(',\n                ');
+
+        return `:create ${name} {
                 ${keyPart}
                 =>
                 ${valuePart}
             }`;
-};
+    };
 
-/**
- * Build a PUT (insert/update) query
- * @param {string} relation - Relation name
- * @param {string[]} keys - Key field names
- * @param {string[]} values - Value field names
- * @param {any[][]} data - Rows to insert
- * @returns {string} Datalog query
- */
-const buildPutQuery = (relation, keys, values, data) => {
-    const allFields = [...keys, ...values];
-    const dataJson = JSON.stringify(data);
-    
-    return `?[${allFields.join(', ')}] <- ${dataJson}
-            :put ${relation} {${keys.join(', ')} => ${values.join(', ')}}`;
-};
+    /**
+     * Default parameter name for bound bulk rows
+     */
+    const ROWS_PARAM = '$rows';
 
-/**
- * Build a SELECT query
- * @param {string} relation - Relation name
- * @param {string[]} fields - Fields to select
- * @param {Object} [options] - { filter, orderBy, limit }
- * @returns {string} Datalog query
- */
-const buildSelectQuery = (relation, fields, options = {}) => {
-    const { filter, orderBy, limit } = options;
-    
-    let query = `?[${fields.join(', ')}] := *${relation}{${fields.join(', ')}}`;
-    
-    if (filter) {
-        query += `, ${filter}`;
-    }
-    
-    if (orderBy) {
-        query += `\n:order ${orderBy}`;
-    }
-    
-    if (limit) {
-        query += `\n:limit ${limit}`;
-    }
-    
-    return query;
-};
+    /**
+     * Render the data source of a `<-` rule
+     * A `$param` reference binds rows at execution time instead of inlining JSON,
+     * which keeps the query short and leaves escaping to the engine.
+     * @param {any[][]|string} data - Rows, or a `$param` reference
+     * @returns {string}
+     */
+    const renderRowsSource = (data) => {
+        if (typeof data !== 'string') {
+            return JSON.stringify(data);
+        }
+        if (!/^\$[A-Za-z_][A-Za-z0-9_]*$/.test(data)) {
+            throw new CozoError(
+                ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                `Invalid rows parameter reference: ${data}`
+            );
+        }
+        return data;
+    };
 
-/**
- * Build a DELETE query
- * @param {string} relation - Relation name
- * @param {string[]} fields - All field names
- * @param {any[][]} data - Rows to delete
- * @returns {string} Datalog query
- */
-const buildDeleteQuery = (relation, fields, data) => {
-    const dataJson = JSON.stringify(data);
-    return `?[${fields.join(', ')}] <- ${dataJson}
-            :rm ${relation} {${fields.join(', ')}}`;
-};
+    /**
+     * Supported mutation operations
+     * - put: upsert
+     * - insert: fails if a key already exists
+     * - update: fails if a key is missing; only listed value columns change
+     * - replace: redefines the relation from a typed spec and fills it with the given rows
+     * - rm: remove (missing keys ignored)
+     * - delete: remove, fails if a key is missing
+     * - ensure: transaction precondition, rows must exist with these values
+     * - ensure_not: transaction precondition, keys must not exist (the spec still
+     *   lists every column, but only keys are checked, so values may be null)
+     */
+    const MUTATION_OPS = Object.freeze(['put', 'insert', 'update', 'replace', 'rm', 'delete', 'ensure', 'ensure_not']);
 
-// ============================================
-// Database Factory (Dependency Injection)
-// ============================================
+    /**
+     * Operations whose spec lists key columns only
+     */
+    const KEY_ONLY_OPS = Object.freeze(['rm', 'delete']);
 
-/**
- * Create a database executor with injected backend
- * This enables testing with mock backends
- * 
- * @param {Object} backend - Database instance (CozoDb or mock)
- * @param {Object} [options] - { isWasm: boolean }
- * @returns {Object} Executor with run, query, mutate methods
- */
-const createExecutor = (backend, options = {}) => {
-    const { isWasm = false } = options;
-    
-    /**
-     * Execute raw Datalog query
-     * @param {string} query - Datalog query
-     * @param {Object} [params] - Query parameters
-     * @returns {Promise<QueryResult>}
-     */
-    const run = async (query, params = {}) => {
-        if (isWasm) {
-            // WASM backend uses synchronous API with JSON string params
-            const result = backend.run(query, JSON.stringify(params));
-            return JSON.parse(result);
-        } else {
-            // Node.js backend uses async API with object params
-            return backend.run(query, params);
+    /**
+     * Mutation ops a repository transaction step can use
+     */
+    const TRANSACTION_OPS = Object.freeze(['put', 'insert', 'update', 'rm', 'delete', 'ensure', 'ensure_not']);
+
+    /**
+     * Build a mutation query for any CozoDB mutation op
+     * Fields are names, or column fields `{ name, type, default }` rendered typed in the spec.
+     * `:replace` takes its column types and defaults from the spec, so it needs column fields
+     * (an untyped spec would turn every column into `Any?`).
+     * @param {string} op - One of MUTATION_OPS
+     * @param {string} relation - Relation name
+     * @param {Array<string|Object>} keys - Key fields
+     * @param {Array<string|Object>} values - Value fields (ignored by key-only ops)
+     * @param {any[][]|string} data - Rows, or a `$param` reference (e.g. ROWS_PARAM)
+     * @param {Object} [options] - { returning: append `:returning` so the result lists changed rows }
+     * @returns {string} Datalog query
+     */
+    const buildMutationQuery = (op, relation, keys, values, data, options = {}) => {
+        if (!MUTATION_OPS.includes(op)) {
+            throw new CozoError(
+                ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                `Unknown mutation op: ${op}`,
+                { op }
+            );
+        }
+
+        const valueFields = KEY_ONLY_OPS.includes(op) ? [] : values;
+        const fieldName = f => (typeof f === 'string' ? f : f?.name);
+        const allFields = [...keys, ...valueFields].map(fieldName);
+        assertIdentifiers(relation, allFields);
+        if (op === 'replace') {
+            const untyped = [...keys, ...valueFields].filter(f => typeof f?.type !== 'string');
+            if (untyped.length > 0) {
+                throw new CozoError(
+                    ErrorCodes.COZO_SCHEMA_TYPE_ERROR,
+                    `:replace redefines ${relation}, so every column needs a type: ${untyped.map(fieldName).join(', ')}`,
+                    { relation, fields: untyped.map(fieldName) }
+                );
+            }
+        }
+
+        const specField = f => (typeof f === 'string' ? f : renderColumn(f));
+        const spec = valueFields.length > 0
+            ? `${keys.map(specField).join(', ')} => ${valueFields.map(specField).join(', ')}`
+            : keys.map(specField).join(', ');
+
+        return `?[${allFields.join(', ')}] <- ${renderRowsSource(data)}
+            :${op} ${relation} {${spec}}${options.returning ? '\n            :returning' : ''}`;
+    };
+
+    /**
+     * Build a PUT (insert/update) query
+     * @param {string} relation - Relation name
+     * @param {string[]} keys - Key field names
+     * @param {string[]} values - Value field names
+     * @param {any[][]|string} data - Rows to insert, or a `$param` reference (e.g. ROWS_PARAM)
+     * @returns {string} Datalog query
+     */
+    const buildPutQuery = (relation, keys, values, data) =>
+        buildMutationQuery('put', relation, keys, values, data);
+
+    /**
+     * Build an INSERT query (fails if any key already exists)
+     */
+    const buildInsertQuery = (relation, keys, values, data) =>
+        buildMutationQuery('insert', relation, keys, values, data);
+
+    /**
+     * Build an UPDATE query (fails if any key is missing)
+     * Only the listed value columns are changed, others keep their stored values.
+     */
+    const buildUpdateQuery = (relation, keys, values, data) =>
+        buildMutationQuery('update', relation, keys, values, data);
+
+    /**
+     * Build a REPLACE query (drops the relation's rows and redefines it from the spec)
+     * Pass column fields `{ name, type, default }`, e.g. a definition's keyFields and
+     * valueFields. CozoDB refuses to replace a relation that has indices.
+     */
+    const buildReplaceQuery = (relation, keys, values, data) =>
+        buildMutationQuery('replace', relation, keys, values, data);
+
+    /**
+     * Build an ENSURE precondition (rows must exist with exactly these values)
+     */
+    const buildEnsureQuery = (relation, keys, values, data) =>
+        buildMutationQuery('ensure', relation, keys, values, data);
+
+    /**
+     * Build an ENSURE_NOT precondition (keys must not exist)
+     * CozoDB needs every column in the spec; bind null for the values.
+     */
+    const buildEnsureNotQuery = (relation, keys, values, data) =>
+        buildMutationQuery('ensure_not', relation, keys, values, data);
+
+    /**
+     * Chain queries into a single transaction
+     * Either every query commits or none does, so ensure/ensure_not
+     * preconditions guard the mutations that follow them.
+     * @param {string[]} queries - Datalog queries
+     * @returns {string} Chained query
+     */
+    const buildTransaction = (queries) => queries.map(q => `{\n${q}\n}`).join('\n');
+
+    /**
+     * Check a :limit / :offset value before it is interpolated
+     * @returns {number} The value
+     */
+    const assertCount = (name, value) => {
+        if (!Number.isInteger(value) || value < 0) {
+            throw new CozoError(
+                ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                `${name} must be a non-negative integer`,
+                { [name]: value }
+            );
         }
+        return value;
     };
-    
+
     /**
-     * Execute query and return rows (throws on error)
-     * Pure function - only reads data
+     * Build a SELECT query
+     * `where` is compiled with compileWhere and its literals are returned as params;
+     * merge in the params of any `$name` a raw `filter` uses.
+     * @param {string} relation - Relation name
+     * @param {string[]} fields - Fields to select
+     * @param {Object} [options] - { filter, where, orderBy, limit, offset }
+     * @returns {{ query: string, params: Object }}
      */
-    const query = async (queryStr, params = {}) => {
-        const result = await run(queryStr, params);
-        if (!result.ok) {
-            throw new Error(result.message || 'Query failed');
+    const buildSelectQuery = (relation, fields, options = {}) => {
+        const { filter, where, orderBy, limit, offset } = options;
+        assertIdentifiers(relation, fields);
+
+        const compiled = compileWhere(where);
+        // Fields referenced only by `where` are bound but not returned
+        const bound = [...fields, ...compiled.fields.filter(f => !fields.includes(f))];
+
+        let query = `?[${fields.join(', ')}] := *${relation}{${bound.join(', ')}}`;
+
+        if (compiled.expr) {
+            query += `, ${compiled.expr}`;
+        }
+
+        if (filter) {
+            query += `, ${filter}`;
+        }
+
+        if (orderBy) {
+            query += `\n:order ${orderTerms(orderBy).join(', ')}`;
+        }
+
+        if (limit !== undefined && limit !== null) {
+            query += `\n:limit ${assertCount('limit', limit)}`;
+        }
+
+        if (offset !== undefined && offset !== null) {
+            query += `\n:offset ${assertCount('offset', offset)}`;
         }
-        return result.rows || [];
+
+        return { query, params: compiled.params };
     };
-    
+
     /**
-     * Execute mutation (create/put/rm)
-     * Explicit side effect boundary
+     * Build a DELETE query
+     * @param {string} relation - Relation name
+     * @param {string[]} fields - All field names
+     * @param {any[][]|string} data - Rows to delete, or a `$param` reference (e.g. ROWS_PARAM)
+     * @returns {string} Datalog query
      */
-    const mutate = async (queryStr, params = {}) => {
-        const result = await run(queryStr, params);
-        if (!result.ok) {
-            throw new Error(result.message || 'Mutation failed');
+    const buildDeleteQuery = (relation, fields, data) => {
+        assertIdentifiers(relation, fields);
+        return `?[${fields.join(', ')}] <- ${renderRowsSource(data)}
+            :rm ${relation} {${fields.join(', ')}}`;
+    };
+
+    // ============================================
+    // Pagination Cursors (Pure Functions)
+    // ============================================
+
+    /**
+     * Encode an opaque pagination cursor
+     * @param {Object} payload - { k: lastKeyTuple, s: orderSpec } or { o: offset }
+     * @returns {string} URL-safe token
+     */
+    const encodeCursor = (payload) => {
+        const bytes = new globalThis.TextEncoder().encode(JSON.stringify(payload));
+        const base64 = globalThis.btoa(String.fromCharCode(...bytes));
+        return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    };
+
+    /**
+     * Decode a cursor produced by encodeCursor
+     * @param {string} cursor
+     * @returns {Object} payload
+     * @throws {CozoError} COZO_QUERY_INVALID_PARAMS on malformed cursors
+     */
+    const decodeCursor = (cursor) => {
+        try {
+            const base64 = String(cursor).replace(/-/g, '+').replace(/_/g, '/');
+            const bytes = Uint8Array.from(globalThis.atob(base64), c => c.charCodeAt(0));
+            const payload = JSON.parse(new globalThis.TextDecoder().decode(bytes));
+            if (payload === null || typeof payload !== 'object') throw new Error('not an object');
+            return payload;
+        } catch (e) {
+            throw new CozoError(ErrorCodes.COZO_QUERY_INVALID_PARAMS, `Invalid cursor: ${e.message}`, { cursor });
         }
-        return { success: true, affected: result.rows?.length || 0 };
     };
-    
-    return Object.freeze({ run, query, mutate });
-};
 
-// ============================================
-// Multi-Tenant Database Manager
-// ============================================
+    /**
+     * Build a key-range predicate selecting rows strictly after `values`
+     * in the lexicographic order given by `order` (fields prefixed with '-' descend):
+     * (c1 > v1) || (c1 == v1 && c2 > v2) || ...
+     * @param {string[]} order - Order spec, e.g. ['-age', 'id']
+     * @param {any[]} values - Last seen values for each order column
+     * @param {string} [paramPrefix] - Param name prefix
+     * @returns {{ expr: string, params: Object }}
+     */
+    const buildKeysetPredicate = (order, values, paramPrefix = 'c') => {
+        const params = {};
+        const columns = order.map((spec, i) => {
+            const desc = spec.startsWith('-');
+            const field = desc ? spec.slice(1) : spec;
+            params[`${paramPrefix}${i}`] = values[i];
+            return { field, op: desc ? '<' : '>', param: `$${paramPrefix}${i}` };
+        });
+
+        const disjuncts = columns.map((col, i) => {
+            const equalities = columns.slice(0, i).map(c => `${c.field} == ${c.param}`);
+            const parts = [...equalities, `${col.field} ${col.op} ${col.param}`];
+            return parts.length === 1 ? parts[0] : `(${parts.join(' && ')})`;
+        });
+
+        return { expr: `(${disjuncts.join(' || ')})`, params };
+    };
+
+    /**
+     * Helper rule an arbitrary query's entry rule is renamed to when streamed
+     */
+    const STREAM_RULE = 'stream_src';
 
-/**
- * Create a multi-tenant database manager
- * Each user/tenant gets their own isolated database instance
- * 
- * @param {Function} dbFactory - Function to create CozoDb instances
- * @param {Object} [config] - { basePath, backend }
- * @returns {Object} Manager with getDb, closeDb, listTenants
- */
-const createTenantManager = (dbFactory, config = {}) => {
-    const { basePath = './data', backend = 'sqlite' } = config;
-    
-    // Immutable map of tenant -> executor (using closure for encapsulation)
-    let tenants = new Map();
-    
-    /**
-     * Get or create database for tenant
-     * @param {string} tenantId - Unique tenant identifier
-     * @returns {Object} Executor for this tenant
-     */
-    const getDb = (tenantId) => {
-        if (!tenants.has(tenantId)) {
-            const dbPath = `${basePath}/${tenantId}.db`;
-            const instance = dbFactory(backend, dbPath);
-            const executor = createExecutor(instance);
-            tenants.set(tenantId, { instance, executor });
+    /**
+     * Split a rule head on top-level commas ('a, count(b)' -> ['a', 'count(b)'])
+     */
+    const splitHead = (head) => {
+        const terms = [];
+        let depth = 0;
+        let current = '';
+        for (const ch of head) {
+            if (ch === '(' || ch === '[') depth += 1;
+            if (ch === ')' || ch === ']') depth -= 1;
+            if (ch === ',' && depth === 0) {
+                terms.push(current.trim());
+                current = '';
+            } else {
+                current += ch;
+            }
         }
-        return tenants.get(tenantId).executor;
+        if (current.trim()) terms.push(current.trim());
+        return terms;
     };
-    
+
     /**
-     * Close and remove tenant database
-     * @param {string} tenantId
+     * Prepare an arbitrary query for keyset streaming
+     * The `?` rule is renamed to STREAM_RULE and each page reads it back
+     * through positional variables with a key-range predicate, :order and :limit.
+     * @param {string} queryStr - Query with a `?[...]` entry rule and no :order/:limit/:offset
+     * @param {Object} options - { key: head column(s), '-' prefix descends; batchSize }
+     * @returns {{ keyIndexes: number[], pageQuery: (last: any[]|null) => { query: string, params: Object } }}
      */
-    const closeDb = (tenantId) => {
-        if (tenants.has(tenantId)) {
-            // Note: CozoDB doesn't have explicit close, GC handles it
-            tenants.delete(tenantId);
+    const prepareStreamQuery = (queryStr, options) => {
+        const { key, batchSize } = options;
+        const invalid = (detail, context = {}) => new CozoError(ErrorCodes.COZO_QUERY_INVALID_PARAMS, detail, context);
+        if (!Number.isInteger(batchSize) || batchSize <= 0) {
+            throw invalid('batchSize must be a positive integer', { batchSize });
         }
+        if (/^\s*:(order|sort|limit|offset)\b/m.test(queryStr)) {
+            throw invalid('Streamed queries must not set :order, :limit or :offset');
+        }
+        const entry = queryStr.match(/^\s*\?\[([^\]]*)\]/m);
+        if (!entry) throw invalid('Streamed queries need a ?[...] entry rule');
+
+        const head = splitHead(entry[1]);
+        const order = Array.isArray(key) ? key : [key];
+        const keyIndexes = order.map(spec => head.indexOf(String(spec).replace(/^-/, '')));
+        const missing = order.filter((_, i) => keyIndexes[i] === -1);
+        if (order.length === 0 || missing.length > 0) {
+            throw invalid(`Stream key must name entry rule columns: ${missing.join(', ')}`, { key: order, head });
+        }
+
+        const vars = head.map((_, i) => `c${i}`);
+        const source = queryStr.replace(/^(\s*)\?\[/gm, `$1${STREAM_RULE}[`);
+        const orderSpec = order.map((spec, i) => `${String(spec).startsWith('-') ? '-' : ''}${vars[keyIndexes[i]]}`);
+
+        const pageQuery = (last) => {
+            const keyset = last ? buildKeysetPredicate(orderSpec, keyIndexes.map(i => last[i]), 'stream_k') : null;
+            const body = [`${STREAM_RULE}[${vars.join(', ')}]`, ...(keyset ? [keyset.expr] : [])].join(', ');
+            return {
+                query: `${source}\n?[${vars.join(', ')}] := ${body}\n:order ${orderSpec.join(', ')}\n:limit ${batchSize}`,
+                params: keyset ? keyset.params : {}
+            };
+        };
+        return { keyIndexes, pageQuery };
     };
-    
+
+    // ============================================
+    // Database Factory (Dependency Injection)
+    // ============================================
+
     /**
-     * List all active tenants
-     * @returns {string[]} Array of tenant IDs
+     * `_kind` values of `:returning` rows that were written or removed;
+     * 'replaced' and 'requested' rows echo old or requested versions
      */
-    const listTenants = () => Array.from(tenants.keys());
-    
+    const AFFECTED_KINDS = Object.freeze(['inserted', 'deleted']);
+
     /**
-     * Get tenant count
+     * Count the rows a mutation changed
+     * Exact when the query used `:returning`; otherwise CozoDB only returns a
+     * status row and the row count is all there is.
+     * @param {QueryResult} result
      * @returns {number}
      */
-    const getTenantCount = () => tenants.size;
-    
-    return Object.freeze({ getDb, closeDb, listTenants, getTenantCount });
-};
+    const countAffected = (result) => {
+        const kindIndex = (result.headers || []).indexOf('_kind');
+        if (kindIndex === -1) return result.rows?.length || 0;
+        return result.rows.filter(row => AFFECTED_KINDS.includes(row[kindIndex])).length;
+    };
 
-// ============================================
-// Repository Pattern (Domain Layer)
-// ============================================
+    /**
+     * Create a database executor with injected backend
+     * This enables testing with mock backends
+     * 
+     * @param {Object} backend - Database instance (CozoDb or mock)
+     * @param {Object} [options] - { isWasm: boolean }
+     * @returns {Object} Executor with run, query, mutate methods
+     */
+    const createExecutor = (backend, options = {}) => {
+        const { isWasm = false } = options;
+
+        /**
+         * Execute raw Datalog query
+         * @param {string} query - Datalog query
+         * @param {Object} [params] - Query parameters
+         * @returns {Promise<QueryResult>}
+         */
+        const run = async (query, params = {}) => {
+            if (isWasm) {
+                // WASM backend uses synchronous API with JSON string params
+                const result = backend.run(query, JSON.stringify(params));
+                return JSON.parse(result);
+            } else {
+                // Node.js backend uses async API with object params
+                return backend.run(query, params);
+            }
+        };
+
+        /**
+         * Execute query and return rows (throws on error)
+         * Pure function - only reads data
+         */
+        const query = async (queryStr, params = {}) => {
+            const result = await run(queryStr, params);
+            if (!result.ok) {
+                throw new Error(result.message || 'Query failed');
+            }
+            return result.rows || [];
+        };
+
+        /**
+         * Execute mutation (create/put/rm)
+         * Explicit side effect boundary
+         */
+        const mutate = async (queryStr, params = {}) => {
+            const result = await run(queryStr, params);
+            if (!result.ok) {
+                throw new Error(result.message || 'Mutation failed');
+            }
+            return { success: true, affected: countAffected(result) };
+        };
+
+        /**
+         * Stream the rows of a query page by page in key order
+         * Only one page is in memory at a time. The key must identify rows
+         * uniquely (add tiebreaker columns otherwise); see prepareStreamQuery.
+         * @example for await (const row of exec.stream('?[id, name] := *users{id, name}', {}, { key: 'id' })) ...
+         * @param {string} queryStr - Query with a `?[...]` entry rule and no :order/:limit/:offset
+         * @param {Object} [params] - Query parameters
+         * @param {Object} [options] - { key: column name(s) from the `?` head, batchSize = 1000 }
+         * @returns {AsyncGenerator<any[]>} Rows
+         */
+        const stream = async function* (queryStr, params = {}, options = {}) {
+            const { key, batchSize = 1000 } = options;
+            const { pageQuery } = prepareStreamQuery(queryStr, { key, batchSize });
+            let last = null;
+            do {
+                const page = pageQuery(last);
+                const rows = await query(page.query, { ...params, ...page.params });
+                yield* rows;
+                last = rows.length === batchSize ? rows[rows.length - 1] : null;
+            } while (last);
+        };
+
+        /**
+         * Execute query and return rows as objects keyed by result headers
+         */
+        const queryObjects = async (queryStr, params = {}) => {
+            const result = await run(queryStr, params);
+            if (!result.ok) {
+                throw new Error(result.message || 'Query failed');
+            }
+            return (result.rows || []).map(row => zipRow(result.headers || [], row));
+        };
+
+        return Object.freeze({ run, query, queryObjects, mutate, stream });
+    };
+
+    // ============================================
+    // Multi-Tenant Database Manager
+    // ============================================
+
+    /**
+     * Create a multi-tenant database manager
+     * Each user/tenant gets their own isolated database instance
+     * 
+     * @param {Function} dbFactory - Function to create CozoDb instances
+     * @param {Object} [config] - { basePath, backend }
+     * @returns {Object} Manager with getDb, closeDb, listTenants
+     */
+    const createTenantManager = (dbFactory, config = {}) => {
+        const { basePath = './data', backend = 'sqlite' } = config;
+
+        // Immutable map of tenant -> executor (using closure for encapsulation)
+        let tenants = new Map();
+
+        /**
+         * Get or create database for tenant
+         * @param {string} tenantId - Unique tenant identifier
+         * @returns {Object} Executor for this tenant
+         */
+        const getDb = (tenantId) => {
+            if (!tenants.has(tenantId)) {
+                const dbPath = `${basePath}/${tenantId}.db`;
+                const instance = dbFactory(backend, dbPath);
+                const executor = createExecutor(instance);
+                tenants.set(tenantId, { instance, executor });
+            }
+            return tenants.get(tenantId).executor;
+        };
+
+        /**
+         * Close and remove tenant database
+         * @param {string} tenantId
+         */
+        const closeDb = (tenantId) => {
+            if (tenants.has(tenantId)) {
+                // Note: CozoDB doesn't have explicit close, GC handles it
+                tenants.delete(tenantId);
+            }
+        };
+
+        /**
+         * List all active tenants
+         * @returns {string[]} Array of tenant IDs
+         */
+        const listTenants = () => Array.from(tenants.keys());
+
+        /**
+         * Get tenant count
+         * @returns {number}
+         */
+        const getTenantCount = () => tenants.size;
+
+        return Object.freeze({ getDb, closeDb, listTenants, getTenantCount });
+    };
+
+    // ============================================
+    // Row Mapping (Pure Functions)
+    // ============================================
 
-/**
- * Create a repository for a specific relation
- * Encapsulates CRUD operations with type safety
- * 
- * @param {Object} executor - Database executor from createExecutor
- * @param {string} relationName - Name of the relation
- * @param {Object} schema - { keys: [...], values: [...] }
- * @returns {Object} Repository with find, findAll, save, remove
- */
-const createRepository = (executor, relationName, schema) => {
-    const { keys, values } = schema;
-    const allFields = [...keys, ...values];
-    
     /**
-     * Find all records (optionally filtered)
+     * Repository row shapes: positional arrays (fastest) or objects keyed by field
      */
-    const findAll = async (filter = null) => {
-        const query = buildSelectQuery(relationName, allFields, { filter });
-        return executor.query(query);
+    const ROW_MODES = Object.freeze(['array', 'object']);
+
+    /**
+     * Zip column names with a positional row
+     * @param {string[]} fields - Column names (query headers)
+     * @param {any[]} row
+     * @returns {Object}
+     */
+    const zipRow = (fields, row) => {
+        const obj = {};
+        fields.forEach((f, i) => { obj[f] = row[i]; });
+        return obj;
     };
-    
+
     /**
-     * Find by primary key(s)
+     * Row mapper: snake_case keys to camelCase (`created_at` -> `createdAt`)
+     * @param {Object} obj
+     * @returns {Object}
      */
-    const findByKey = async (keyValues) => {
-        const filterParts = keys.map((k, i) => `${k} == $key_${i}`);
-        const params = {};
-        keys.forEach((k, i) => { params[`key_${i}`] = keyValues[i]; });
-        
-        const query = buildSelectQuery(relationName, allFields, { 
-            filter: filterParts.join(', ') 
-        });
-        const rows = await executor.query(query, params);
-        return rows[0] || null;
+    const camelCaseKeys = (obj) => Object.fromEntries(
+        Object.entries(obj).map(([k, v]) => [k.replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase()), v])
+    );
+
+    /**
+     * Row mapper factory: numeric timestamps to Date
+     * CozoDB `now()` yields seconds, so seconds are the default unit.
+     * @param {string[]} fields - Fields holding timestamps
+     * @param {Object} [options] - { unit: 's' | 'ms' }
+     * @returns {Function} Mapper
+     */
+    const toDates = (fields, options = {}) => {
+        const scale = options.unit === 'ms' ? 1 : 1000;
+        return (obj) => {
+            const out = { ...obj };
+            fields.forEach(f => {
+                if (typeof out[f] === 'number') out[f] = new Date(out[f] * scale);
+            });
+            return out;
+        };
+    };
+
+    /**
+     * Compose row mappers left to right
+     * @param {...Function} mappers
+     * @returns {Function}
+     */
+    const composeMappers = (...mappers) => (obj) => mappers.reduce((acc, fn) => fn(acc), obj);
+
+    // ============================================
+    // Computed Changes (patchWhere)
+    // ============================================
+
+    /**
+     * Mark a patchWhere change as a Datalog expression over the row's current
+     * columns instead of a literal value. The expression is interpolated, so
+     * never build it from user input; pass user values as literals.
+     * @example repo.patchWhere({ id: 1 }, { views: computed('views + 1') })
+     * @param {string} expr - Datalog expression
+     * @returns {{ kind: 'computed', expr: string }}
+     */
+    const computed = (expr) => {
+        if (typeof expr !== 'string' || expr.trim() === '' || /[\n{}]|:=/.test(expr)) {
+            throw new CozoError(
+                ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                'computed() expects a single-line Datalog expression',
+                { expr }
+            );
+        }
+        return Object.freeze({ kind: 'computed', expr });
+    };
+
+    const isComputed = (value) => value !== null && typeof value === 'object' && value.kind === 'computed';
+
+    // ============================================
+    // Relationships (findAll include)
+    // ============================================
+
+    /**
+     * Normalise a relationship target: a definition from defineRelation or { name, keys, values }
+     * @returns {{ name: string, keys: string[], fields: string[] }}
+     */
+    const relationshipTarget = (target) => {
+        if (isRelationDefinition(target) || (target && typeof target.name === 'string' && Array.isArray(target.keys))) {
+            SecurityValidator.validateIdentifier(target.name, { kind: 'relation' });
+            const keys = [...target.keys];
+            return Object.freeze({ name: target.name, keys, fields: [...keys, ...(target.values || [])] });
+        }
+        throw new CozoError(
+            ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+            'Relationship target must be a relation definition or { name, keys, values }',
+            { target }
+        );
+    };
+
+    /**
+     * Reject relationship columns missing from the target relation
+     */
+    const assertTargetField = (target, field, option) => {
+        if (!target.fields.includes(field)) {
+            throw new CozoError(
+                ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH,
+                `${option} ${field} is not a column of ${target.name}`,
+                { relation: target.name, field, option }
+            );
+        }
+    };
+
+    /**
+     * Target rows point at this record: target[foreignKey] == this[localKey]
+     * @example relations: { notes: hasMany(notesDef, { foreignKey: 'author_id' }) }
+     * @param {Object} target - Relation definition or { name, keys, values }
+     * @param {Object} options - { foreignKey, localKey = first key of this relation }
+     */
+    const hasMany = (target, { foreignKey, localKey = null } = {}) => {
+        const resolved = relationshipTarget(target);
+        assertTargetField(resolved, foreignKey, 'foreignKey');
+        return Object.freeze({ kind: 'hasMany', target: resolved, foreignKey, localKey });
     };
-    
+
     /**
-     * Save (insert or update) a record
+     * This record points at one target row: this[foreignKey] == target[ownerKey]
+     * @example relations: { author: belongsTo(usersDef, { foreignKey: 'author_id' }) }
+     * @param {Object} target - Relation definition or { name, keys, values }
+     * @param {Object} options - { foreignKey, ownerKey = first key of the target }
      */
-    const save = async (record) => {
-        const data = [allFields.map(f => record[f])];
-        const query = buildPutQuery(relationName, keys, values, data);
-        return executor.mutate(query);
+    const belongsTo = (target, { foreignKey, ownerKey = null } = {}) => {
+        const resolved = relationshipTarget(target);
+        const owner = ownerKey ?? resolved.keys[0];
+        assertTargetField(resolved, owner, 'ownerKey');
+        return Object.freeze({ kind: 'belongsTo', target: resolved, foreignKey, ownerKey: owner });
     };
-    
+
     /**
-     * Save multiple records
+     * Records linked through an edge relation:
+     * this[localKey] == edge[sourceKey], edge[targetKey] == target[ownerKey]
+     * @example relations: { following: manyToMany(personDef, { through: 'follows', sourceKey: 'follower_id', targetKey: 'following_id' }) }
+     * @param {Object} target - Relation definition or { name, keys, values }
+     * @param {Object} options - { through, sourceKey, targetKey, localKey = first key, ownerKey = first target key }
      */
-    const saveAll = async (records) => {
-        const data = records.map(r => allFields.map(f => r[f]));
-        const query = buildPutQuery(relationName, keys, values, data);
-        return executor.mutate(query);
+    const manyToMany = (target, { through, sourceKey, targetKey, localKey = null, ownerKey = null } = {}) => {
+        const resolved = relationshipTarget(target);
+        const owner = ownerKey ?? resolved.keys[0];
+        assertTargetField(resolved, owner, 'ownerKey');
+        SecurityValidator.validateIdentifier(through, { kind: 'relation' });
+        SecurityValidator.validateIdentifier(sourceKey, { kind: 'field' });
+        SecurityValidator.validateIdentifier(targetKey, { kind: 'field' });
+        return Object.freeze({ kind: 'manyToMany', target: resolved, through, sourceKey, targetKey, localKey, ownerKey: owner });
     };
-    
-    /**
-     * Remove a record by key values
-     */
-    const remove = async (keyValues) => {
-        // First find the full record
-        const record = await findByKey(keyValues);
-        if (!record) return { success: true, affected: 0 };
-        
-        const data = [allFields.map((_, i) => record[i])];
-        const query = buildDeleteQuery(relationName, allFields, data);
-        return executor.mutate(query);
+
+    /**
+     * Body atoms joining a root row (columns bound to same-named variables) to one
+     * related row, whose columns are bound to `${name}__${field}`
+     * @param {string} name - Include name
+     * @param {Object} rel - Relationship with its parent-side key resolved
+     * @returns {{ atoms: Atom[], row: string[] }} row - Variables of the related row, in target column order
+     */
+    const relationshipAtoms = (name, rel) => {
+        const joinField = { hasMany: rel.foreignKey, belongsTo: rel.ownerKey, manyToMany: null }[rel.kind];
+        const joinVar = rel.kind === 'hasMany' ? rel.localKey : rel.foreignKey;
+        const bindings = Object.fromEntries(rel.target.fields.map(f => [f, f === joinField ? joinVar : `${name}__${f}`]));
+        const atoms = [relationAtom(rel.target.name, bindings)];
+        if (rel.kind === 'manyToMany') {
+            atoms.unshift(relationAtom(rel.through, { [rel.sourceKey]: rel.localKey, [rel.targetKey]: bindings[rel.ownerKey] }));
+        }
+        return { atoms, row: Object.values(bindings) };
+    };
+
+    // ============================================
+    // Time Travel (Validity Keys)
+    // ============================================
+
+    /**
+     * Special `@` timestamps: the current time, and the end of time (latest facts)
+     */
+    const VALIDITY_READ_SPECIALS = Object.freeze(['NOW', 'END']);
+
+    /**
+     * Normalise a time-travel timestamp to what CozoDB accepts
+     * Dates become microseconds since the epoch; integers are taken as
+     * microseconds; ISO date strings pass through.
+     * @param {Date|number|string} timestamp
+     * @param {string[]} [specials] - Extra keywords allowed (reads accept NOW / END)
+     * @returns {number|string}
+     */
+    const toValidityTime = (timestamp, specials = []) => {
+        if (timestamp instanceof Date && !Number.isNaN(timestamp.getTime())) return timestamp.getTime() * 1000;
+        if (Number.isSafeInteger(timestamp)) return timestamp;
+        if (typeof timestamp === 'string' && (specials.includes(timestamp) || !Number.isNaN(Date.parse(timestamp)))) {
+            return timestamp;
+        }
+        throw new CozoError(
+            ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+            `Timestamp must be a Date, integer microseconds or date string${specials.length ? ` (or ${specials.join(', ')})` : ''}`,
+            { timestamp }
+        );
     };
-    
-    return Object.freeze({ findAll, findByKey, save, saveAll, remove });
-};
-
-// ============================================
-// Exports
-// ============================================
-
-// Node.js exports
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = {
-        // Query builders (pure)
-        buildCreateQuery,
-        buildPutQuery,
-        buildSelectQuery,
-        buildDeleteQuery,
-        // Executor (DI)
-        createExecutor,
-        // Multi-tenant
-        createTenantManager,
-        // Repository pattern
-        createRepository
+
+    /**
+     * Normalise a timestamp written into a `[time, asserted]` Validity tuple
+     * The engine only parses date strings as a bare `@` timestamp, so inside the
+     * tuple they become integer microseconds (millisecond precision).
+     * @param {Date|number|string} timestamp - Date, integer microseconds or date string
+     * @returns {number}
+     */
+    const toValidityMicros = (timestamp) => {
+        const time = toValidityTime(timestamp);
+        return typeof time === 'string' ? Date.parse(time) * 1000 : time;
     };
-}
-
-// Browser exports
-if (typeof window !== 'undefined') {
-    window.CozoWrapper = {
-        buildCreateQuery,
-        buildPutQuery,
-        buildSelectQuery,
-        buildDeleteQuery,
-        createExecutor,
-        createTenantManager,
-        createRepository
+
+    // ============================================
+    // Repository Pattern (Domain Layer)
+    // ============================================
+
+    /**
+     * Create a repository for a specific relation
+     * Encapsulates CRUD operations with type safety
+     * 
+     * @param {Object} executor - Database executor from createExecutor
+     * @param {string|Object} relationName - Name of the relation, or a definition from defineRelation
+     * @param {Object} [schema] - { keys: [...], values: [...], vectorIndex: { name, field, dim },
+     *   textIndexes: [{ name, field }], types: { field: 'Int' | 'String?' | ... },
+     *   defaults: [fields with a column default], relations: { name: hasMany(...) | belongsTo(...) | manyToMany(...) },
+     *   validity: Validity key name (found from `types` when omitted), rowMode: 'array'|'object', mapRow }
+     *   For definitions, pass only the row options ({ rowMode, mapRow }) here.
+     *   `mapRow` receives each row as an object and implies object mode.
+     *   With `types` (always set for definitions), writes are type-checked and
+     *   coerced first (see column-types.js); mismatches throw COZO_SCHEMA_TYPE_ERROR.
+     *   save/saveAll/insert leave out missing `defaults` fields so CozoDB fills them in.
+     * @returns {Object} Repository with find, findAll, save, remove
+     */
+    const createRepository = (executor, relationName, schema = {}) => {
+        if (isRelationDefinition(relationName)) {
+            const definition = relationName;
+            const indices = definition.indices || [];
+            const hnsw = indices.find(ix => ix.type === 'hnsw');
+            return createRepository(executor, definition.name, {
+                ...schema,
+                keys: definition.keys,
+                values: definition.values,
+                vectorIndex: hnsw ? { name: hnsw.name, field: hnsw.field, dim: hnsw.dim } : null,
+                textIndexes: indices.filter(ix => ix.type === 'fts').map(({ name, field }) => ({ name, field })),
+                types: Object.fromEntries([...definition.keyFields, ...definition.valueFields].map(f => [f.name, f.type])),
+                defaults: [...definition.keyFields, ...definition.valueFields].filter(f => f.default !== undefined).map(f => f.name),
+                definition
+            });
+        }
+        const { keys, values, vectorIndex = null, textIndexes = [], types = null, defaults = [], relations = {}, validity = null, mapRow = null } = schema;
+        // Set when built from a definition: full column declarations and indices (used by replace)
+        const { definition = null } = schema;
+        const { rowMode = mapRow ? 'object' : 'array' } = schema;
+        const allFields = [...keys, ...values];
+        const defaultFields = new Set(defaults);
+        // Keys are always required; values only when typed non-nullable without a default
+        const requiredFields = allFields.filter(f => !defaultFields.has(f) && (keys.includes(f)
+            || (types && types[f] !== undefined && !splitColumnType(types[f]).nullable)));
+        // Temporal relations: the last key is a Validity column (declared or named by `validity`)
+        const lastKey = keys[keys.length - 1];
+        const validityField = validity
+            ?? (types && types[lastKey] && splitColumnType(types[lastKey]).baseType === 'Validity' ? lastKey : null);
+        if (validityField !== null && validityField !== lastKey) {
+            throw new CozoError(
+                ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH,
+                `${relationName}: the Validity column ${validityField} must be the last key`,
+                { relation: relationName, validity: validityField }
+            );
+        }
+        const factKeys = keys.filter(k => k !== validityField);
+
+        /**
+         * Row shaper for one call; per-call { rowMode, mapRow } override the repository's
+         * @param {Object} [options] - { rowMode, mapRow }
+         * @param {string[]} [columns] - Names for the row positions
+         * @returns {Function} row -> array or (mapped) object
+         */
+        const rowShaper = (options = {}, columns = allFields) => {
+            const mapper = options.mapRow ?? (options.rowMode === 'array' ? null : mapRow);
+            const mode = options.rowMode ?? (options.mapRow ? 'object' : rowMode);
+            if (!ROW_MODES.includes(mode)) {
+                throw new CozoError(
+                    ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                    `rowMode must be one of ${ROW_MODES.join(', ')}`,
+                    { rowMode: mode }
+                );
+            }
+            if (mode === 'array') return row => row;
+            return mapper
+                ? row => mapper(zipRow(columns, row))
+                : row => zipRow(columns, row);
+        };
+
+        /**
+         * Type-check and coerce records before a write (no-op without `types`)
+         * @param {Object[]} records
+         * @param {string[]} fields - Fields that will be written
+         */
+        const coerce = (records, fields) =>
+            (types ? coerceRecords(relationName, types, records, fields) : records);
+
+        /**
+         * Reject column names that are not part of the schema
+         * @param {string[]} names - Column names
+         * @param {string} clause - Clause name for the error detail
+         */
+        const assertColumns = (names, clause) => {
+            const unknown = names.filter(f => !allFields.includes(f));
+            if (unknown.length > 0) {
+                throw new CozoError(
+                    ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH,
+                    `Unknown field(s) in ${clause}: ${unknown.join(', ')}`,
+                    { relation: relationName, fields: unknown }
+                );
+            }
+        };
+
+        /**
+         * Reject where clauses that reference unknown columns
+         */
+        const assertKnownFields = (where) => assertColumns(compileWhere(where).fields, 'where');
+
+        // Declared relationships, with the key on this relation's side resolved
+        const relationships = Object.fromEntries(Object.entries(relations).map(([name, rel]) => {
+            SecurityValidator.validateIdentifier(name, { kind: 'relationship' });
+            if (!['hasMany', 'belongsTo', 'manyToMany'].includes(rel?.kind)) {
+                throw new CozoError(
+                    ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                    `Relationship ${name} must be declared with hasMany, belongsTo or manyToMany`,
+                    { relation: relationName, relationship: name }
+                );
+            }
+            const resolved = { ...rel, localKey: rel.localKey ?? keys[0] };
+            assertColumns([rel.kind === 'belongsTo' ? rel.foreignKey : resolved.localKey], `relationship ${name}`);
+            return [name, Object.freeze(resolved)];
+        }));
+
+        /**
+         * findAll with related records loaded by one joined query
+         * Each include collects related rows per key of this relation; records
+         * without any fall back to an empty list (null for belongsTo).
+         */
+        const findIncluding = async (filter, include, options) => {
+            const unknown = include.filter(name => !Object.hasOwn(relationships, name));
+            if (unknown.length > 0) {
+                throw new CozoError(
+                    ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                    `Unknown relationship(s) in include: ${unknown.join(', ')}`,
+                    { relation: relationName, include: unknown, known: Object.keys(relationships) }
+                );
+            }
+            const { body, params } = filterBody(filter);
+            const root = ruleAtom('root', allFields);
+            const lists = include.map(name => `${name}__list`);
+            const builder = include.reduce((qb, name, i) => {
+                const { atoms, row } = relationshipAtoms(name, relationships[name]);
+                const rowVar = `${name}__row`;
+                return qb
+                    .rule(`${name}_rows`, [...keys, collect(rowVar)], [root, ...atoms, unify(rowVar, `[${row.join(', ')}]`)])
+                    .rule(`${name}_hit`, keys, [root, ...atoms])
+                    .rule(`${name}_all`, [...keys, lists[i]],
+                        [ruleAtom(`${name}_rows`, [...keys, lists[i]])],
+                        [root, notAtom(ruleAtom(`${name}_hit`, keys)), unify(lists[i], '[]')]);
+            }, createQueryBuilder().rule('root', allFields, body));
+            const { query } = builder
+                .select([...allFields, ...lists], [root, ...include.map((name, i) => ruleAtom(`${name}_all`, [...keys, lists[i]]))])
+                .build();
+
+            const shape = rowShaper(options, [...allFields, ...include]);
+            return (await executor.query(query, params)).map((row) => {
+                const nested = include.map((name, i) => {
+                    const { kind, target } = relationships[name];
+                    const related = row[allFields.length + i].map(r => zipRow(target.fields, r));
+                    return kind === 'belongsTo' ? (related[0] ?? null) : related;
+                });
+                return shape([...row.slice(0, allFields.length), ...nested]);
+            });
+        };
+
+        /**
+         * Find all records (optionally filtered)
+         * @param {string|Object} [filter] - Raw Datalog filter, or a where object (see compileWhere)
+         * @param {Object} [options] - { rowMode, mapRow, include }
+         *   `include` names declared relationships to load as nested objects in the same query.
+         */
+        const findAll = async (filter = null, options = {}) => {
+            if (options.include?.length > 0) return findIncluding(filter, options.include, options);
+            const shape = rowShaper(options);
+            const isWhere = filter !== null && typeof filter === 'object';
+            if (isWhere) assertKnownFields(filter);
+            const { query, params } = buildSelectQuery(relationName, allFields, isWhere ? { where: filter } : { filter });
+            return (await executor.query(query, params)).map(shape);
+        };
+
+        /**
+         * Resolve an order spec to a total order by appending keys as tiebreakers
+         */
+        const resolveOrder = (orderBy) => {
+            const order = orderBy ? (Array.isArray(orderBy) ? [...orderBy] : [orderBy]) : [];
+            const named = order.map(o => o.replace(/^-/, ''));
+            assertColumns(named, 'orderBy');
+            return [...order, ...keys.filter(k => !named.includes(k))];
+        };
+
+        /**
+         * Rule body for a raw filter or where object, binding every column
+         * @param {string|Object|null} filter
+         * @param {string|null} [asOf] - Time-travel term for the relation atom, e.g. '$as_of'
+         * @returns {{ body: Atom[], params: Object }}
+         */
+        const filterBody = (filter, asOf = null) => {
+            let compiled = { expr: filter || '', params: {} };
+            if (filter && typeof filter === 'object') {
+                assertKnownFields(filter);
+                compiled = compileWhere(filter);
+            }
+            return {
+                body: [relationAtom(relationName, allFields, { asOf }), ...(compiled.expr ? [pred(compiled.expr)] : [])],
+                params: compiled.params
+            };
+        };
+
+        /**
+         * Count matching records with a Datalog count() aggregation
+         * @param {string|Object} [filter] - Raw Datalog filter or where object
+         * @returns {Promise<number>}
+         */
+        const countWhere = async (filter = null) => {
+            const { body, params } = filterBody(filter);
+            const { query } = createQueryBuilder().select([`count(${keys[0]})`], body).build();
+            const rows = await executor.query(query, params);
+            return rows.length > 0 ? rows[0][0] : 0;
+        };
+
+        /**
+         * Check whether any record matches, reading at most one key
+         * @param {string|Object} [filter] - Raw Datalog filter or where object
+         * @returns {Promise<boolean>}
+         */
+        const exists = async (filter = null) => {
+            const { body, params } = filterBody(filter);
+            const { query } = createQueryBuilder().select(keys, body).limit(1).build();
+            return (await executor.query(query, params)).length > 0;
+        };
+
+        /**
+         * First matching record in a stable order (keys break ties), or null
+         * @param {string|Object} [filter] - Raw Datalog filter or where object
+         * @param {Object} [options] - { orderBy, rowMode, mapRow }
+         */
+        const findOne = async (filter = null, options = {}) => {
+            const shape = rowShaper(options);
+            const order = resolveOrder(options.orderBy);
+            const { body, params } = filterBody(filter);
+            const { query } = createQueryBuilder().select(allFields, body).orderBy(order).limit(1).build();
+            const [row] = await executor.query(query, params);
+            return row ? shape(row) : null;
+        };
+
+        /**
+         * Find records whose fields equal the given ones
+         * Values are checked against `types` like writes and bound as params;
+         * null matches null.
+         * @example repo.findByExample({ tenant_id: 7, status: 'open' })
+         * @param {Object} example - Partial record
+         * @param {Object} [options] - { rowMode, mapRow }
+         */
+        const findByExample = async (example, options = {}) => {
+            const fields = Object.keys(example);
+            assertColumns(fields, 'example');
+            const [coerced] = coerce([example], fields.filter(f => example[f] !== null));
+            const where = Object.fromEntries(fields.map(f => [f, coerced[f] === null ? null : { eq: coerced[f] }]));
+            return findAll(where, options);
+        };
+
+        /**
+         * Fetch one page of records
+         * Keyset mode (default) seeks past the last key tuple with a key-range
+         * predicate, so deep pages cost the same as the first one.
+         * Offset mode (pass `offset`) is available as a fallback.
+         * @param {Object} [options] - { where, orderBy, limit, after, offset, rowMode, mapRow }
+         * @returns {Promise<{ items: any[], nextCursor: string|null }>}
+         */
+        const findPage = async (options = {}) => {
+            const { where = null, orderBy, limit = 50, after = null } = options;
+            const shape = rowShaper(options);
+            if (!Number.isInteger(limit) || limit <= 0) {
+                throw new CozoError(ErrorCodes.COZO_QUERY_INVALID_PARAMS, 'limit must be a positive integer', { limit });
+            }
+            if (where) assertKnownFields(where);
+
+            const order = resolveOrder(orderBy);
+            const cursor = after ? decodeCursor(after) : null;
+            const offset = cursor && 'o' in cursor ? cursor.o : options.offset;
+            const params = {};
+            let filter = null;
+
+            if (Number.isInteger(offset) && offset >= 0) {
+                // Offset fallback: cursor just carries the next offset
+                const select = buildSelectQuery(relationName, allFields, {
+                    where, orderBy: order.join(', '), limit: limit + 1, offset
+                });
+                const rows = await executor.query(select.query, select.params);
+                return {
+                    items: rows.slice(0, limit).map(shape),
+                    nextCursor: rows.length > limit ? encodeCursor({ o: offset + limit }) : null
+                };
+            }
+
+            if (cursor) {
+                if (!Array.isArray(cursor.k) || JSON.stringify(cursor.s) !== JSON.stringify(order)) {
+                    throw new CozoError(
+                        ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                        'Cursor does not match this query ordering',
+                        { expected: order, actual: cursor.s }
+                    );
+                }
+                const keyset = buildKeysetPredicate(order, cursor.k);
+                filter = keyset.expr;
+                Object.assign(params, keyset.params);
+            }
+
+            const select = buildSelectQuery(relationName, allFields, {
+                where, filter, orderBy: order.join(', '), limit: limit + 1
+            });
+            const rows = await executor.query(select.query, { ...params, ...select.params });
+            const items = rows.slice(0, limit);
+
+            let nextCursor = null;
+            if (rows.length > limit) {
+                const last = items[items.length - 1];
+                const k = order.map(o => last[allFields.indexOf(o.replace(/^-/, ''))]);
+                nextCursor = encodeCursor({ k, s: order });
+            }
+
+            return { items: items.map(shape), nextCursor };
+        };
+
+        /**
+         * Iterate over matching records in key order, one page per query
+         * Only one page is in memory at a time, so whole relations can be exported.
+         * @example for await (const user of repo.iterate({ where: { active: true }, rowMode: 'object' })) ...
+         * @param {Object} [options] - { where, orderBy, batchSize = 1000, rowMode, mapRow }
+         * @returns {AsyncGenerator} Rows, shaped as for findAll
+         */
+        const iterate = async function* (options = {}) {
+            const { batchSize = 1000, where = null, orderBy, rowMode: mode, mapRow: mapper } = options;
+            let after = null;
+            do {
+                const page = await findPage({ where, orderBy, limit: batchSize, after, rowMode: mode, mapRow: mapper });
+                yield* page.items;
+                after = page.nextCursor;
+            } while (after);
+        };
+
+        /**
+         * Parse an aggregation expression such as 'count(name)' (see query-builder count/mean/...)
+         */
+        const parseMetric = (alias, expr) => {
+            SecurityValidator.validateIdentifier(alias, { kind: 'variable' });
+            const match = /^([a-z_]+)\(([A-Za-z_][A-Za-z0-9_]*)\)$/.exec(String(expr));
+            if (!match || !AGGREGATIONS.includes(match[1]) || !allFields.includes(match[2])) {
+                throw new CozoError(
+                    ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                    `Invalid metric ${alias}: ${expr}`,
+                    { metric: alias, expr }
+                );
+            }
+            return { alias, fn: match[1], field: match[2], expr: match[0] };
+        };
+
+        /**
+         * Group and aggregate records
+         * @example
+         * repo.aggregate({
+         *     groupBy: ['department'],
+         *     metrics: { n: count('name'), avgAge: mean('age') },
+         *     where: { active: true },
+         *     having: { n: { gt: 5 } },
+         *     orderBy: '-n'
+         * });
+         * // [{ department: 'Eng', n: 12, avgAge: 34.5 }, ...]
+         * @param {Object} spec - { groupBy, metrics, where, having, orderBy, limit }
+         * @returns {Promise<Object[]>} One plain object per group
+         */
+        const aggregate = async (spec) => {
+            const { groupBy = [], metrics = {}, where = null, having = null, orderBy, limit } = spec;
+            const parsed = Object.entries(metrics).map(([alias, expr]) => parseMetric(alias, expr));
+            if (parsed.length === 0) {
+                throw new CozoError(ErrorCodes.COZO_QUERY_INVALID_PARAMS, 'aggregate needs at least one metric');
+            }
+            assertColumns(groupBy, 'groupBy');
+            if (where) assertKnownFields(where);
+
+            const columns = [...groupBy, ...parsed.map(m => m.alias)];
+            const compiledWhere = compileWhere(where);
+            const compiledHaving = compileWhere(having, { paramPrefix: 'h' });
+            const unknownHaving = compiledHaving.fields.filter(f => !columns.includes(f));
+            if (unknownHaving.length > 0) {
+                throw new CozoError(
+                    ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                    `having may only reference groupBy fields and metrics: ${unknownHaving.join(', ')}`,
+                    { fields: unknownHaving }
+                );
+            }
+
+            const bound = [...new Set([...groupBy, ...parsed.map(m => m.field), ...compiledWhere.fields])];
+            const body = [
+                relationAtom(relationName, bound),
+                ...(compiledWhere.expr ? [pred(compiledWhere.expr)] : [])
+            ];
+            const aggHead = [...groupBy, ...parsed.map(m => m.expr)];
+
+            // having and ordering refer to metric aliases, so they need a second
+            // rule stage where aggregated values are bound to plain variables
+            let builder = compiledHaving.expr || orderBy
+                ? createQueryBuilder()
+                    .rule('grouped', aggHead, body)
+                    .select(columns, [
+                        ruleAtom('grouped', columns),
+                        ...(compiledHaving.expr ? [pred(compiledHaving.expr)] : [])
+                    ])
+                : createQueryBuilder().select(aggHead, body);
+
+            if (orderBy) {
+                const order = Array.isArray(orderBy) ? orderBy : [orderBy];
+                const unknown = order.map(o => o.replace(/^-/, '')).filter(f => !columns.includes(f));
+                if (unknown.length > 0) {
+                    throw new CozoError(
+                        ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                        `orderBy may only reference groupBy fields and metrics: ${unknown.join(', ')}`,
+                        { fields: unknown }
+                    );
+                }
+                builder = builder.orderBy(order);
+            }
+            if (limit) builder = builder.limit(limit);
+
+            const { query } = builder.build();
+            const rows = await executor.query(query, { ...compiledWhere.params, ...compiledHaving.params });
+            return rows.map(row => Object.fromEntries(columns.map((c, i) => [c, row[i]])));
+        };
+
+        /**
+         * Nearest-neighbour search over the configured HNSW index
+         * The query vector is checked against the index dimension up front,
+         * so a wrong length fails with COZO_SCHEMA_TYPE_ERROR before execution.
+         * @param {number[]} vector - Query vector
+         * @param {Object} [options] - { k, ef, filter (where object), radius, rowMode, mapRow }
+         * @returns {Promise<Array<{ row: any[]|Object, distance: number }>>} Nearest first
+         */
+        const searchSimilar = async (vector, options = {}) => {
+            const { k = 10, ef = 50, filter = null, radius } = options;
+            const shape = rowShaper(options);
+            if (!vectorIndex) {
+                throw new CozoError(
+                    ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                    `Repository ${relationName} has no vectorIndex configured`,
+                    { relation: relationName }
+                );
+            }
+            validateVector(vector, vectorIndex.dim, vectorIndex.field);
+            for (const [name, value] of Object.entries({ k, ef })) {
+                if (!Number.isInteger(value) || value <= 0) {
+                    throw new CozoError(ErrorCodes.COZO_QUERY_INVALID_PARAMS, `${name} must be a positive integer`, { [name]: value });
+                }
+            }
+            if (radius !== undefined && !(typeof radius === 'number' && radius >= 0)) {
+                throw new CozoError(ErrorCodes.COZO_QUERY_INVALID_PARAMS, 'radius must be a non-negative number', { radius });
+            }
+
+            const compiled = compileWhere(filter, { paramPrefix: 'f' });
+            assertColumns(compiled.fields, 'filter');
+
+            const searchOptions = {
+                query: 'search_query',
+                k,
+                ef,
+                bind_distance: 'search_distance',
+                ...(compiled.expr ? { filter: compiled.expr } : {}),
+                ...(radius !== undefined ? { radius } : {})
+            };
+            const { query } = createQueryBuilder()
+                .select([...allFields, 'search_distance'], [
+                    unify('search_query', 'vec($vector)'),
+                    searchAtom(relationName, vectorIndex.name, allFields, searchOptions)
+                ])
+                .orderBy('search_distance')
+                .build();
+
+            try {
+                const rows = await executor.query(query, { ...compiled.params, vector: Array.from(vector) });
+                return rows.map(r => ({ row: shape(r.slice(0, -1)), distance: r[r.length - 1] }));
+            } catch (e) {
+                throw parseNativeError(e);
+            }
+        };
+
+        /**
+         * Ranked full-text search over the configured FTS indexes
+         * Each selected index is searched separately; a row matching several
+         * fields is returned once with the sum of its per-field scores.
+         * @param {string} text - Search text (FTS query syntax: AND, OR, NOT, "phrases")
+         * @param {Object} [options] - { k, fields (indexed fields to search, default all),
+         *   filter (where object), rowMode, mapRow }
+         * @returns {Promise<Array<{ row: any[]|Object, score: number }>>} Best match first
+         */
+        const searchText = async (text, options = {}) => {
+            const { k = 10, fields = textIndexes.map(idx => idx.field), filter = null } = options;
+            const shape = rowShaper(options);
+            if (textIndexes.length === 0) {
+                throw new CozoError(
+                    ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                    `Repository ${relationName} has no textIndexes configured`,
+                    { relation: relationName }
+                );
+            }
+            if (typeof text !== 'string' || text.trim() === '') {
+                throw new CozoError(ErrorCodes.COZO_QUERY_INVALID_PARAMS, 'Search text must be a non-empty string', { text });
+            }
+            if (!Number.isInteger(k) || k <= 0) {
+                throw new CozoError(ErrorCodes.COZO_QUERY_INVALID_PARAMS, 'k must be a positive integer', { k });
+            }
+            const unindexed = fields.filter(f => !textIndexes.some(idx => idx.field === f));
+            if (unindexed.length > 0) {
+                throw new CozoError(
+                    ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                    `No text index on field(s): ${unindexed.join(', ')}`,
+                    { relation: relationName, fields: unindexed }
+                );
+            }
+
+            const compiled = compileWhere(filter, { paramPrefix: 'f' });
+            assertColumns(compiled.fields, 'filter');
+
+            const searchOptions = {
+                query: '$text',
+                k,
+                bind_score: 'search_score',
+                ...(compiled.expr ? { filter: compiled.expr } : {})
+            };
+            const bodies = textIndexes
+                .filter(idx => fields.includes(idx.field))
+                .map(idx => [
+                    searchAtom(relationName, idx.name, allFields, searchOptions),
+                    unify('search_source', `'${idx.field}'`)
+                ]);
+            const { query } = createQueryBuilder()
+                .rule('hits', [...keys, 'search_source', 'search_score'], ...bodies)
+                .rule('scored', [...keys, sum('search_score')], [
+                    ruleAtom('hits', [...keys, 'search_source', 'search_score'])
+                ])
+                .select([...allFields, 'search_score'], [
+                    ruleAtom('scored', [...keys, 'search_score']),
+                    relationAtom(relationName, allFields)
+                ])
+                .orderBy('-search_score')
+                .limit(k)
+                .build();
+
+            try {
+                const rows = await executor.query(query, { ...compiled.params, text });
+                return rows.map(r => ({ row: shape(r.slice(0, -1)), score: r[r.length - 1] }));
+            } catch (e) {
+                throw parseNativeError(e);
+            }
+        };
+
+        /**
+         * Find by primary key(s)
+         * @param {any[]} keyValues - Key values in key order
+         * @param {Object} [options] - { rowMode, mapRow }
+         */
+        const findByKey = async (keyValues, options = {}) => {
+            const shape = rowShaper(options);
+            const filterParts = keys.map((k, i) => `${k} == $key_${i}`);
+            const params = {};
+            keys.forEach((k, i) => { params[`key_${i}`] = keyValues[i]; });
+
+            const { query } = buildSelectQuery(relationName, allFields, { 
+                filter: filterParts.join(', ') 
+            });
+            const rows = await executor.query(query, params);
+            return rows[0] ? shape(rows[0]) : null;
+        };
+
+        /**
+         * Save (insert or update) a record
+         */
+        const save = async (record) => saveAll([record]);
+
+        /**
+         * Save multiple records
+         * Rows are bound as $rows so query length is independent of data size.
+         * Every record is checked before the first write. With `batchSize`, rows
+         * are written in chunks of that size; a failed or aborted chunk throws with
+         * `context.batch` and `context.resumeFrom` (the record index to pass back
+         * as `startAt`). `transaction: true` chains all chunks into one atomic query.
+         *
+         * @param {Object[]} records
+         * @param {Object} [options] - { batchSize, onProgress({ batch, batches, saved, total }),
+         *   signal: AbortSignal, transaction: boolean, startAt: record index to resume from }
+         * @returns {Promise<{ success: boolean, affected: number, batches: number }>}
+         */
+        const saveAll = async (records, options = {}) => {
+            const { onProgress = null, signal = null, transaction = false, startAt = 0 } = options;
+            const pending = prepareRecords(records).slice(startAt);
+            const { batchSize = Math.max(pending.length, 1) } = options;
+            if (!Number.isInteger(batchSize) || batchSize < 1) {
+                throw new CozoError(ErrorCodes.COZO_QUERY_INVALID_PARAMS, 'batchSize must be a positive integer', { batchSize });
+            }
+
+            const batches = [];
+            for (let i = 0; i < pending.length; i += batchSize) batches.push(pending.slice(i, i + batchSize));
+            if (batches.length === 0) return { success: true, affected: 0, batches: 0 };
+            const report = (batch, saved) => {
+                if (onProgress) onProgress({ batch, batches: batches.length, saved, total: records.length });
+            };
+            const failed = (error, batch, resumeFrom) => new CozoError(
+                error.code,
+                error.detail,
+                { ...error.context, relation: relationName, batch, resumeFrom }
+            );
+            const assertNotAborted = (batch, resumeFrom) => {
+                if (signal && signal.aborted) {
+                    throw failed(
+                        new CozoError(ErrorCodes.COZO_QUERY_EXECUTION_FAILED, `saveAll aborted before batch ${batch}`, { aborted: true }),
+                        batch,
+                        resumeFrom
+                    );
+                }
+            };
+
+            if (transaction) {
+                assertNotAborted(0, startAt);
+                const plans = batches.map((batch, i) => planWrite('put', batch, `b${i}`));
+                let result;
+                try {
+                    result = await runPlan({
+                        blocks: plans.flatMap(p => p.blocks),
+                        params: Object.assign({}, ...plans.map(p => p.params))
+                    });
+                } catch (e) {
+                    throw failed(e, 0, startAt);
+                }
+                report(batches.length - 1, records.length);
+                return { ...result, batches: batches.length };
+            }
+
+            let saved = startAt;
+            let affected = 0;
+            for (const [i, batch] of batches.entries()) {
+                assertNotAborted(i, saved);
+                try {
+                    affected += (await runPlan(planWrite('put', batch))).affected;
+                } catch (e) {
+                    throw failed(e, i, saved);
+                }
+                saved += batch.length;
+                report(i, saved);
+            }
+            return { success: true, affected, batches: batches.length };
+        };
+
+        /**
+         * Check and coerce records, and work out the columns each one writes
+         * Missing fields with a column default are left out so CozoDB applies the
+         * default; other missing value fields are written as null. Missing required
+         * fields throw COZO_DATA_CONSTRAINT_ERROR before anything is written.
+         * @param {Object[]} records
+         * @returns {Array<{ written: string[], row: any[] }>}
+         */
+        const prepareRecords = (records) => {
+            const missing = [];
+            const prepared = coerce(records, allFields).map((record, row) => {
+                requiredFields
+                    .filter(f => record[f] === undefined)
+                    .forEach(field => missing.push({ row, field }));
+                const written = allFields.filter(f => record[f] !== undefined || !defaultFields.has(f));
+                return { written, row: written.map(f => record[f] ?? null) };
+            });
+
+            if (missing.length > 0) {
+                const fields = [...new Set(missing.map(m => m.field))];
+                throw new CozoError(
+                    ErrorCodes.COZO_DATA_CONSTRAINT_ERROR,
+                    `Missing required field(s) for ${relationName}: ${fields.join(', ')}`,
+                    { relation: relationName, missing }
+                );
+            }
+            return prepared;
+        };
+
+        /**
+         * Build put/insert blocks for prepared records, one per column set
+         * A single block binds $rows; otherwise params are `${prefix}_0`, `${prefix}_1`, ...
+         * @returns {{ blocks: string[], params: Object }}
+         */
+        const planWrite = (op, prepared, prefix = 'rows') => {
+            const groups = new Map();
+            prepared.forEach(({ written, row }) => {
+                const signature = written.join(',');
+                if (!groups.has(signature)) groups.set(signature, { written, rows: [] });
+                groups.get(signature).rows.push(row);
+            });
+            const list = [...groups.values()];
+            const name = (i) => (list.length === 1 && prefix === 'rows' ? 'rows' : `${prefix}_${i}`);
+
+            return {
+                blocks: list.map((g, i) => buildMutationQuery(
+                    op,
+                    relationName,
+                    keys.filter(f => g.written.includes(f)),
+                    values.filter(f => g.written.includes(f)),
+                    `$${name(i)}`
+                )),
+                params: Object.fromEntries(list.map((g, i) => [name(i), g.rows]))
+            };
+        };
+
+        /**
+         * Execute planned blocks, chained into one transaction when there are several
+         */
+        const runPlan = async ({ blocks, params }) => {
+            const query = blocks.length === 1 ? blocks[0] : buildTransaction(blocks);
+            try {
+                return await executor.mutate(query, params);
+            } catch (e) {
+                throw parseNativeError(e);
+            }
+        };
+
+        /**
+         * Build the blocks for one transaction step
+         * put/insert records are prepared as for save. Other ops need every key field;
+         * update writes the value columns a record lists, ensure compares all of them,
+         * and ensure_not binds null values since it only checks keys.
+         * @returns {{ blocks: string[], params: Object }}
+         */
+        const planStep = (step, prefix = 'rows') => {
+            const { op, records } = step || {};
+            if (!TRANSACTION_OPS.includes(op) || !Array.isArray(records)) {
+                throw new CozoError(
+                    ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                    `Transaction step needs an op (${TRANSACTION_OPS.join(', ')}) and a records array`,
+                    { relation: relationName, op }
+                );
+            }
+            if (op === 'put' || op === 'insert') return planWrite(op, prepareRecords(records), prefix);
+
+            const missing = records.findIndex(r => keys.some(k => r?.[k] === undefined));
+            if (missing !== -1) {
+                throw new CozoError(
+                    ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                    `${op} record ${missing} needs every key field: ${keys.join(', ')}`,
+                    { relation: relationName, op, index: missing }
+                );
+            }
+            const writtenFields = {
+                update: r => allFields.filter(f => keys.includes(f) || r[f] !== undefined),
+                rm: () => keys,
+                delete: () => keys
+            }[op] || (() => allFields);
+            return planWrite(op, coerce(records, allFields).map((record) => {
+                const written = writtenFields(record);
+                return { written, row: written.map(f => record[f] ?? null) };
+            }), prefix);
+        };
+
+        /**
+         * Write records with put/insert in one query
+         */
+        const writeRecords = async (op, records) => runPlan(planWrite(op, prepareRecords(records)));
+
+        /**
+         * Run a mutation op over records, mapping engine errors to CozoError
+         * (e.g. COZO_DATA_KEY_VIOLATION, COZO_DATA_NOT_FOUND)
+         */
+        const runOp = async (op, fields, records) => {
+            const written = [...keys, ...fields];
+            const data = coerce(records, written).map(r => written.map(f => r[f]));
+            const query = buildMutationQuery(op, relationName, keys, fields, ROWS_PARAM);
+            try {
+                return await executor.mutate(query, { rows: data });
+            } catch (e) {
+                throw parseNativeError(e);
+            }
+        };
+
+        /**
+         * Insert a record (fails with COZO_DATA_KEY_VIOLATION if the key exists)
+         * Missing fields with defaults are filled in as for save.
+         */
+        const insert = async (record) => writeRecords('insert', [record]);
+
+        /**
+         * Update only the value columns present in record
+         * (fails with COZO_DATA_NOT_FOUND if the key is missing)
+         */
+        const update = async (record) =>
+            runOp('update', values.filter(f => f in record), [record]);
+
+        /**
+         * Check a changes object and return the value columns it touches
+         */
+        const changedFields = (changes) => {
+            const fields = Object.keys(changes || {});
+            if (fields.length === 0) {
+                throw new CozoError(ErrorCodes.COZO_QUERY_INVALID_PARAMS, 'changes must name at least one field', { relation: relationName });
+            }
+            assertColumns(fields, 'changes');
+            const keyChanges = fields.filter(f => keys.includes(f));
+            if (keyChanges.length > 0) {
+                throw new CozoError(
+                    ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                    `Key field(s) cannot be patched: ${keyChanges.join(', ')}`,
+                    { relation: relationName, fields: keyChanges }
+                );
+            }
+            return fields;
+        };
+
+        /**
+         * Atomically set some value columns of one record with a single :update
+         * (fails with COZO_DATA_NOT_FOUND if the key is missing)
+         * @param {any[]} keyValues - Key values in key order
+         * @param {Object} changes - { field: value } for the columns to change
+         */
+        const patch = async (keyValues, changes) => {
+            const fields = changedFields(changes);
+            if (fields.some(f => isComputed(changes[f]))) {
+                throw new CozoError(
+                    ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                    'patch takes literal values; use patchWhere for computed changes',
+                    { relation: relationName }
+                );
+            }
+            const record = { ...Object.fromEntries(keys.map((k, i) => [k, keyValues[i]])), ...changes };
+            return runOp('update', fields, [record]);
+        };
+
+        /**
+         * Update every matching record in one query
+         * Values may be literals (bound as params) or computed('expr') over the
+         * record's current columns, e.g. { views: computed('views + 1') }.
+         * @param {string|Object|null} filter - Raw Datalog filter, where object, or null for all records
+         * @param {Object} changes - { field: value | computed(expr) }
+         */
+        const patchWhere = async (filter, changes) => {
+            const fields = changedFields(changes);
+            const compiled = filter && typeof filter === 'object'
+                ? compileWhere(filter)
+                : { expr: filter || '', params: {}, fields: [] };
+            assertColumns(compiled.fields, 'where');
+
+            const literals = fields.filter(f => !isComputed(changes[f]));
+            const [coerced] = coerce([changes], literals);
+            const params = { ...compiled.params };
+            const assignments = fields.map((f, i) => {
+                if (isComputed(changes[f])) return `${f}__new = ${changes[f].expr}`;
+                params[`p${i}`] = coerced[f];
+                return `${f}__new = $p${i}`;
+            });
+
+            // Computed values are bound in a helper rule so expressions see the old columns
+            const head = [...keys, ...fields];
+            const body = [`*${relationName}{${allFields.join(', ')}}`, compiled.expr, ...assignments].filter(Boolean);
+            const query = [
+                `patched[${[...keys, ...fields.map(f => `${f}__new`)].join(', ')}] := ${body.join(', ')}`,
+                `?[${head.join(', ')}] := patched[${head.join(', ')}]`,
+                `:update ${relationName} {${keys.join(', ')} => ${fields.join(', ')}}`
+            ].join('\n');
+            try {
+                return await executor.mutate(query, params);
+            } catch (e) {
+                throw parseNativeError(e);
+            }
+        };
+
+        /**
+         * Replace the whole relation content with records
+         * `:replace` redefines the relation from its spec, so this needs the column
+         * types and defaults of a definition (they are kept as declared) and refuses
+         * relations with indices, which CozoDB cannot replace.
+         */
+        const replace = async (records) => {
+            if (!definition || definition.indices.length > 0) {
+                throw new CozoError(
+                    ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                    definition
+                        ? `replace: ${relationName} has indices, which CozoDB cannot replace`
+                        : `replace needs a repository built from defineRelation, so ${relationName} keeps its column types`,
+                    { relation: relationName }
+                );
+            }
+            const data = coerce(records, allFields).map(r => allFields.map(f => r[f]));
+            const query = buildMutationQuery('replace', relationName, definition.keyFields, definition.valueFields, ROWS_PARAM);
+            try {
+                return await executor.mutate(query, { rows: data });
+            } catch (e) {
+                throw parseNativeError(e);
+            }
+        };
+
+        /**
+         * Run steps as one atomic query: all of them commit or none do
+         * `ensure` / `ensure_not` steps guard the writes that follow them, e.g.
+         * `[{ op: 'ensure_not', records: [{ id }] }, { op: 'insert', records: [user] }]`.
+         * @param {Array<{ op: string, records: Object[] }>} steps - op is one of TRANSACTION_OPS;
+         *   rm, delete and ensure_not records need only the key fields
+         * @returns {Promise<{ success: boolean, affected: number }>}
+         */
+        const transaction = async (steps) => {
+            const plans = steps.map((step, i) => planStep(step, `s${i}`));
+            const blocks = plans.flatMap(p => p.blocks);
+            if (blocks.length === 0) return { success: true, affected: 0 };
+            return runPlan({ blocks, params: Object.assign({}, ...plans.map(p => p.params)) });
+        };
+
+        /**
+         * Check that a record exists with exactly these values
+         * (fails with COZO_DATA_NOT_FOUND or COZO_DATA_CONSTRAINT_ERROR)
+         * To guard a write, use an `ensure` step in transaction instead.
+         */
+        const ensureExists = async (record) => runPlan(planStep({ op: 'ensure', records: [record] }));
+
+        /**
+         * Check that no record with these key values exists (fails with COZO_DATA_KEY_VIOLATION)
+         * To guard a write, use an `ensure_not` step in transaction instead.
+         */
+        const ensureAbsent = async (keyValues) => {
+            const record = Object.fromEntries(keys.map((k, i) => [k, keyValues[i]]));
+            return runPlan(planStep({ op: 'ensure_not', records: [record] }));
+        };
+
+        /**
+         * Run a removal query, mapping engine errors to CozoError
+         * Queries end in `:returning`, so `affected` counts rows that existed.
+         */
+        const runRemoval = async (query, params) => {
+            try {
+                return await executor.mutate(query, params);
+            } catch (e) {
+                throw parseNativeError(e);
+            }
+        };
+
+        /**
+         * Remove a record by key values
+         * @param {any[]} keyValues - Key values in key order
+         * @returns {Promise<{ success: boolean, affected: number }>} affected is 0 if the key was absent
+         */
+        const remove = async (keyValues) => removeMany([keyValues]);
+
+        /**
+         * Remove records by key tuples in a single `:rm` over the key columns
+         * @param {any[][]} keyTuples - One tuple of key values (in key order) per record
+         * @returns {Promise<{ success: boolean, affected: number }>}
+         */
+        const removeMany = async (keyTuples) => {
+            const malformed = keyTuples.findIndex(t => !Array.isArray(t) || t.length !== keys.length);
+            if (malformed !== -1) {
+                throw new CozoError(
+                    ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                    `Key tuple ${malformed} must have ${keys.length} value(s): ${keys.join(', ')}`,
+                    { relation: relationName, index: malformed }
+                );
+            }
+            if (keyTuples.length === 0) return { success: true, affected: 0 };
+
+            const records = keyTuples.map(t => Object.fromEntries(keys.map((k, i) => [k, t[i]])));
+            const data = coerce(records, keys).map(r => keys.map(k => r[k]));
+            const query = buildMutationQuery('rm', relationName, keys, [], ROWS_PARAM, { returning: true });
+            return runRemoval(query, { rows: data });
+        };
+
+        /**
+         * Remove every matching record in one query
+         * An empty filter is rejected; pass 'true' to remove every record.
+         * @param {string|Object} filter - Raw Datalog filter or where object
+         * @returns {Promise<{ success: boolean, affected: number }>}
+         */
+        const removeWhere = async (filter) => {
+            const isWhere = filter !== null && typeof filter === 'object';
+            if (!filter || (isWhere && Object.keys(filter).length === 0)) {
+                throw new CozoError(
+                    ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                    "removeWhere needs a filter; pass 'true' to remove every record",
+                    { relation: relationName }
+                );
+            }
+            const compiled = isWhere ? compileWhere(filter) : { expr: filter, params: {}, fields: [] };
+            assertColumns(compiled.fields, 'where');
+
+            const query = [
+                `?[${keys.join(', ')}] := *${relationName}{${allFields.join(', ')}}, ${compiled.expr}`,
+                `:rm ${relationName} {${keys.join(', ')}}`,
+                ':returning'
+            ].join('\n');
+            return runRemoval(query, compiled.params);
+        };
+
+        /**
+         * Reject time-travel calls on relations without a Validity key
+         */
+        const assertTemporal = (method) => {
+            if (validityField === null) {
+                throw new CozoError(
+                    ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH,
+                    `${method} needs a relation whose last key is a Validity column`,
+                    { relation: relationName }
+                );
+            }
+        };
+
+        /**
+         * Filter and params matching one fact by its keys (all keys but the Validity one)
+         * @param {any[]} keyValues - Fact key values in key order
+         * @returns {{ filters: string[], params: Object }}
+         */
+        const factKeyFilter = (keyValues) => {
+            if (!Array.isArray(keyValues) || keyValues.length !== factKeys.length) {
+                throw new CozoError(
+                    ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                    `Expected ${factKeys.length} key value(s): ${factKeys.join(', ')}`,
+                    { relation: relationName }
+                );
+            }
+            const [record] = coerce([Object.fromEntries(factKeys.map((k, i) => [k, keyValues[i]]))], factKeys);
+            return {
+                filters: factKeys.map((k, i) => `${k} == $key_${i}`),
+                params: Object.fromEntries(factKeys.map((k, i) => [`key_${i}`, record[k]]))
+            };
+        };
+
+        /**
+         * Assert a record as valid from `timestamp` on (time travel)
+         * Earlier versions stay visible to findAsOf for earlier timestamps.
+         * @param {Object} record - Record without the Validity column
+         * @param {Date|number|string} timestamp - Date, integer microseconds or date string
+         * @returns {Promise<{ success: boolean, affected: number }>}
+         */
+        const saveAt = async (record, timestamp) => {
+            assertTemporal('saveAt');
+            return save({ ...record, [validityField]: [toValidityMicros(timestamp), true] });
+        };
+
+        /**
+         * Retract a fact from `timestamp` on, keeping its history
+         * Writes a `[timestamp, false]` version carrying the values visible at that
+         * time, so retracting an unknown fact writes nothing.
+         * @param {any[]} keyValues - Fact key values in key order (without the Validity key)
+         * @param {Date|number|string} [timestamp] - Defaults to now
+         * @returns {Promise<{ success: boolean, affected: number }>} affected is 0 if nothing was visible
+         */
+        const retract = async (keyValues, timestamp = new Date()) => {
+            assertTemporal('retract');
+            const { filters, params } = factKeyFilter(keyValues);
+            const visible = allFields.filter(f => f !== validityField);
+            const query = [
+                `?[${allFields.join(', ')}] := *${relationName}{${visible.join(', ')} @ $as_of}, `
+                    + [...filters, `${validityField} = [$as_of, false]`].join(', '),
+                `:put ${relationName} {${keys.join(', ')}${values.length > 0 ? ` => ${values.join(', ')}` : ''}}`,
+                ':returning'
+            ].join('\n');
+            return runRemoval(query, { ...params, as_of: toValidityMicros(timestamp) });
+        };
+
+        /**
+         * Records as they were at `timestamp` ("what was known at time T")
+         * Each row carries the Validity of the version that was visible.
+         * @param {Date|number|string} timestamp - Date, integer microseconds, date string, 'NOW' or 'END'
+         * @param {string|Object} [filter] - Raw Datalog filter or where object
+         * @param {Object} [options] - { rowMode, mapRow }
+         */
+        const findAsOf = async (timestamp, filter = null, options = {}) => {
+            assertTemporal('findAsOf');
+            const shape = rowShaper(options);
+            const { body, params } = filterBody(filter, '$as_of');
+            const { query } = createQueryBuilder().select(allFields, body).build();
+            const rows = await executor.query(query, { ...params, as_of: toValidityTime(timestamp, VALIDITY_READ_SPECIALS) });
+            return rows.map(shape);
+        };
+
+        /**
+         * Every stored version of one fact, oldest first (assertions and retractions)
+         * @param {any[]} keyValues - Fact key values in key order (without the Validity key)
+         * @param {Object} [options] - { rowMode, mapRow }
+         */
+        const history = async (keyValues, options = {}) => {
+            assertTemporal('history');
+            const shape = rowShaper(options);
+            const { filters, params } = factKeyFilter(keyValues);
+            const { query } = buildSelectQuery(relationName, allFields, { filter: filters.join(', ') || 'true' });
+            const at = allFields.indexOf(validityField);
+            const rows = await executor.query(query, params);
+            return [...rows].sort((a, b) => a[at][0] - b[at][0]).map(shape);
+        };
+
+        return Object.freeze({
+            findAll,
+            findOne,
+            findByExample,
+            count: countWhere,
+            exists,
+            findPage,
+            iterate,
+            aggregate,
+            searchSimilar,
+            searchText,
+            findByKey,
+            save,
+            saveAll,
+            insert,
+            update,
+            patch,
+            patchWhere,
+            replace,
+            transaction,
+            ensureExists,
+            ensureAbsent,
+            remove,
+            removeMany,
+            removeWhere,
+            saveAt,
+            retract,
+            findAsOf,
+            history
+        });
     };
-}
 
+    // ============================================
+    // Exports
+    // ============================================
+
+    // Node.js exports
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            // Query builders (pure)
+            isRelationDefinition,
+            buildCreateQuery,
+            buildPutQuery,
+            buildSelectQuery,
+            buildDeleteQuery,
+            buildMutationQuery,
+            buildInsertQuery,
+            buildUpdateQuery,
+            buildReplaceQuery,
+            buildEnsureQuery,
+            buildEnsureNotQuery,
+            buildTransaction,
+            MUTATION_OPS,
+            ROWS_PARAM,
+            // Pagination
+            encodeCursor,
+            decodeCursor,
+            buildKeysetPredicate,
+            // Row mapping
+            ROW_MODES,
+            zipRow,
+            camelCaseKeys,
+            toDates,
+            composeMappers,
+            // Computed changes
+            computed,
+            // Relationships
+            hasMany,
+            belongsTo,
+            manyToMany,
+            // Executor (DI)
+            createExecutor,
+            // Multi-tenant
+            createTenantManager,
+            // Repository pattern
+            createRepository
+        };
+    }
+
+    // Browser exports
+    if (typeof window !== 'undefined') {
+        window.CozoWrapper = {
+            isRelationDefinition,
+            buildCreateQuery,
+            buildPutQuery,
+            buildSelectQuery,
+            buildDeleteQuery,
+            buildMutationQuery,
+            buildInsertQuery,
+            buildUpdateQuery,
+            buildReplaceQuery,
+            buildEnsureQuery,
+            buildEnsureNotQuery,
+            buildTransaction,
+            ROWS_PARAM,
+            encodeCursor,
+            decodeCursor,
+            ROW_MODES,
+            zipRow,
+            camelCaseKeys,
+            toDates,
+            composeMappers,
+            computed,
+            hasMany,
+            belongsTo,
+            manyToMany,
+            createExecutor,
+            createTenantManager,
+            createRepository
+        };
+    }
+
+})();
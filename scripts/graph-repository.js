@@ -0,0 +1,374 @@
+/**
+ * CozoDB Graph Repository
+ *
+ * Treats a node relation and an edge relation as one graph. Nodes have a
+ * single key; edges are keyed by their endpoints (plus any extra keys, e.g. an
+ * edge type) and store edge properties as value columns.
+ *
+ * Features:
+ * - addNode / addEdge: typed writes through createRepository
+ * - removeNode: drops the node and its incident edges in one transaction
+ * - neighbors: depth-bounded neighbourhood, in/out/both directions
+ * - degree: incident edge count via a Datalog count()
+ * - subgraph: induced subgraph around a set of seed nodes
+ *
+ * @module graph-repository
+ */
+
+(() => {
+
+    const { CozoError, ErrorCodes, SecurityValidator, parseNativeError } = typeof module !== 'undefined' && module.exports
+        ? require('./cozo-errors')
+        : window.CozoErrors;
+    const { createQueryBuilder, relation, ruleAtom, pred, unify, min, count } = typeof module !== 'undefined' && module.exports
+        ? require('./query-builder')
+        : window.CozoQueryBuilder;
+    const { createRepository, buildTransaction, isRelationDefinition, zipRow, ROW_MODES } = typeof module !== 'undefined' && module.exports
+        ? require('./cozo-wrapper')
+        : window.CozoWrapper;
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    const DIRECTIONS = Object.freeze(['out', 'in', 'both']);
+
+    // ============================================
+    // Graph Shape (Pure Functions)
+    // ============================================
+
+    /**
+     * Normalise a node or edge relation: a definition from defineRelation or { name, keys, values }
+     * @returns {{ name: string, keys: string[], values: string[], fields: string[], spec: Object }}
+     */
+    const graphRelation = (spec, role) => {
+        if (!isRelationDefinition(spec) && !(spec && typeof spec.name === 'string' && Array.isArray(spec.keys))) {
+            throw new CozoError(
+                ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                `${role} must be a relation definition or { name, keys, values }`,
+                { role }
+            );
+        }
+        SecurityValidator.validateIdentifier(spec.name, { kind: 'relation' });
+        const keys = [...spec.keys];
+        const values = [...(spec.values || [])];
+        return Object.freeze({ name: spec.name, keys, values, fields: [...keys, ...values], spec });
+    };
+
+    /**
+     * Resolve and check the graph layout
+     * @param {Object} options - { nodes, edges, fromField, toField }
+     *   fromField/toField default to the first two edge keys
+     */
+    const resolveGraph = ({ nodes, edges, fromField = null, toField = null }) => {
+        const nodeRel = graphRelation(nodes, 'nodes');
+        const edgeRel = graphRelation(edges, 'edges');
+        if (nodeRel.keys.length !== 1) {
+            throw new CozoError(
+                ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH,
+                `Node relation ${nodeRel.name} needs exactly one key`,
+                { relation: nodeRel.name, keys: nodeRel.keys }
+            );
+        }
+        const from = fromField ?? edgeRel.keys[0];
+        const to = toField ?? edgeRel.keys[1];
+        const missing = [from, to].filter(f => !f || !edgeRel.keys.includes(f));
+        if (missing.length > 0 || from === to) {
+            throw new CozoError(
+                ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH,
+                `Edge relation ${edgeRel.name} must key on two distinct endpoint fields`,
+                { relation: edgeRel.name, fromField: from, toField: to, keys: edgeRel.keys }
+            );
+        }
+        return Object.freeze({ nodes: nodeRel, edges: edgeRel, fromField: from, toField: to });
+    };
+
+    const assertDirection = (direction) => {
+        if (!DIRECTIONS.includes(direction)) {
+            throw new CozoError(
+                ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                `direction must be one of ${DIRECTIONS.join(', ')}`,
+                { direction }
+            );
+        }
+    };
+
+    const assertDepth = (depth, minimum) => {
+        if (!Number.isInteger(depth) || depth < minimum) {
+            throw new CozoError(
+                ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                `depth must be an integer >= ${minimum}`,
+                { depth }
+            );
+        }
+    };
+
+    // ============================================
+    // Pure Query Builders
+    // ============================================
+
+    /**
+     * Edge atom `*edges{from: a, to: b}`
+     */
+    const edgeAtom = (graph, a, b) =>
+        relation(graph.edges.name, { [graph.fromField]: a, [graph.toField]: b });
+
+    /**
+     * Rules expanding $seeds up to $max_depth hops:
+     * step[a, b] follows one edge in the given direction, hops[node, depth] keeps
+     * the nearest depth per node (seeds are depth 0)
+     */
+    const neighborhoodRules = (graph, direction) => {
+        const steps = [];
+        if (direction !== 'in') steps.push([edgeAtom(graph, 'a', 'b')]);
+        if (direction !== 'out') steps.push([edgeAtom(graph, 'b', 'a')]);
+
+        return createQueryBuilder()
+            .rule('step', ['a', 'b'], ...steps)
+            .rule('reach', ['node', 'depth'], [
+                pred('node in $seeds'),
+                unify('depth', '0')
+            ], [
+                ruleAtom('reach', ['mid', 'd0']),
+                pred('d0 < $max_depth'),
+                ruleAtom('step', ['mid', 'node']),
+                unify('depth', 'd0 + 1')
+            ])
+            .rule('hops', ['node', min('depth')], [ruleAtom('reach', ['node', 'depth'])]);
+    };
+
+    /**
+     * Build a query for the node records within `depth` hops of $seeds, nearest first
+     * Result rows: [...node fields, depth]; the seeds themselves are left out
+     * @param {Object} graph - From resolveGraph
+     * @param {Object} [options] - { direction: 'out'|'in'|'both', depth }
+     * @returns {{ query: string, params: Object }}
+     */
+    const buildNeighborsQuery = (graph, options = {}) => {
+        const { direction = 'out', depth = 1 } = options;
+        assertDirection(direction);
+        assertDepth(depth, 1);
+        const [key] = graph.nodes.keys;
+
+        return neighborhoodRules(graph, direction)
+            .select([...graph.nodes.fields, 'hop_depth'], [
+                ruleAtom('hops', [key, 'hop_depth']),
+                pred('hop_depth > 0'),
+                relation(graph.nodes.name, graph.nodes.fields)
+            ])
+            .orderBy(['hop_depth', key])
+            .params({ max_depth: depth })
+            .build();
+    };
+
+    /**
+     * Build the two queries of an induced subgraph around $seeds
+     * Nodes within `depth` hops are kept, with every edge whose endpoints are both kept.
+     * @param {Object} graph - From resolveGraph
+     * @param {Object} [options] - { direction: 'out'|'in'|'both', depth = 0 }
+     * @returns {{ nodes: string, edges: string, params: Object }}
+     */
+    const buildSubgraphQueries = (graph, options = {}) => {
+        const { direction = 'both', depth = 0 } = options;
+        assertDirection(direction);
+        assertDepth(depth, 0);
+        const [key] = graph.nodes.keys;
+        const rules = neighborhoodRules(graph, direction)
+            .rule('kept', [key], [ruleAtom('hops', [key, 'hop_depth'])]);
+
+        const nodes = rules
+            .select(graph.nodes.fields, [ruleAtom('kept', [key]), relation(graph.nodes.name, graph.nodes.fields)])
+            .orderBy([key])
+            .build();
+        const edges = rules
+            .select(graph.edges.fields, [
+                relation(graph.edges.name, graph.edges.fields),
+                ruleAtom('kept', [graph.fromField]),
+                ruleAtom('kept', [graph.toField])
+            ])
+            .orderBy(graph.edges.keys)
+            .build();
+        return { nodes: nodes.query, edges: edges.query, params: { max_depth: depth } };
+    };
+
+    /**
+     * Build a query counting the edges incident to $node
+     * A self-loop counts once.
+     * Result rows: [count], or none when there are no edges
+     * @param {Object} graph - From resolveGraph
+     * @param {Object} [options] - { direction: 'out'|'in'|'both' }
+     * @returns {{ query: string, params: Object }}
+     */
+    const buildDegreeQuery = (graph, options = {}) => {
+        const { direction = 'both' } = options;
+        assertDirection(direction);
+        const { keys } = graph.edges;
+        const bodies = [];
+        if (direction !== 'in') bodies.push([relation(graph.edges.name, keys), pred(`${graph.fromField} == $node`)]);
+        if (direction !== 'out') bodies.push([relation(graph.edges.name, keys), pred(`${graph.toField} == $node`)]);
+
+        return createQueryBuilder()
+            .rule('incident', keys, ...bodies)
+            .select([count(keys[0])], [ruleAtom('incident', keys)])
+            .build();
+    };
+
+    /**
+     * Build a transaction removing $node and every edge touching it
+     * The last statement returns the node removal, so `affected` counts the node.
+     * @param {Object} graph - From resolveGraph
+     * @returns {string} Datalog query
+     */
+    const buildRemoveNodeQuery = (graph) => {
+        const { edges, nodes } = graph;
+        const { query: incident } = createQueryBuilder()
+            .select(edges.keys,
+                [unify(graph.fromField, '$node'), relation(edges.name, edges.keys)],
+                [relation(edges.name, edges.keys), pred(`${graph.toField} == $node`)])
+            .build();
+        const [key] = nodes.keys;
+
+        return buildTransaction([
+            `${incident}\n:rm ${edges.name} {${edges.keys.join(', ')}}`,
+            `?[${key}] <- [[$node]]\n:rm ${nodes.name} {${key}}\n:returning`
+        ]);
+    };
+
+    // ============================================
+    // Graph Repository Factory (Dependency Injection)
+    // ============================================
+
+    /**
+     * Create a repository over a node relation and an edge relation
+     *
+     * @example
+     * const graph = createGraphRepository(executor, {
+     *     nodes: person,
+     *     edges: defineRelation({ name: 'follows', keys: { follower_id: 'Int', following_id: 'Int' }, values: { since: 'Float' } })
+     * });
+     * await graph.addEdge(1, 2, { since: 1700000000 });
+     * await graph.neighbors(1, { depth: 2 });
+     *
+     * @param {Object} executor - Database executor from createExecutor
+     * @param {Object} options - { nodes, edges, fromField, toField, rowMode, mapRow }
+     *   nodes/edges are definitions from defineRelation or { name, keys, values, types, defaults };
+     *   rowMode/mapRow shape node records as in createRepository.
+     * @returns {Object} { nodes, edges, addNode, addEdge, removeNode, neighbors, degree, subgraph }
+     */
+    const createGraphRepository = (executor, options) => {
+        const graph = resolveGraph(options);
+        const { mapRow = null } = options;
+        const { rowMode = mapRow ? 'object' : 'array' } = options;
+        if (!ROW_MODES.includes(rowMode)) {
+            throw new CozoError(
+                ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                `rowMode must be one of ${ROW_MODES.join(', ')}`,
+                { rowMode }
+            );
+        }
+        const repositoryFor = ({ spec }, rowOptions) => (isRelationDefinition(spec)
+            ? createRepository(executor, spec, rowOptions)
+            : createRepository(executor, spec.name, { ...spec, ...rowOptions }));
+        const nodes = repositoryFor(graph.nodes, { rowMode, mapRow });
+        const edges = repositoryFor(graph.edges, {});
+        const shapeNode = (row) => {
+            if (rowMode === 'array') return row;
+            const record = zipRow(graph.nodes.fields, row);
+            return mapRow ? mapRow(record) : record;
+        };
+
+        /**
+         * Insert or replace a node record
+         * @returns {Promise<{ success: boolean, affected: number }>}
+         */
+        const addNode = (record) => nodes.save(record);
+
+        /**
+         * Insert or replace the edge from `from` to `to`
+         * @param {Object} [props] - Edge value columns (and any extra edge keys)
+         * @returns {Promise<{ success: boolean, affected: number }>}
+         */
+        const addEdge = (from, to, props = {}) =>
+            edges.save({ ...props, [graph.fromField]: from, [graph.toField]: to });
+
+        /**
+         * Remove a node and its incident edges atomically
+         * @returns {Promise<{ success: boolean, affected: number }>} affected is 0 if the node was absent
+         */
+        const removeNode = async (id) => {
+            try {
+                return await executor.mutate(buildRemoveNodeQuery(graph), { node: id });
+            } catch (e) {
+                throw parseNativeError(e);
+            }
+        };
+
+        /**
+         * Node records within `depth` hops of `id`, nearest first
+         * @param {Object} [opts] - { direction = 'out', depth = 1 }
+         * @returns {Promise<any[]>}
+         */
+        const neighbors = async (id, opts = {}) => {
+            const { query, params } = buildNeighborsQuery(graph, opts);
+            const rows = await executor.query(query, { ...params, seeds: [id] });
+            return rows.map(row => shapeNode(row.slice(0, -1)));
+        };
+
+        /**
+         * Number of edges touching `id`
+         * @param {Object} [opts] - { direction = 'both' }
+         * @returns {Promise<number>}
+         */
+        const degree = async (id, opts = {}) => {
+            const { query } = buildDegreeQuery(graph, opts);
+            const rows = await executor.query(query, { node: id });
+            return rows.length > 0 ? rows[0][0] : 0;
+        };
+
+        /**
+         * Induced subgraph around seed nodes
+         * @param {any|any[]} ids - Seed node id(s)
+         * @param {Object} [opts] - { depth = 0, direction = 'both' }
+         * @returns {Promise<{ nodes: any[], edges: Object[] }>} edges as objects keyed by edge field
+         */
+        const subgraph = async (ids, opts = {}) => {
+            const queries = buildSubgraphQueries(graph, opts);
+            const params = { ...queries.params, seeds: Array.isArray(ids) ? ids : [ids] };
+            const nodeRows = await executor.query(queries.nodes, params);
+            const edgeRows = await executor.query(queries.edges, params);
+            return {
+                nodes: nodeRows.map(shapeNode),
+                edges: edgeRows.map(row => zipRow(graph.edges.fields, row))
+            };
+        };
+
+        return Object.freeze({ nodes, edges, addNode, addEdge, removeNode, neighbors, degree, subgraph });
+    };
+
+    // ============================================
+    // Exports
+    // ============================================
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            createGraphRepository,
+            resolveGraph,
+            buildNeighborsQuery,
+            buildSubgraphQueries,
+            buildDegreeQuery,
+            buildRemoveNodeQuery,
+            DIRECTIONS
+        };
+    }
+
+    if (typeof window !== 'undefined') {
+        window.CozoGraphRepository = {
+            createGraphRepository,
+            buildNeighborsQuery,
+            buildSubgraphQueries,
+            buildDegreeQuery,
+            buildRemoveNodeQuery
+        };
+    }
+
+})();
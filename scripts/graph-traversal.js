@@ -0,0 +1,254 @@
+/**
+ * CozoDB Graph Traversal Helpers
+ *
+ * Generates the recursive rules from references/datalog-syntax.md
+ * (transitive closure, path enumeration, shortest path) for any edge
+ * relation. Every generated recursion carries a depth bound, so cyclic
+ * graphs cannot make a query run forever (see references/edge-cases.md).
+ *
+ * Features:
+ * - reachable: nodes reachable from a start node
+ * - pathsBetween: simple paths between two nodes
+ * - shortestPath: cheapest path, optionally weighted
+ *
+ * @module graph-traversal
+ */
+
+(() => {
+
+    const { CozoError, ErrorCodes } = typeof module !== 'undefined' && module.exports
+        ? require('./cozo-errors')
+        : window.CozoErrors;
+    const { createQueryBuilder, relation, ruleAtom, pred, unify, min, choice } = typeof module !== 'undefined' && module.exports
+        ? require('./query-builder')
+        : window.CozoQueryBuilder;
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    const DEFAULT_EDGE_FIELDS = Object.freeze({ fromField: 'from', toField: 'to' });
+
+    /**
+     * Depth bound used by shortestPath when none is given
+     */
+    const DEFAULT_SHORTEST_PATH_DEPTH = 16;
+
+    // ============================================
+    // Pure Query Builders
+    // ============================================
+
+    /**
+     * Validate the mandatory depth bound
+     */
+    const assertMaxDepth = (maxDepth) => {
+        if (!Number.isInteger(maxDepth) || maxDepth < 1) {
+            throw new CozoError(
+                ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                'maxDepth is required and must be a positive integer',
+                { maxDepth }
+            );
+        }
+    };
+
+    /**
+     * Edge atom binding the configured from/to fields (plus optional weight)
+     */
+    const edgeAtom = (edgeRel, options, from, to, weight = null) => {
+        const { fromField, toField, weightField } = { ...DEFAULT_EDGE_FIELDS, ...options };
+        const bindings = { [fromField]: from, [toField]: to };
+        if (weight && weightField) bindings[weightField] = weight;
+        return relation(edgeRel, bindings);
+    };
+
+    /**
+     * Build a query for nodes reachable from $start within maxDepth hops
+     * Result rows: [node, depth] ordered by depth (shortest hop count)
+     * @param {string} edgeRel - Edge relation name
+     * @param {Object} options - { maxDepth, fromField, toField }
+     * @returns {{ query: string, params: Object }}
+     */
+    const buildReachableQuery = (edgeRel, options) => {
+        assertMaxDepth(options.maxDepth);
+
+        return createQueryBuilder()
+            .rule('reach', ['node', 'depth'], [
+                edgeAtom(edgeRel, options, '$start', 'node'),
+                unify('depth', '1')
+            ], [
+                ruleAtom('reach', ['mid', 'd0']),
+                pred('d0 < $max_depth'),
+                edgeAtom(edgeRel, options, 'mid', 'node'),
+                unify('depth', 'd0 + 1')
+            ])
+            .rule('hops', ['node', min('depth')], [ruleAtom('reach', ['node', 'depth'])])
+            .select(['node', 'depth'], [ruleAtom('hops', ['node', 'depth']), pred('node != $start')])
+            .orderBy(['depth', 'node'])
+            .params({ max_depth: options.maxDepth })
+            .build();
+    };
+
+    /**
+     * Build a query enumerating simple paths from $start to $target
+     * with at most maxDepth edges. Paths never revisit a node.
+     * Result rows: [path]
+     * @param {string} edgeRel - Edge relation name
+     * @param {Object} options - { maxDepth, fromField, toField }
+     * @returns {{ query: string, params: Object }}
+     */
+    const buildPathsQuery = (edgeRel, options) => {
+        assertMaxDepth(options.maxDepth);
+
+        return createQueryBuilder()
+            .rule('path', ['node', 'p'], [
+                edgeAtom(edgeRel, options, '$start', 'node'),
+                unify('p', '[$start, node]')
+            ], [
+                ruleAtom('path', ['mid', 'p0']),
+                pred('mid != $target'),
+                pred('length(p0) <= $max_depth'),
+                edgeAtom(edgeRel, options, 'mid', 'node'),
+                pred('!is_in(node, p0)'),
+                unify('p', 'append(p0, node)')
+            ])
+            .select(['p'], [ruleAtom('path', ['node', 'p']), pred('node == $target')])
+            .params({ max_depth: options.maxDepth })
+            .build();
+    };
+
+    /**
+     * Build a query for the cheapest path from $start to $target
+     * Without weightField every edge costs 1. Paths use at most maxDepth edges.
+     *
+     * Rather than enumerating paths, it keeps the cheapest cost per (node, hops)
+     * (`dist[node, hops, min(cost)]`, at most nodes x maxDepth rows), then walks
+     * back from the target choosing one predecessor per step to rebuild the path.
+     * Result rows: [cost, path], at most one
+     * @param {string} edgeRel - Edge relation name
+     * @param {Object} [options] - { weightField, maxDepth, fromField, toField }
+     * @returns {{ query: string, params: Object }}
+     */
+    const buildShortestPathQuery = (edgeRel, options = {}) => {
+        const { weightField = null, maxDepth = DEFAULT_SHORTEST_PATH_DEPTH } = options;
+        assertMaxDepth(maxDepth);
+        const opts = { ...options, weightField };
+        const weight = weightField ? 'w' : '1';
+
+        return createQueryBuilder()
+            .rule('dist', ['node', 'hops', min('cost')], [
+                edgeAtom(edgeRel, opts, '$start', 'node', 'w'),
+                unify('hops', '1'),
+                unify('cost', weight)
+            ], [
+                ruleAtom('dist', ['mid', 'h0', 'c0']),
+                pred('h0 < $max_depth'),
+                edgeAtom(edgeRel, opts, 'mid', 'node', 'w'),
+                unify('hops', 'h0 + 1'),
+                unify('cost', `c0 + ${weight}`)
+            ])
+            .rule('best', ['node', min('cost')], [ruleAtom('dist', ['node', 'hops', 'cost'])])
+            .rule('goal', ['node', min('hops')], [
+                ruleAtom('best', ['node', 'cost']),
+                pred('node == $target'),
+                ruleAtom('dist', ['node', 'hops', 'cost'])
+            ])
+            .rule('via', ['node', 'hops', choice('mid')], [
+                ruleAtom('dist', ['node', 'hops', 'cost']),
+                pred('hops > 1'),
+                unify('h0', 'hops - 1'),
+                ruleAtom('dist', ['mid', 'h0', 'c0']),
+                edgeAtom(edgeRel, opts, 'mid', 'node', 'w'),
+                pred(`c0 + ${weight} == cost`)
+            ])
+            .rule('back', ['node', 'hops', 'p'], [
+                ruleAtom('goal', ['node', 'hops']),
+                unify('p', '[node]')
+            ], [
+                ruleAtom('back', ['node0', 'h0', 'p0']),
+                pred('h0 > 1'),
+                ruleAtom('via', ['node0', 'h0', 'node']),
+                unify('hops', 'h0 - 1'),
+                unify('p', 'prepend(p0, node)')
+            ])
+            .select(['cost', 'p'], [
+                ruleAtom('back', ['node', 1, 'p0']),
+                ruleAtom('best', ['$target', 'cost']),
+                unify('p', 'prepend(p0, $start)')
+            ])
+            .params({ max_depth: maxDepth })
+            .build();
+    };
+
+    // ============================================
+    // Traversal Factory (Dependency Injection)
+    // ============================================
+
+    /**
+     * Create graph traversal helpers bound to an executor
+     *
+     * @param {Object} executor - Database executor from createExecutor
+     * @param {Object} [defaults] - Default edge fields { fromField, toField, weightField }
+     * @returns {Object} { reachable, pathsBetween, shortestPath }
+     */
+    const createGraphTraversal = (executor, defaults = {}) => {
+        const withDefaults = (options) => ({ ...DEFAULT_EDGE_FIELDS, ...defaults, ...options });
+
+        /**
+         * Nodes reachable from `from` within maxDepth hops, nearest first
+         * @returns {Promise<any[]>} Node ids
+         */
+        const reachable = async (edgeRel, from, options = {}) => {
+            const { query, params } = buildReachableQuery(edgeRel, withDefaults(options));
+            const rows = await executor.query(query, { ...params, start: from });
+            return rows.map(([node]) => node);
+        };
+
+        /**
+         * All simple paths from `a` to `b` with at most maxDepth edges, shortest first
+         * @returns {Promise<any[][]>} Paths as node id arrays
+         */
+        const pathsBetween = async (edgeRel, a, b, options = {}) => {
+            const { query, params } = buildPathsQuery(edgeRel, withDefaults(options));
+            const rows = await executor.query(query, { ...params, start: a, target: b });
+            return rows.map(([path]) => path).sort((x, y) => x.length - y.length);
+        };
+
+        /**
+         * Cheapest path from `a` to `b`
+         * @returns {Promise<{ path: any[], cost: number }|null>}
+         */
+        const shortestPath = async (edgeRel, a, b, options = {}) => {
+            const { query, params } = buildShortestPathQuery(edgeRel, withDefaults(options));
+            const rows = await executor.query(query, { ...params, start: a, target: b });
+            if (rows.length === 0) return null;
+            const [cost, path] = rows[0];
+            return { path, cost };
+        };
+
+        return Object.freeze({ reachable, pathsBetween, shortestPath });
+    };
+
+    // ============================================
+    // Exports
+    // ============================================
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            createGraphTraversal,
+            buildReachableQuery,
+            buildPathsQuery,
+            buildShortestPathQuery,
+            DEFAULT_SHORTEST_PATH_DEPTH
+        };
+    }
+
+    if (typeof window !== 'undefined') {
+        window.CozoGraphTraversal = {
+            createGraphTraversal,
+            buildReachableQuery,
+            buildPathsQuery,
+            buildShortestPathQuery
+        };
+    }
+
+})();
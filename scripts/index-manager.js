@@ -0,0 +1,275 @@
+/**
+ * CozoDB Index Manager
+ *
+ * Builds and runs the system ops that manage search indexes.
+ *
+ * Features:
+ * - HNSW vector index creation / removal (`::hnsw create|drop`)
+ * - Full-text search index creation / removal (`::fts create|drop`)
+ * - Up-front vector dimension checks
+ *
+ * @module index-manager
+ */
+
+(() => {
+
+    const { CozoError, ErrorCodes, SecurityValidator, parseNativeError } = typeof module !== 'undefined' && module.exports
+        ? require('./cozo-errors')
+        : window.CozoErrors;
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    const VECTOR_DISTANCES = Object.freeze(['L2', 'Cosine', 'IP']);
+    const VECTOR_DTYPES = Object.freeze(['F32', 'F64']);
+
+    const DEFAULT_VECTOR_OPTIONS = Object.freeze({
+        distance: 'L2',
+        dtype: 'F32',
+        m: 50,
+        ef_construction: 20
+    });
+
+    const DEFAULT_TEXT_OPTIONS = Object.freeze({
+        tokenizer: 'Simple',
+        filters: Object.freeze(['Lowercase'])
+    });
+
+    /**
+     * Tokenizers and token filters accepted by `::fts create`
+     */
+    const TEXT_TOKENIZER_PATTERN = /^(Raw|Simple|Whitespace|NGram\(\d+, ?\d+, ?(true|false)\)|Cangjie\('[A-Za-z_]+'\))$/;
+    const TEXT_FILTER_PATTERN = /^(Lowercase|AlphaNumOnly|AsciiFolding|Stemmer\('[A-Za-z_]+'\)|Stopwords\('[A-Za-z_]+'\))$/;
+
+    // ============================================
+    // Validation (Pure Functions)
+    // ============================================
+
+    const assertPositiveInt = (name, value) => {
+        if (!Number.isInteger(value) || value <= 0) {
+            throw new CozoError(
+                ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                `${name} must be a positive integer`,
+                { [name]: value }
+            );
+        }
+    };
+
+    const assertOneOf = (name, value, allowed) => {
+        if (!allowed.includes(value)) {
+            throw new CozoError(
+                ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                `${name} must be one of ${allowed.join(', ')}`,
+                { [name]: value }
+            );
+        }
+    };
+
+    /**
+     * Check a vector against the index dimension before it reaches the engine
+     * @param {number[]} vector - Query or stored vector
+     * @param {number} dim - Expected dimension
+     * @param {string} [field] - Field name for error context
+     * @returns {number[]} The vector
+     * @throws {CozoError} COZO_SCHEMA_TYPE_ERROR on wrong length or non-numeric entries
+     */
+    const validateVector = (vector, dim, field = 'vector') => {
+        if (!Array.isArray(vector) && !ArrayBuffer.isView(vector)) {
+            throw new CozoError(
+                ErrorCodes.COZO_SCHEMA_TYPE_ERROR,
+                `${field} must be an array of numbers`,
+                { field, expected: dim }
+            );
+        }
+        if (vector.length !== dim) {
+            throw new CozoError(
+                ErrorCodes.COZO_SCHEMA_TYPE_ERROR,
+                `${field} has dimension ${vector.length}, index expects ${dim}`,
+                { field, expected: dim, actual: vector.length }
+            );
+        }
+        const badIndex = Array.prototype.findIndex.call(vector, v => typeof v !== 'number' || !Number.isFinite(v));
+        if (badIndex !== -1) {
+            throw new CozoError(
+                ErrorCodes.COZO_SCHEMA_TYPE_ERROR,
+                `${field}[${badIndex}] is not a finite number`,
+                { field, index: badIndex }
+            );
+        }
+        return vector;
+    };
+
+    // ============================================
+    // Pure Query Builders
+    // ============================================
+
+    /**
+     * Build an HNSW index creation op
+     * @param {string} relation - Relation name
+     * @param {Object} options - { field, dim, name, distance, dtype, m, ef_construction }
+     * @returns {string} Datalog system op
+     */
+    const buildCreateVectorIndexQuery = (relation, options) => {
+        const { field, dim, name = `${field}_idx`, distance, dtype, m, ef_construction } = {
+            ...DEFAULT_VECTOR_OPTIONS,
+            ...options
+        };
+        SecurityValidator.validateIdentifier(relation, { kind: 'relation' });
+        SecurityValidator.validateIdentifier(field, { kind: 'field' });
+        SecurityValidator.validateIdentifier(name, { kind: 'index' });
+        assertPositiveInt('dim', dim);
+        assertPositiveInt('m', m);
+        assertPositiveInt('ef_construction', ef_construction);
+        assertOneOf('distance', distance, VECTOR_DISTANCES);
+        assertOneOf('dtype', dtype, VECTOR_DTYPES);
+
+        return `::hnsw create ${relation}:${name} {
+                dim: ${dim},
+                m: ${m},
+                dtype: ${dtype},
+                fields: [${field}],
+                distance: ${distance},
+                ef_construction: ${ef_construction}
+            }`;
+    };
+
+    /**
+     * Build an HNSW index drop op
+     * @param {string} relation - Relation name
+     * @param {string} name - Index name
+     * @returns {string} Datalog system op
+     */
+    const buildDropVectorIndexQuery = (relation, name) => {
+        SecurityValidator.validateIdentifier(relation, { kind: 'relation' });
+        SecurityValidator.validateIdentifier(name, { kind: 'index' });
+        return `::hnsw drop ${relation}:${name}`;
+    };
+
+    /**
+     * Build a full-text search index creation op
+     * @param {string} relation - Relation name
+     * @param {Object} options - { field, name, tokenizer, filters }
+     *   tokenizer: Raw | Simple | Whitespace | NGram(min, max, prefixOnly) | Cangjie('default')
+     *   filters: Lowercase | AlphaNumOnly | AsciiFolding | Stemmer('english') | Stopwords('en')
+     * @returns {string} Datalog system op
+     */
+    const buildCreateTextIndexQuery = (relation, options) => {
+        const { field, name = `${field}_fts`, tokenizer, filters } = { ...DEFAULT_TEXT_OPTIONS, ...options };
+        SecurityValidator.validateIdentifier(relation, { kind: 'relation' });
+        SecurityValidator.validateIdentifier(field, { kind: 'field' });
+        SecurityValidator.validateIdentifier(name, { kind: 'index' });
+        if (!TEXT_TOKENIZER_PATTERN.test(tokenizer)) {
+            throw new CozoError(ErrorCodes.COZO_QUERY_INVALID_PARAMS, `Unsupported tokenizer: ${tokenizer}`, { tokenizer });
+        }
+        const badFilter = filters.find(f => !TEXT_FILTER_PATTERN.test(f));
+        if (badFilter !== undefined) {
+            throw new CozoError(ErrorCodes.COZO_QUERY_INVALID_PARAMS, `Unsupported token filter: ${badFilter}`, { filter: badFilter });
+        }
+
+        return `::fts create ${relation}:${name} {
+                extractor: ${field},
+                extract_filter: !is_null(${field}),
+                tokenizer: ${tokenizer},
+                filters: [${filters.join(', ')}]
+            }`;
+    };
+
+    /**
+     * Build a full-text search index drop op
+     * @param {string} relation - Relation name
+     * @param {string} name - Index name
+     * @returns {string} Datalog system op
+     */
+    const buildDropTextIndexQuery = (relation, name) => {
+        SecurityValidator.validateIdentifier(relation, { kind: 'relation' });
+        SecurityValidator.validateIdentifier(name, { kind: 'index' });
+        return `::fts drop ${relation}:${name}`;
+    };
+
+    // ============================================
+    // Index Manager (Dependency Injection)
+    // ============================================
+
+    /**
+     * Create an index manager bound to an executor
+     *
+     * @param {Object} executor - Database executor from createExecutor
+     * @returns {Object} { createVectorIndex, dropVectorIndex, createTextIndex, dropTextIndex }
+     */
+    const createIndexManager = (executor) => {
+        const runOp = async (query) => {
+            try {
+                return await executor.mutate(query);
+            } catch (e) {
+                throw parseNativeError(e);
+            }
+        };
+
+        /**
+         * Create an HNSW vector index
+         * @returns {Promise<{ name: string, field: string, dim: number }>} Index descriptor
+         *   (pass as `vectorIndex` to createRepository)
+         */
+        const createVectorIndex = async (relation, options) => {
+            await runOp(buildCreateVectorIndexQuery(relation, options));
+            const { field, dim, name = `${field}_idx` } = options;
+            return Object.freeze({ name, field, dim });
+        };
+
+        /**
+         * Drop an HNSW vector index
+         */
+        const dropVectorIndex = async (relation, name) =>
+            runOp(buildDropVectorIndexQuery(relation, name));
+
+        /**
+         * Create a full-text search index on a String field
+         * @returns {Promise<{ name: string, field: string }>} Index descriptor
+         *   (pass in `textIndexes` to createRepository)
+         */
+        const createTextIndex = async (relation, options) => {
+            await runOp(buildCreateTextIndexQuery(relation, options));
+            const { field, name = `${field}_fts` } = options;
+            return Object.freeze({ name, field });
+        };
+
+        /**
+         * Drop a full-text search index
+         */
+        const dropTextIndex = async (relation, name) =>
+            runOp(buildDropTextIndexQuery(relation, name));
+
+        return Object.freeze({ createVectorIndex, dropVectorIndex, createTextIndex, dropTextIndex });
+    };
+
+    // ============================================
+    // Exports
+    // ============================================
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            createIndexManager,
+            buildCreateVectorIndexQuery,
+            buildDropVectorIndexQuery,
+            buildCreateTextIndexQuery,
+            buildDropTextIndexQuery,
+            validateVector,
+            VECTOR_DISTANCES,
+            DEFAULT_VECTOR_OPTIONS,
+            DEFAULT_TEXT_OPTIONS
+        };
+    }
+
+    if (typeof window !== 'undefined') {
+        window.CozoIndexManager = {
+            createIndexManager,
+            buildCreateVectorIndexQuery,
+            buildDropVectorIndexQuery,
+            buildCreateTextIndexQuery,
+            buildDropTextIndexQuery,
+            validateVector
+        };
+    }
+
+})();
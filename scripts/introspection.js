@@ -0,0 +1,356 @@
+/**
+ * CozoDB Schema Introspection
+ *
+ * Reads `::relations`, `::columns` and `::indices` into structured relation
+ * descriptors, and diffs them against a desired schema. System op output is
+ * zipped by header name, never read by position.
+ *
+ * Features:
+ * - Key/value split, types, nullability and default flags per column
+ * - Normal, HNSW and FTS indexes per relation
+ * - Schema diff producing a list of changes
+ * - Conversion to createRepository / buildCreateQuery schemas
+ *
+ * @module introspection
+ */
+
+(() => {
+
+    const { CozoError, ErrorCodes, SecurityValidator, parseNativeError } = typeof module !== 'undefined' && module.exports
+        ? require('./cozo-errors')
+        : window.CozoErrors;
+    const { splitColumnType } = typeof module !== 'undefined' && module.exports
+        ? require('./column-types')
+        : window.CozoColumnTypes;
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Headers CozoDB returns for each system op, used when a backend
+     * gives rows without headers
+     */
+    const SYSTEM_OP_HEADERS = Object.freeze({
+        relations: Object.freeze(['name', 'arity', 'access_level', 'n_keys', 'n_non_keys']),
+        columns: Object.freeze(['column', 'is_key', 'index', 'type', 'has_default']),
+        indices: Object.freeze(['name', 'type', 'relations', 'config'])
+    });
+
+    // ============================================
+    // Pure Parsers
+    // ============================================
+
+    /**
+     * Zip a system op result into objects keyed by header
+     * @param {{ headers?: string[], rows?: any[][] }} result - Raw result from executor.run
+     * @param {string[]} fallback - Headers to assume when none are returned
+     * @returns {Object[]}
+     */
+    const zipRows = (result, fallback) => {
+        const headers = result.headers || fallback;
+        return (result.rows || []).map(row =>
+            Object.fromEntries(headers.map((h, i) => [h, row[i]])));
+    };
+
+    /**
+     * Split a CozoDB column type into base type and nullability (see splitColumnType)
+     * @param {string} type - e.g. 'String?', '<F32;128>', '[Int]?'
+     * @returns {{ type: string, nullable: boolean }}
+     */
+    const parseColumnType = (type) => {
+        const { baseType, nullable } = splitColumnType(type);
+        return { type: baseType, nullable };
+    };
+
+    /**
+     * Parse `::columns` output
+     * @returns {{ keys: Object[], values: Object[] }} Column descriptors in declaration order
+     */
+    const parseColumns = (result) => {
+        const columns = zipRows(result, SYSTEM_OP_HEADERS.columns)
+            .sort((a, b) => a.index - b.index)
+            .map(c => Object.freeze({
+                name: c.column,
+                ...parseColumnType(c.type),
+                hasDefault: Boolean(c.has_default),
+                isKey: Boolean(c.is_key)
+            }));
+        return {
+            keys: Object.freeze(columns.filter(c => c.isKey)),
+            values: Object.freeze(columns.filter(c => !c.isKey))
+        };
+    };
+
+    /**
+     * Index configs may refer to columns by position; map them to names
+     */
+    const columnName = (columns, ref) =>
+        (typeof ref === 'number' ? columns[ref]?.name ?? ref : ref);
+
+    const parseConfig = (config) => {
+        if (typeof config !== 'string') return config || {};
+        try {
+            return JSON.parse(config);
+        } catch {
+            return { raw: config };
+        }
+    };
+
+    /**
+     * Parse `::indices` output
+     * Normal index fields include the primary key columns CozoDB appends to every index.
+     * @param {Object} result - Raw `::indices` result
+     * @param {Object[]} columns - All column descriptors in declaration order
+     * @returns {{ indices: Object[], vectorIndexes: Object[], textIndexes: Object[] }}
+     */
+    const parseIndices = (result, columns) => {
+        const parsed = zipRows(result, SYSTEM_OP_HEADERS.indices).map(row => ({
+            name: row.name,
+            type: row.type,
+            config: parseConfig(row.config)
+        }));
+        const names = (refs = []) => refs.map(ref => columnName(columns, ref));
+
+        return {
+            indices: Object.freeze(parsed
+                .filter(ix => ix.type === 'normal')
+                .map(ix => Object.freeze({ name: ix.name, fields: names(ix.config.indices ?? ix.config.fields) }))),
+            vectorIndexes: Object.freeze(parsed
+                .filter(ix => ix.type === 'hnsw')
+                .map(({ name, config }) => {
+                    const fields = names(config.vec_fields ?? config.fields);
+                    return Object.freeze({
+                        name,
+                        field: fields[0],
+                        fields,
+                        dim: config.vec_dim ?? config.dim,
+                        dtype: config.dtype,
+                        distance: config.distance,
+                        m: config.m_neighbours ?? config.m,
+                        efConstruction: config.ef_construction
+                    });
+                })),
+            textIndexes: Object.freeze(parsed
+                .filter(ix => ix.type === 'fts')
+                .map(({ name, config }) => Object.freeze({
+                    name,
+                    field: config.extractor,
+                    tokenizer: config.tokenizer,
+                    filters: config.tokenizer_filters ?? config.filters ?? []
+                })))
+        };
+    };
+
+    // ============================================
+    // Introspection (Dependency Injection)
+    // ============================================
+
+    /**
+     * Describe the relations of a database
+     *
+     * @param {Object} executor - Database executor from createExecutor
+     * @param {Object} [options] - { relations: names to describe (default all),
+     *   includeHidden: include `_`-prefixed relations }
+     * @returns {Promise<Object>} Frozen map of relation name to descriptor:
+     *   { name, keys, values, indices, vectorIndexes, textIndexes }
+     */
+    const introspect = async (executor, options = {}) => {
+        const { relations: only = null, includeHidden = false } = options;
+
+        const runOp = async (op) => {
+            let result;
+            try {
+                result = await executor.run(op);
+            } catch (e) {
+                throw parseNativeError(e);
+            }
+            if (result && result.ok === false) throw parseNativeError(result);
+            return result;
+        };
+
+        const listed = zipRows(await runOp('::relations'), SYSTEM_OP_HEADERS.relations)
+            .map(r => r.name)
+            .filter(name => includeHidden || !name.startsWith('_'));
+        if (only) {
+            const missing = only.filter(name => !listed.includes(name));
+            if (missing.length > 0) {
+                throw new CozoError(
+                    ErrorCodes.COZO_SCHEMA_RELATION_NOT_FOUND,
+                    `Relation(s) not found: ${missing.join(', ')}`,
+                    { relations: missing }
+                );
+            }
+        }
+
+        const descriptors = {};
+        for (const name of only || listed) {
+            SecurityValidator.validateIdentifier(name, { kind: 'relation', allowReserved: true });
+            const { keys, values } = parseColumns(await runOp(`::columns ${name}`));
+            const indexes = parseIndices(await runOp(`::indices ${name}`), [...keys, ...values]);
+            descriptors[name] = Object.freeze({ name, keys, values, ...indexes });
+        }
+        return Object.freeze(descriptors);
+    };
+
+    // ============================================
+    // Conversions (Pure Functions)
+    // ============================================
+
+    const renderType = (column) => `${column.type}${column.nullable ? '?' : ''}`;
+
+    /**
+     * Descriptor to createRepository schema
+     * @param {Object} descriptor - Relation descriptor from introspect
+     * @returns {{ keys: string[], values: string[], vectorIndex: Object|null, textIndexes: Object[] }}
+     */
+    const toRepositorySchema = (descriptor) => {
+        const [vector] = descriptor.vectorIndexes;
+        return Object.freeze({
+            keys: descriptor.keys.map(c => c.name),
+            values: descriptor.values.map(c => c.name),
+            vectorIndex: vector ? { name: vector.name, field: vector.field, dim: vector.dim } : null,
+            textIndexes: descriptor.textIndexes.map(({ name, field }) => ({ name, field }))
+        });
+    };
+
+    /**
+     * Descriptor to buildCreateQuery schema
+     * `::columns` only reports whether a default exists, not its expression,
+     * so defaults are not carried over.
+     * @param {Object} descriptor - Relation descriptor from introspect
+     * @returns {{ keyFields: Object[], valueFields: Object[] }}
+     */
+    const toCreateSchema = (descriptor) => Object.freeze({
+        keyFields: descriptor.keys.map(c => ({ name: c.name, type: renderType(c) })),
+        valueFields: descriptor.values.map(c => ({ name: c.name, type: renderType(c) }))
+    });
+
+    // ============================================
+    // Schema Diff (Pure Functions)
+    // ============================================
+
+    /**
+     * Normalise a desired column ({ name, type } with `?` for nullable)
+     */
+    const desiredColumn = (field) => ({ name: field.name, ...parseColumnType(field.type) });
+
+    const sameType = (a, b) => a.type.replace(/\s+/g, '') === b.type.replace(/\s+/g, '') && a.nullable === b.nullable;
+
+    /**
+     * Diff actual descriptors against a desired schema
+     *
+     * Desired format per relation: { keyFields, valueFields, indices? } where fields are
+     * `{ name, type }` as for buildCreateQuery and `indices` is `[{ name, type: 'normal'|'hnsw'|'fts' }]`
+     * (type defaults to 'normal'). Indexes are only compared when `indices` is given.
+     * Definitions from defineRelation have exactly this shape.
+     *
+     * @param {Object} actual - Result of introspect
+     * @param {Object|Object[]} desired - Map of relation name to desired schema, or a list of definitions
+     * @param {Object} [options] - { dropExtra: also report relations that are not desired }
+     * @returns {ReadonlyArray<Object>} Changes:
+     *   createRelation, dropRelation, changeKeys, addColumn, dropColumn, changeColumn, createIndex, dropIndex
+     */
+    const diffSchema = (actual, desired, options = {}) => {
+        const { dropExtra = false } = options;
+        const wanted = Array.isArray(desired) ? Object.fromEntries(desired.map(d => [d.name, d])) : desired;
+        const changes = [];
+
+        for (const [relation, want] of Object.entries(wanted)) {
+            const have = actual[relation];
+            if (!have) {
+                changes.push({ op: 'createRelation', relation, schema: want });
+                continue;
+            }
+
+            const wantKeys = (want.keyFields || []).map(desiredColumn);
+            const keysMatch = wantKeys.length === have.keys.length
+                && wantKeys.every((c, i) => c.name === have.keys[i].name && sameType(c, have.keys[i]));
+            if (!keysMatch) {
+                changes.push({
+                    op: 'changeKeys',
+                    relation,
+                    from: have.keys.map(c => c.name),
+                    to: wantKeys.map(c => c.name)
+                });
+            }
+
+            const wantValues = (want.valueFields || []).map(desiredColumn);
+            for (const [i, column] of wantValues.entries()) {
+                const current = have.values.find(c => c.name === column.name);
+                if (!current) {
+                    // `field` is the desired definition as given, ready for migrations.addColumn
+                    changes.push({ op: 'addColumn', relation, column: column.name, field: want.valueFields[i] });
+                } else if (!sameType(column, current)) {
+                    changes.push({
+                        op: 'changeColumn',
+                        relation,
+                        column: column.name,
+                        from: { type: current.type, nullable: current.nullable },
+                        to: { type: column.type, nullable: column.nullable }
+                    });
+                }
+            }
+            for (const current of have.values) {
+                if (!wantValues.some(c => c.name === current.name)) {
+                    changes.push({ op: 'dropColumn', relation, column: current.name });
+                }
+            }
+
+            if (want.indices) {
+                const wantIndices = want.indices.map(({ name, type = 'normal' }) => ({ name, type }));
+                const existing = [
+                    ...have.indices.map(ix => ({ name: ix.name, type: 'normal' })),
+                    ...have.vectorIndexes.map(ix => ({ name: ix.name, type: 'hnsw' })),
+                    ...have.textIndexes.map(ix => ({ name: ix.name, type: 'fts' }))
+                ];
+                want.indices.forEach((index, i) => {
+                    const { name, type } = wantIndices[i];
+                    if (!existing.some(ix => ix.name === name && ix.type === type)) {
+                        changes.push({ op: 'createIndex', relation, index });
+                    }
+                });
+                for (const index of existing) {
+                    if (!wantIndices.some(ix => ix.name === index.name && ix.type === index.type)) {
+                        changes.push({ op: 'dropIndex', relation, index });
+                    }
+                }
+            }
+        }
+
+        if (dropExtra) {
+            for (const relation of Object.keys(actual)) {
+                if (!(relation in wanted)) changes.push({ op: 'dropRelation', relation });
+            }
+        }
+
+        return Object.freeze(changes.map(c => Object.freeze(c)));
+    };
+
+    // ============================================
+    // Exports
+    // ============================================
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            introspect,
+            diffSchema,
+            toRepositorySchema,
+            toCreateSchema,
+            parseColumns,
+            parseIndices,
+            parseColumnType,
+            SYSTEM_OP_HEADERS
+        };
+    }
+
+    if (typeof window !== 'undefined') {
+        window.CozoIntrospection = {
+            introspect,
+            diffSchema,
+            toRepositorySchema,
+            toCreateSchema
+        };
+    }
+
+})();
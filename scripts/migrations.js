@@ -0,0 +1,462 @@
+/**
+ * CozoDB Schema Migrations
+ *
+ * Versioned, ordered schema changes with a persistent log of what has
+ * been applied. Replaces "run :create and ignore every error" setup code,
+ * where a real failure looks the same as "already exists".
+ *
+ * Features:
+ * - Ordered up/down migrations run through an executor
+ * - Applied versions recorded in a log relation (default `schema_migrations`)
+ * - Dry-run plans and status reports
+ * - Checksum drift detection for already-applied migrations
+ * - Step helpers: create/drop relation, add/drop column (copy + swap)
+ *
+ * The log relation cannot be named `_migrations`: CozoDB treats stored
+ * relations starting with `_` as ephemeral, so the log would vanish after
+ * each transaction.
+ *
+ * @module migrations
+ */
+
+(() => {
+
+    const { CozoError, ErrorCodes, SecurityValidator, parseNativeError } = typeof module !== 'undefined' && module.exports
+        ? require('./cozo-errors')
+        : window.CozoErrors;
+    const {
+        isRelationDefinition,
+        buildCreateQuery,
+        buildPutQuery,
+        buildDeleteQuery,
+        buildSelectQuery,
+        ROWS_PARAM
+    } = typeof module !== 'undefined' && module.exports
+        ? require('./cozo-wrapper')
+        : window.CozoWrapper;
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    const DEFAULT_MIGRATIONS_RELATION = 'schema_migrations';
+
+    const LOG_KEYS = Object.freeze(['version']);
+    const LOG_VALUES = Object.freeze(['name', 'checksum', 'applied_at']);
+
+    const LOG_SCHEMA = Object.freeze({
+        keyFields: [{ name: 'version', type: 'Int' }],
+        valueFields: [
+            { name: 'name', type: 'String' },
+            { name: 'checksum', type: 'String' },
+            { name: 'applied_at', type: 'Float' }
+        ]
+    });
+
+    // ============================================
+    // Pure Functions
+    // ============================================
+
+    /**
+     * FNV-1a 32-bit hash as 8 hex chars
+     * Not cryptographic; only detects edits to migration text.
+     * @param {string} text
+     * @returns {string}
+     */
+    const checksum = (text) => {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    };
+
+    /**
+     * Flatten migration steps to the Datalog scripts they run
+     * @param {string|Array<string|{ queries: string[] }>} steps
+     * @returns {string[]}
+     */
+    const toQueries = (steps) => {
+        const list = Array.isArray(steps) ? steps : [steps];
+        const queries = list.flatMap(step => (typeof step === 'string' ? [step] : step?.queries ?? [null]));
+        if (queries.some(q => typeof q !== 'string' || q.trim() === '')) {
+            throw new CozoError(
+                ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                'Migration steps must be Datalog strings or step objects'
+            );
+        }
+        return queries;
+    };
+
+    /**
+     * Validate and normalise a migration list
+     * Versions must be unique positive integers; the result is sorted by version.
+     * Only `up` is checksummed, so fixing a `down` does not count as drift.
+     * @param {Array<{ version: number, name: string, up: any, down?: any }>} migrations
+     * @returns {ReadonlyArray<Object>} Frozen migrations with `checksum`, `upQueries`, `downQueries`
+     */
+    const normalizeMigrations = (migrations) => {
+        if (!Array.isArray(migrations)) {
+            throw new CozoError(ErrorCodes.COZO_QUERY_INVALID_PARAMS, 'Migrations must be an array');
+        }
+        const seen = new Set();
+        const normalized = migrations.map(({ version, name, up, down }) => {
+            if (!Number.isInteger(version) || version <= 0) {
+                throw new CozoError(ErrorCodes.COZO_QUERY_INVALID_PARAMS, 'Migration version must be a positive integer', { version });
+            }
+            if (seen.has(version)) {
+                throw new CozoError(ErrorCodes.COZO_QUERY_INVALID_PARAMS, `Duplicate migration version: ${version}`, { version });
+            }
+            seen.add(version);
+            if (typeof name !== 'string' || name === '') {
+                throw new CozoError(ErrorCodes.COZO_QUERY_INVALID_PARAMS, 'Migration name is required', { version });
+            }
+            const upQueries = Object.freeze(toQueries(up));
+            const downQueries = Object.freeze(down === undefined ? [] : toQueries(down));
+            return Object.freeze({ version, name, upQueries, downQueries, checksum: checksum(upQueries.join('\n;\n')) });
+        });
+        return Object.freeze(normalized.sort((a, b) => a.version - b.version));
+    };
+
+    /**
+     * Compare the applied log with the current definitions
+     * @param {ReadonlyArray<Object>} plan - Normalised migrations
+     * @param {Array<{ version, name, checksum }>} applied - Log entries
+     * @returns {Array<{ version, name, expected, actual }>} `actual` is null when the definition is gone
+     */
+    const findDrift = (plan, applied) => applied
+        .map(entry => {
+            const def = plan.find(m => m.version === entry.version);
+            const actual = def ? def.checksum : null;
+            return actual === entry.checksum ? null : { version: entry.version, name: entry.name, expected: entry.checksum, actual };
+        })
+        .filter(Boolean);
+
+    // ============================================
+    // Step Helpers (Pure Functions)
+    // ============================================
+
+    const fieldNames = (fields = []) => fields.map(f => f.name);
+
+    /**
+     * Copy every row of `from` into `to` (same keys; missing value columns take their defaults)
+     */
+    const buildCopyQuery = (from, to, keys, values) => {
+        const all = [...keys, ...values];
+        const spec = values.length > 0 ? `${keys.join(', ')} => ${values.join(', ')}` : keys.join(', ');
+        return `?[${all.join(', ')}] := *${from}{${all.join(', ')}}
+            :put ${to} {${spec}}`;
+    };
+
+    /**
+     * Rebuild a relation with a new schema: create a temp relation, copy, remove, rename.
+     * CozoDB cannot alter columns in place, and system ops cannot be chained in
+     * one transaction, so a failure part-way leaves `${relation}_migrating` behind.
+     */
+    const rebuildRelation = (relation, fromSchema, toSchema, description) => {
+        const keys = fieldNames(toSchema.keyFields);
+        const shared = fieldNames(toSchema.valueFields).filter(f => fieldNames(fromSchema.valueFields).includes(f));
+        const tmp = `${relation}_migrating`;
+        return Object.freeze({
+            description,
+            queries: Object.freeze([
+                buildCreateQuery(tmp, toSchema),
+                buildCopyQuery(relation, tmp, keys, shared),
+                `::remove ${relation}`,
+                `::rename ${tmp} -> ${relation}`
+            ])
+        });
+    };
+
+    /**
+     * Step: create a relation
+     * A definition from defineRelation also creates its declared indexes.
+     * @param {string|Object} name - Relation name, or a definition from defineRelation
+     * @param {Object} [schema] - { keyFields, valueFields } as for buildCreateQuery
+     */
+    const createRelation = (name, schema) => {
+        if (isRelationDefinition(name)) {
+            return Object.freeze({
+                description: `create ${name.name}`,
+                queries: Object.freeze([name.createQuery, ...name.indexQueries])
+            });
+        }
+        return Object.freeze({
+            description: `create ${name}`,
+            queries: Object.freeze([buildCreateQuery(name, schema)])
+        });
+    };
+
+    /**
+     * Step: drop a relation and its data
+     * @param {string} name - Relation name
+     */
+    const dropRelation = (name) => {
+        SecurityValidator.validateIdentifier(name, { kind: 'relation' });
+        return Object.freeze({ description: `drop ${name}`, queries: Object.freeze([`::remove ${name}`]) });
+    };
+
+    /**
+     * Step: add a value column to an existing relation (copy + swap)
+     * Existing rows need a value for the new column, so it must have a
+     * default or a nullable type (`String?`).
+     * @param {string} relation - Relation name
+     * @param {Object} schema - Current { keyFields, valueFields }, or a definition from defineRelation
+     * @param {Object} column - { name, type, default }
+     */
+    const addColumn = (relation, schema, column) => {
+        const { keyFields = [], valueFields = [] } = schema;
+        if ([...keyFields, ...valueFields].some(f => f.name === column.name)) {
+            throw new CozoError(
+                ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH,
+                `Column ${column.name} already exists on ${relation}`,
+                { relation, column: column.name }
+            );
+        }
+        if (column.default === undefined && !String(column.type).endsWith('?')) {
+            throw new CozoError(
+                ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                `New column ${column.name} needs a default or a nullable type`,
+                { relation, column: column.name }
+            );
+        }
+        return rebuildRelation(
+            relation,
+            { keyFields, valueFields },
+            { keyFields, valueFields: [...valueFields, column] },
+            `add ${relation}.${column.name}`
+        );
+    };
+
+    /**
+     * Step: drop a value column (copy + swap); the column's data is lost
+     * @param {string} relation - Relation name
+     * @param {Object} schema - Current { keyFields, valueFields } (or definition), including the column
+     * @param {string} columnName - Value column to drop
+     */
+    const dropColumn = (relation, schema, columnName) => {
+        const { keyFields = [], valueFields = [] } = schema;
+        if (!fieldNames(valueFields).includes(columnName)) {
+            throw new CozoError(
+                ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH,
+                `${columnName} is not a value column of ${relation}`,
+                { relation, column: columnName }
+            );
+        }
+        return rebuildRelation(
+            relation,
+            { keyFields, valueFields },
+            { keyFields, valueFields: valueFields.filter(f => f.name !== columnName) },
+            `drop ${relation}.${columnName}`
+        );
+    };
+
+    // ============================================
+    // Migrator (Dependency Injection)
+    // ============================================
+
+    /**
+     * Check whether a stored relation exists
+     * @param {Object} executor - Database executor from createExecutor
+     * @param {string} name - Relation name
+     * @returns {Promise<boolean>}
+     */
+    const relationExists = async (executor, name) => {
+        const rows = await executor.query('::relations');
+        return rows.some(([relation]) => relation === name);
+    };
+
+    /**
+     * Create a migration runner
+     *
+     * @param {Object} executor - Database executor from createExecutor
+     * @param {Array} migrations - [{ version, name, up, down }]
+     * @param {Object} [options] - { relation: log relation name, now: () => seconds }
+     * @returns {Object} { status, migrate, baseline, rollback }
+     */
+    const createMigrator = (executor, migrations, options = {}) => {
+        const { relation = DEFAULT_MIGRATIONS_RELATION, now = () => Date.now() / 1000 } = options;
+        SecurityValidator.validateIdentifier(relation, { kind: 'relation' });
+        const plan = normalizeMigrations(migrations);
+
+        const logExists = () => relationExists(executor, relation);
+
+        const readApplied = async () => {
+            if (!(await logExists())) return [];
+            const { query } = buildSelectQuery(relation, [...LOG_KEYS, ...LOG_VALUES], { orderBy: 'version' });
+            const rows = await executor.query(query);
+            return rows.map(([version, name, sum, appliedAt]) => ({ version, name, checksum: sum, appliedAt }));
+        };
+
+        const assertNoDrift = (applied) => {
+            const drifted = findDrift(plan, applied);
+            if (drifted.length > 0) {
+                const list = drifted.map(d => `${d.version} (${d.name})`).join(', ');
+                throw new CozoError(
+                    ErrorCodes.COZO_SCHEMA_MIGRATION_DRIFT,
+                    `Applied migration(s) changed or removed: ${list}`,
+                    { drifted }
+                );
+            }
+        };
+
+        const runQueries = async (migration, direction, queries) => {
+            for (const [step, query] of queries.entries()) {
+                try {
+                    await executor.mutate(query);
+                } catch (e) {
+                    const parsed = parseNativeError(e);
+                    throw new CozoError(parsed.code, parsed.detail, {
+                        version: migration.version,
+                        name: migration.name,
+                        direction,
+                        step
+                    });
+                }
+            }
+        };
+
+        const pendingUpTo = (applied, to) => {
+            const done = new Set(applied.map(a => a.version));
+            return plan.filter(m => !done.has(m.version) && m.version <= to);
+        };
+
+        const record = async (migration) => {
+            await executor.mutate(
+                buildPutQuery(relation, LOG_KEYS, LOG_VALUES, ROWS_PARAM),
+                { rows: [[migration.version, migration.name, migration.checksum, now()]] }
+            );
+        };
+
+        const toStep = (migration, direction) => Object.freeze({
+            version: migration.version,
+            name: migration.name,
+            direction,
+            queries: direction === 'up' ? migration.upQueries : migration.downQueries
+        });
+
+        /**
+         * Applied, pending and drifted migrations
+         * @returns {Promise<{ current: number|null, applied: Object[], pending: Object[], drifted: Object[] }>}
+         */
+        const status = async () => {
+            const applied = await readApplied();
+            const done = new Set(applied.map(a => a.version));
+            return Object.freeze({
+                current: applied.length > 0 ? applied[applied.length - 1].version : null,
+                applied,
+                pending: plan.filter(m => !done.has(m.version)).map(({ version, name }) => ({ version, name })),
+                drifted: findDrift(plan, applied)
+            });
+        };
+
+        /**
+         * Apply pending migrations in version order
+         * @param {Object} [opts] - { to: highest version to apply, dryRun }
+         * @returns {Promise<{ dryRun: boolean, steps: Object[] }>} Planned or applied steps
+         * @throws {CozoError} COZO_SCHEMA_MIGRATION_DRIFT before running anything if an applied migration changed
+         */
+        const migrate = async ({ to = Infinity, dryRun = false } = {}) => {
+            const applied = await readApplied();
+            assertNoDrift(applied);
+            const pending = pendingUpTo(applied, to);
+            const steps = pending.map(m => toStep(m, 'up'));
+            if (dryRun || pending.length === 0) return Object.freeze({ dryRun, steps });
+
+            if (!(await logExists())) await executor.mutate(buildCreateQuery(relation, LOG_SCHEMA));
+            for (const migration of pending) {
+                await runQueries(migration, 'up', migration.upQueries);
+                await record(migration);
+            }
+            return Object.freeze({ dryRun, steps });
+        };
+
+        /**
+         * Record migrations up to `version` as applied without running them
+         * For databases whose schema was created before they used migrations.
+         * Logged versions are skipped, so this is safe to call on every start.
+         * @param {number} version - Highest version the existing schema already matches
+         * @param {Object} [opts] - { dryRun }
+         * @returns {Promise<{ dryRun: boolean, steps: Object[] }>} Planned or recorded steps
+         */
+        const baseline = async (version, { dryRun = false } = {}) => {
+            if (!plan.some(m => m.version === version)) {
+                throw new CozoError(ErrorCodes.COZO_QUERY_INVALID_PARAMS, `Unknown migration version: ${version}`, { version });
+            }
+            const applied = await readApplied();
+            assertNoDrift(applied);
+            const pending = pendingUpTo(applied, version);
+            const steps = pending.map(m => toStep(m, 'up'));
+            if (dryRun || pending.length === 0) return Object.freeze({ dryRun, steps });
+
+            if (!(await logExists())) await executor.mutate(buildCreateQuery(relation, LOG_SCHEMA));
+            for (const migration of pending) await record(migration);
+            return Object.freeze({ dryRun, steps });
+        };
+
+        /**
+         * Revert applied migrations, newest first
+         * @param {Object} [opts] - { steps: how many to revert (default 1), to: revert everything above this version, dryRun }
+         * @returns {Promise<{ dryRun: boolean, steps: Object[] }>} Planned or reverted steps
+         */
+        const rollback = async ({ steps: count = 1, to, dryRun = false } = {}) => {
+            if (to === undefined && (!Number.isInteger(count) || count <= 0)) {
+                throw new CozoError(ErrorCodes.COZO_QUERY_INVALID_PARAMS, 'steps must be a positive integer', { steps: count });
+            }
+            const applied = await readApplied();
+            assertNoDrift(applied);
+            const targets = (to === undefined ? applied.slice(-count) : applied.filter(a => a.version > to))
+                .reverse()
+                .map(entry => plan.find(m => m.version === entry.version));
+            const missingDown = targets.find(m => m.downQueries.length === 0);
+            if (missingDown) {
+                throw new CozoError(
+                    ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                    `Migration ${missingDown.version} (${missingDown.name}) has no down steps`,
+                    { version: missingDown.version }
+                );
+            }
+            const planned = targets.map(m => toStep(m, 'down'));
+            if (dryRun) return Object.freeze({ dryRun, steps: planned });
+
+            for (const migration of targets) {
+                await runQueries(migration, 'down', migration.downQueries);
+                await executor.mutate(buildDeleteQuery(relation, LOG_KEYS, ROWS_PARAM), { rows: [[migration.version]] });
+            }
+            return Object.freeze({ dryRun, steps: planned });
+        };
+
+        return Object.freeze({ status, migrate, baseline, rollback });
+    };
+
+    // ============================================
+    // Exports
+    // ============================================
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            createMigrator,
+            relationExists,
+            createRelation,
+            dropRelation,
+            addColumn,
+            dropColumn,
+            normalizeMigrations,
+            checksum,
+            DEFAULT_MIGRATIONS_RELATION
+        };
+    }
+
+    if (typeof window !== 'undefined') {
+        window.CozoMigrations = {
+            createMigrator,
+            relationExists,
+            createRelation,
+            dropRelation,
+            addColumn,
+            dropColumn
+        };
+    }
+
+})();
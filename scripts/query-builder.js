@@ -0,0 +1,588 @@
+/**
+ * CozoDB Query Builder
+ *
+ * Composable, immutable builder for Datalog programs.
+ * Compiles to the same query strings the executor already accepts.
+ *
+ * Features:
+ * - Inline rules with disjunction via multiple rule bodies
+ * - Relation atoms with field bindings (joins on shared variables)
+ * - Rule applications (including recursive rules)
+ * - Index search atoms (HNSW vector / FTS)
+ * - Negation and raw predicates
+ * - Aggregations in rule heads
+ * - :order / :limit / :offset options
+ * - Object-based where-clause DSL compiled to parameterized predicates
+ *
+ * @module query-builder
+ */
+
+(() => {
+
+    const { CozoError, ErrorCodes, SecurityValidator } = typeof module !== 'undefined' && module.exports
+        ? require('./cozo-errors')
+        : window.CozoErrors;
+
+    // ============================================
+    // Types (JSDoc for documentation)
+    // ============================================
+
+    /**
+     * @typedef {Object} Atom
+     * @property {'relation'|'rule'|'search'|'not'|'pred'|'unify'} kind
+     */
+
+    /**
+     * @typedef {Object} CompiledQuery
+     * @property {string} query - Datalog query
+     * @property {Object} params - Query parameters
+     */
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    const ENTRY_RULE = '?';
+
+    const AGGREGATIONS = Object.freeze(['count', 'sum', 'mean', 'min', 'max', 'collect', 'unique', 'choice']);
+
+    /**
+     * Shape of a rendered aggregation head term, e.g. `count(name)`
+     */
+    const AGGREGATION_TERM = /^([a-z_]+)\(([^()]*)\)$/;
+
+    // ============================================
+    // Atoms (Pure Constructors)
+    // ============================================
+
+    /**
+     * Validate a binding term: variable, `$param` or number
+     */
+    const validateTerm = (term) => {
+        if (typeof term === 'number' && Number.isFinite(term)) return term;
+        const name = typeof term === 'string' && term.startsWith('$') ? term.slice(1) : term;
+        SecurityValidator.validateIdentifier(name, { kind: 'variable' });
+        return term;
+    };
+
+    /**
+     * Stored relation atom: `*rel{field: var, ...}`
+     * @param {string} name - Relation name
+     * @param {string[]|Object} bindings - Field names (bound to same-named variables)
+     *   or { field: term } map (term is a variable, `$param` or number)
+     * @param {Object} [options] - { asOf: term read as the time-travel timestamp, `*rel{... @ $as_of}` }
+     * @returns {Atom}
+     */
+    const relation = (name, bindings = [], options = {}) => {
+        SecurityValidator.validateIdentifier(name, { kind: 'relation' });
+        const pairs = Array.isArray(bindings)
+            ? bindings.map(f => [f, f])
+            : Object.entries(bindings);
+        pairs.forEach(([field, term]) => {
+            SecurityValidator.validateIdentifier(field, { kind: 'field' });
+            validateTerm(term);
+        });
+        const { asOf = null } = options;
+        if (asOf !== null) validateTerm(asOf);
+
+        return Object.freeze({ kind: 'relation', name, bindings: Object.freeze(pairs), asOf });
+    };
+
+    /**
+     * Rule application: `rule[a, b]`
+     * @param {string} name - Rule name
+     * @param {string[]} args - Argument terms
+     * @returns {Atom}
+     */
+    const ruleAtom = (name, args = []) => {
+        SecurityValidator.validateIdentifier(name, { kind: 'rule' });
+        args.forEach(validateTerm);
+
+        return Object.freeze({ kind: 'rule', name, args: Object.freeze([...args]) });
+    };
+
+    /**
+     * Index search atom: `~rel:index{field, ... | option: value, ...}`
+     * Used for HNSW vector and FTS indexes.
+     * @param {string} name - Relation name
+     * @param {string} index - Index name
+     * @param {string[]|Object} bindings - Same as relation()
+     * @param {Object} options - Search options, e.g. { query: 'q', k: 10, bind_distance: 'dist' };
+     *   values are numbers or Datalog expressions
+     * @returns {Atom}
+     */
+    const search = (name, index, bindings, options = {}) => {
+        SecurityValidator.validateIdentifier(index, { kind: 'index' });
+        const { bindings: pairs } = relation(name, bindings);
+        Object.keys(options).forEach(key => SecurityValidator.validateIdentifier(key, { kind: 'option' }));
+
+        return Object.freeze({
+            kind: 'search',
+            name,
+            index,
+            bindings: pairs,
+            options: Object.freeze(Object.entries(options))
+        });
+    };
+
+    /**
+     * Negated atom: `not *rel{...}` / `not rule[...]`
+     * @param {Atom} atom - Relation or rule atom to negate
+     * @returns {Atom}
+     */
+    const not = (atom) => Object.freeze({ kind: 'not', atom });
+
+    /**
+     * Raw predicate expression, e.g. `age > $min_age`
+     * @param {string} expr - Datalog expression
+     * @returns {Atom}
+     */
+    const pred = (expr) => Object.freeze({ kind: 'pred', expr });
+
+    /**
+     * Unification: `var = expr`
+     * @param {string} variable - Variable to bind
+     * @param {string} expr - Datalog expression
+     * @returns {Atom}
+     */
+    const unify = (variable, expr) => Object.freeze({ kind: 'unify', variable, expr });
+
+    // ============================================
+    // Aggregations (Head Expressions)
+    // ============================================
+
+    /**
+     * Build aggregation head expression, e.g. `count(name)`
+     * @param {string} fn - One of AGGREGATIONS
+     * @param {string} variable - Aggregated variable
+     * @returns {string}
+     */
+    const aggregate = (fn, variable) => {
+        if (!AGGREGATIONS.includes(fn)) {
+            throw new CozoError(
+                ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                `Unknown aggregation: ${fn}`,
+                { aggregation: fn }
+            );
+        }
+        SecurityValidator.validateIdentifier(variable, { kind: 'variable' });
+        return `${fn}(${variable})`;
+    };
+
+    const count = (v) => aggregate('count', v);
+    const sum = (v) => aggregate('sum', v);
+    const mean = (v) => aggregate('mean', v);
+    const min = (v) => aggregate('min', v);
+    const max = (v) => aggregate('max', v);
+    const collect = (v) => aggregate('collect', v);
+    const unique = (v) => aggregate('unique', v);
+    const choice = (v) => aggregate('choice', v);
+
+    /**
+     * Validate a rule head term: a variable, or an aggregation as built by aggregate()
+     */
+    const validateHeadTerm = (term) => {
+        const match = typeof term === 'string' ? AGGREGATION_TERM.exec(term) : null;
+        if (match) return aggregate(match[1], match[2]);
+        return SecurityValidator.validateIdentifier(term, { kind: 'variable' });
+    };
+
+    /**
+     * Normalise :order terms: 'name', '-age, name' or ['-age', 'name']
+     * Each term is a field name, optionally prefixed with `-` for descending order.
+     * @param {string|string[]} order
+     * @returns {string[]} Validated terms
+     */
+    const orderTerms = (order) => {
+        const terms = Array.isArray(order) ? order : String(order).split(',');
+        return terms.map(term => {
+            const text = String(term).trim();
+            SecurityValidator.validateIdentifier(text.replace(/^-/, ''), { kind: 'field' });
+            return text;
+        });
+    };
+
+    // ============================================
+    // Rendering (Pure Functions)
+    // ============================================
+
+    const renderTerm = (term) => String(term);
+
+    const renderBinding = ([field, term]) =>
+        field === term ? field : `${field}: ${renderTerm(term)}`;
+
+    /**
+     * Render a body atom to Datalog
+     * @param {Atom} atom
+     * @returns {string}
+     */
+    const renderAtom = (atom) => {
+        switch (atom.kind) {
+            case 'relation':
+                return `*${atom.name}{${atom.bindings.map(renderBinding).join(', ')}${atom.asOf !== null ? ` @ ${renderTerm(atom.asOf)}` : ''}}`;
+            case 'rule':
+                return `${atom.name}[${atom.args.map(renderTerm).join(', ')}]`;
+            case 'search': {
+                const options = atom.options.map(([k, v]) => `${k}: ${renderTerm(v)}`).join(', ');
+                return `~${atom.name}:${atom.index}{${atom.bindings.map(renderBinding).join(', ')} | ${options}}`;
+            }
+            case 'not':
+                return `not ${renderAtom(atom.atom)}`;
+            case 'pred':
+                return atom.expr;
+            case 'unify':
+                return `${atom.variable} = ${atom.expr}`;
+            default:
+                throw new CozoError(
+                    ErrorCodes.COZO_QUERY_SYNTAX_ERROR,
+                    `Unknown atom kind: ${atom?.kind}`
+                );
+        }
+    };
+
+    /**
+     * Render one rule definition line per body (disjunction)
+     */
+    const renderRule = ({ name, head, bodies }) => bodies.map(body =>
+        `${name}[${head.join(', ')}] := ${body.map(renderAtom).join(', ')}`
+    );
+
+    /**
+     * Render query options
+     */
+    const renderOptions = ({ order, limit, offset }) => {
+        const lines = [];
+        if (order.length > 0) lines.push(`:order ${order.join(', ')}`);
+        if (limit !== null) lines.push(`:limit ${limit}`);
+        if (offset !== null) lines.push(`:offset ${offset}`);
+        return lines;
+    };
+
+    const assertNonNegativeInt = (name, value) => {
+        if (!Number.isInteger(value) || value < 0) {
+            throw new CozoError(
+                ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                `${name} must be a non-negative integer`,
+                { [name]: value }
+            );
+        }
+    };
+
+    // ============================================
+    // Where-Clause DSL (Pure Compiler)
+    // ============================================
+
+    const COMPARISON_OPS = Object.freeze({
+        eq: '==', ne: '!=', gt: '>', gte: '>=', lt: '<', lte: '<='
+    });
+
+    const STRING_PREDICATES = Object.freeze({
+        startsWith: 'starts_with',
+        endsWith: 'ends_with',
+        contains: 'str_includes',
+        regex: 'regex_matches'
+    });
+
+    /**
+     * Functions applied to the field before the nested condition,
+     * e.g. { name: { lowercase: { eq: 'alice' } } }
+     */
+    const STRING_TRANSFORMS = Object.freeze(['length', 'lowercase', 'uppercase']);
+
+    const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+    const joinWith = (op, empty) => (parts) => {
+        if (parts.length === 0) return empty;
+        if (parts.length === 1) return parts[0];
+        return `(${parts.join(` ${op} `)})`;
+    };
+
+    const joinAnd = joinWith('&&', 'true');
+    const joinOr = joinWith('||', 'false');
+
+    const invalidWhere = (detail, context) =>
+        new CozoError(ErrorCodes.COZO_QUERY_INVALID_PARAMS, detail, context);
+
+    /**
+     * @typedef {Object} CompiledWhere
+     * @property {string} expr - Boolean Datalog expression ('' when where is empty)
+     * @property {Object} params - Bound literal values
+     * @property {string[]} fields - Referenced field names
+     */
+
+    /**
+     * Compile a where object into a parameterized Datalog predicate
+     * Every literal is bound as a $param; field names are validated identifiers.
+     * Compilation is deterministic, so the same input yields the same params.
+     *
+     * @example
+     * compileWhere({ age: { gt: 25 }, department: { in: ['Eng', 'Ops'] }, name: { startsWith: 'A' } })
+     * // expr: '(age > $w0 && is_in(department, $w1) && starts_with(name, $w2))'
+     *
+     * Field conditions: literal (equality), null (is_null), or an object of
+     * eq, ne, gt, gte, lt, lte, in, notIn, isNull, startsWith, endsWith,
+     * contains, regex, length/lowercase/uppercase (nested condition).
+     * Logical keys: and: [...], or: [...], not: {...}.
+     *
+     * @param {Object} where - Where object
+     * @param {Object} [options] - { paramPrefix: 'w' }
+     * @returns {CompiledWhere}
+     */
+    const compileWhere = (where, options = {}) => {
+        const { paramPrefix = 'w' } = options;
+        const params = {};
+        const fields = new Set();
+
+        const bind = (value) => {
+            const name = `${paramPrefix}${Object.keys(params).length}`;
+            params[name] = value;
+            return `$${name}`;
+        };
+
+        const compileOp = (term, op, value) => {
+            if (op in COMPARISON_OPS) {
+                return `${term} ${COMPARISON_OPS[op]} ${bind(value)}`;
+            }
+            if (op === 'in' || op === 'notIn') {
+                if (!Array.isArray(value)) {
+                    throw invalidWhere(`Operator ${op} expects an array`, { operator: op });
+                }
+                const expr = `is_in(${term}, ${bind(value)})`;
+                return op === 'in' ? expr : `!${expr}`;
+            }
+            if (op === 'isNull') {
+                return value ? `is_null(${term})` : `!is_null(${term})`;
+            }
+            if (op in STRING_PREDICATES) {
+                return `${STRING_PREDICATES[op]}(${term}, ${bind(value)})`;
+            }
+            if (STRING_TRANSFORMS.includes(op)) {
+                return compileCondition(`${op}(${term})`, value);
+            }
+            throw invalidWhere(`Unknown where operator: ${op}`, { operator: op });
+        };
+
+        const compileCondition = (term, cond) => {
+            if (cond === null) return `is_null(${term})`;
+            if (!isPlainObject(cond)) return `${term} == ${bind(cond)}`;
+            return joinAnd(Object.entries(cond).map(([op, value]) => compileOp(term, op, value)));
+        };
+
+        const compileList = (key, value) => {
+            if (!Array.isArray(value)) {
+                throw invalidWhere(`${key} expects an array of conditions`, { operator: key });
+            }
+            return value.map(compileNode);
+        };
+
+        const compileNode = (node) => {
+            if (!isPlainObject(node)) {
+                throw invalidWhere('Where condition must be an object');
+            }
+            return joinAnd(Object.entries(node).map(([key, value]) => {
+                if (key === 'and') return joinAnd(compileList(key, value));
+                if (key === 'or') return joinOr(compileList(key, value));
+                if (key === 'not') return `!(${compileNode(value)})`;
+
+                SecurityValidator.validateIdentifier(key, { kind: 'field' });
+                fields.add(key);
+                return compileCondition(key, value);
+            }));
+        };
+
+        const expr = where && Object.keys(where).length > 0 ? compileNode(where) : '';
+
+        return Object.freeze({
+            expr,
+            params: Object.freeze(params),
+            fields: Object.freeze([...fields])
+        });
+    };
+
+    // ============================================
+    // Query Builder (Immutable)
+    // ============================================
+
+    const EMPTY_STATE = Object.freeze({
+        rules: Object.freeze([]),
+        order: Object.freeze([]),
+        limit: null,
+        offset: null,
+        params: Object.freeze({})
+    });
+
+    /**
+     * Add bodies to a rule, appending to an existing rule with the same name
+     */
+    const addRule = (rules, name, head, bodies) => {
+        if (bodies.length === 0 || bodies.some(b => !Array.isArray(b) || b.length === 0)) {
+            throw new CozoError(
+                ErrorCodes.COZO_QUERY_SYNTAX_ERROR,
+                `Rule ${name} needs at least one non-empty body`,
+                { rule: name }
+            );
+        }
+        head.forEach(validateHeadTerm);
+
+        const existing = rules.find(r => r.name === name);
+        if (!existing) {
+            return Object.freeze([...rules, Object.freeze({ name, head: [...head], bodies })]);
+        }
+
+        if (existing.head.length !== head.length) {
+            throw new CozoError(
+                ErrorCodes.COZO_QUERY_SYNTAX_ERROR,
+                `Rule ${name} redefined with different arity`,
+                { rule: name, expected: existing.head.length, actual: head.length }
+            );
+        }
+
+        return Object.freeze(rules.map(r => r === existing
+            ? Object.freeze({ ...r, bodies: [...r.bodies, ...bodies] })
+            : r));
+    };
+
+    /**
+     * Create an immutable query builder
+     * Every method returns a new builder; the original is never modified.
+     *
+     * @example
+     * createQueryBuilder()
+     *     .rule('reachable', ['to'], [relation('edges', { from: '$start', to: 'to' })])
+     *     .rule('reachable', ['to'], [ruleAtom('reachable', ['mid']), relation('edges', { from: 'mid', to: 'to' })])
+     *     .select(['id'], [ruleAtom('reachable', ['id'])])
+     *     .params({ start: 1 })
+     *     .build();
+     *
+     * @param {Object} [state] - Internal state (used when chaining)
+     * @returns {Object} Builder
+     */
+    const createQueryBuilder = (state = EMPTY_STATE) => {
+        const next = (changes) => createQueryBuilder(Object.freeze({ ...state, ...changes }));
+
+        /**
+         * Define an inline rule. Each extra body adds a disjunct.
+         * @param {string} name - Rule name
+         * @param {string[]} head - Head terms (may include aggregations)
+         * @param {...Atom[]} bodies - One array of atoms per disjunct
+         */
+        const rule = (name, head, ...bodies) => {
+            if (name !== ENTRY_RULE) {
+                SecurityValidator.validateIdentifier(name, { kind: 'rule' });
+            }
+            return next({ rules: addRule(state.rules, name, head, bodies) });
+        };
+
+        /**
+         * Define the entry rule `?[...]`
+         */
+        const select = (head, ...bodies) => rule(ENTRY_RULE, head, ...bodies);
+
+        /**
+         * Set :order (e.g. 'name' or ['-age', 'name'])
+         */
+        const orderBy = (order) =>
+            next({ order: Object.freeze(orderTerms(order)) });
+
+        const limit = (n) => {
+            assertNonNegativeInt('limit', n);
+            return next({ limit: n });
+        };
+
+        const offset = (n) => {
+            assertNonNegativeInt('offset', n);
+            return next({ offset: n });
+        };
+
+        /**
+         * Merge query parameters (referenced as $name in atoms)
+         */
+        const params = (values) =>
+            next({ params: Object.freeze({ ...state.params, ...values }) });
+
+        /**
+         * Compile to query string and params
+         * @returns {CompiledQuery}
+         */
+        const build = () => {
+            const entry = state.rules.find(r => r.name === ENTRY_RULE);
+            if (!entry) {
+                throw new CozoError(
+                    ErrorCodes.COZO_QUERY_SYNTAX_ERROR,
+                    'Query has no entry rule (call select())'
+                );
+            }
+
+            const lines = [
+                ...state.rules.filter(r => r !== entry).flatMap(renderRule),
+                ...renderRule(entry),
+                ...renderOptions(state)
+            ];
+
+            return Object.freeze({ query: lines.join('\n'), params: state.params });
+        };
+
+        const toString = () => build().query;
+
+        return Object.freeze({ rule, select, orderBy, limit, offset, params, build, toString });
+    };
+
+    // ============================================
+    // Exports
+    // ============================================
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            // Builder
+            createQueryBuilder,
+            // Atoms
+            relation,
+            ruleAtom,
+            search,
+            not,
+            pred,
+            unify,
+            renderAtom,
+            // Where DSL
+            compileWhere,
+            // Aggregations
+            aggregate,
+            count,
+            sum,
+            mean,
+            min,
+            max,
+            collect,
+            unique,
+            choice,
+            orderTerms,
+            AGGREGATIONS
+        };
+    }
+
+    if (typeof window !== 'undefined') {
+        window.CozoQueryBuilder = {
+            createQueryBuilder,
+            relation,
+            ruleAtom,
+            search,
+            not,
+            pred,
+            unify,
+            renderAtom,
+            compileWhere,
+            aggregate,
+            count,
+            sum,
+            mean,
+            min,
+            max,
+            collect,
+            unique,
+            choice,
+            orderTerms,
+            AGGREGATIONS
+        };
+    }
+
+})();
@@ -0,0 +1,272 @@
+/**
+ * CozoDB Relation Definitions
+ *
+ * Describe a relation once and derive everything else from it: the
+ * `:create` DDL, index ops, a repository, and a runtime validator.
+ * `buildCreateQuery`, `createRepository` and `migrations.createRelation`
+ * accept the definition directly.
+ *
+ * Features:
+ * - Concise field maps (`{ id: 'Int' }`) or field lists (`[{ name, type }]`)
+ * - Normal, HNSW and FTS index declarations
+ * - Record validation: missing, unknown, mistyped and custom-checked fields
+ *
+ * @module schema
+ */
+
+(() => {
+
+    const { CozoError, ErrorCodes, SecurityValidator } = typeof module !== 'undefined' && module.exports
+        ? require('./cozo-errors')
+        : window.CozoErrors;
+    const { buildCreateQuery, createRepository } = typeof module !== 'undefined' && module.exports
+        ? require('./cozo-wrapper')
+        : window.CozoWrapper;
+    const { buildCreateVectorIndexQuery, buildCreateTextIndexQuery } = typeof module !== 'undefined' && module.exports
+        ? require('./index-manager')
+        : window.CozoIndexManager;
+    const { coerceValue } = typeof module !== 'undefined' && module.exports
+        ? require('./column-types')
+        : window.CozoColumnTypes;
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Error codes reported by definition.validate (per field)
+     */
+    const ValidationCodes = Object.freeze({
+        MISSING_FIELD: 'MISSING_FIELD',
+        UNKNOWN_FIELD: 'UNKNOWN_FIELD',
+        INVALID_TYPE: 'INVALID_TYPE',
+        INVALID_VALUE: 'INVALID_VALUE'
+    });
+
+    const INDEX_TYPES = Object.freeze(['normal', 'hnsw', 'fts']);
+
+    // ============================================
+    // Type Checks (Pure Functions)
+    // ============================================
+
+    /**
+     * Check a JS value against a CozoDB column type
+     * True when a repository write would accept the value, possibly after
+     * coercion (e.g. '42' for Int). Nullability (`?`) is handled by the caller.
+     * @param {string} type - Base column type, e.g. 'Int', '<F32;3>'
+     * @param {any} value
+     * @returns {boolean}
+     */
+    const matchesType = (type, value) => coerceValue(type, value).ok;
+
+    // ============================================
+    // Normalisation (Pure Functions)
+    // ============================================
+
+    /**
+     * Normalise a field map or list to buildCreateQuery field objects
+     * @param {Object|Object[]} fields - `{ name: 'Type' | { type, default, check } }` or `[{ name, type, ... }]`
+     * @param {string} part - 'keys' or 'values', for error detail
+     * @returns {Object[]} Frozen `{ name, type, baseType, nullable, default?, check? }`
+     */
+    const normalizeFields = (fields = {}, part) => {
+        const list = Array.isArray(fields)
+            ? fields
+            : Object.entries(fields).map(([name, spec]) =>
+                (typeof spec === 'string' ? { name, type: spec } : { ...spec, name }));
+
+        return list.map(field => {
+            SecurityValidator.validateIdentifier(field.name, { kind: 'field' });
+            if (typeof field.type !== 'string' || field.type.trim() === '') {
+                throw new CozoError(
+                    ErrorCodes.COZO_SCHEMA_TYPE_ERROR,
+                    `Field ${field.name} in ${part} needs a type`,
+                    { field: field.name }
+                );
+            }
+            const type = field.type.trim();
+            const nullable = type.endsWith('?');
+            return Object.freeze({
+                ...field,
+                type,
+                baseType: nullable ? type.slice(0, -1) : type,
+                nullable
+            });
+        });
+    };
+
+    /**
+     * Normalise index declarations, checking their fields exist
+     * Vector dimension defaults to the field's `<F32;N>` type.
+     */
+    const normalizeIndices = (indices = [], fields) => {
+        const byName = new Map(fields.map(f => [f.name, f]));
+        const assertField = (name) => {
+            if (!byName.has(name)) {
+                throw new CozoError(
+                    ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH,
+                    `Index refers to unknown field: ${name}`,
+                    { field: name }
+                );
+            }
+        };
+
+        return indices.map(({ type = 'normal', ...spec }) => {
+            if (!INDEX_TYPES.includes(type)) {
+                throw new CozoError(
+                    ErrorCodes.COZO_QUERY_INVALID_PARAMS,
+                    `Index type must be one of ${INDEX_TYPES.join(', ')}`,
+                    { type }
+                );
+            }
+            if (type === 'normal') {
+                if (!Array.isArray(spec.fields) || spec.fields.length === 0) {
+                    throw new CozoError(ErrorCodes.COZO_QUERY_INVALID_PARAMS, 'Normal index needs fields', { index: spec.name });
+                }
+                spec.fields.forEach(assertField);
+                SecurityValidator.validateIdentifier(spec.name, { kind: 'index' });
+                return Object.freeze({ type, name: spec.name, fields: Object.freeze([...spec.fields]) });
+            }
+            assertField(spec.field);
+            if (type === 'hnsw') {
+                const match = byName.get(spec.field).baseType.match(/^<F(?:32|64);\s*(\d+)>$/);
+                const dim = spec.dim ?? (match ? Number(match[1]) : undefined);
+                return Object.freeze({ ...spec, type, name: spec.name ?? `${spec.field}_idx`, dim });
+            }
+            return Object.freeze({ ...spec, type, name: spec.name ?? `${spec.field}_fts` });
+        });
+    };
+
+    /**
+     * Render an index declaration to its system op
+     */
+    const buildIndexQuery = (relation, index) => {
+        switch (index.type) {
+            case 'hnsw':
+                return buildCreateVectorIndexQuery(relation, index);
+            case 'fts':
+                return buildCreateTextIndexQuery(relation, index);
+            default:
+                SecurityValidator.validateIdentifiers(index.fields, { kind: 'field' });
+                return `::index create ${relation}:${index.name} {${index.fields.join(', ')}}`;
+        }
+    };
+
+    // ============================================
+    // Definition Factory
+    // ============================================
+
+    /**
+     * Define a relation once
+     *
+     * @example
+     * const users = defineRelation({
+     *     name: 'users',
+     *     keys: { id: 'Int' },
+     *     values: {
+     *         username: { type: 'String', check: v => v.length >= 3 },
+     *         email: 'String',
+     *         created_at: { type: 'Float', default: 'now()' }
+     *     },
+     *     indices: [{ name: 'by_email', fields: ['email'] }]
+     * });
+     * await executor.mutate(users.createQuery);
+     * const repo = users.repository(executor, { rowMode: 'object' }); // = createRepository(executor, users, {...})
+     * users.validate({ id: 1, username: 'al' }); // { valid: false, errors: [...] }
+     *
+     * @param {Object} spec - { name, keys, values, indices }
+     * @returns {Object} Frozen definition: { name, keyFields, valueFields, keys, values, indices,
+     *   createQuery, indexQueries, validate, repository }
+     */
+    const defineRelation = (spec) => {
+        const { name } = spec;
+        SecurityValidator.validateIdentifier(name, { kind: 'relation' });
+        const keyFields = Object.freeze(normalizeFields(spec.keys, 'keys'));
+        const valueFields = Object.freeze(normalizeFields(spec.values, 'values'));
+        const fields = [...keyFields, ...valueFields];
+
+        if (keyFields.length === 0) {
+            throw new CozoError(ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH, `Relation ${name} needs at least one key`, { relation: name });
+        }
+        const duplicate = fields.find((f, i) => fields.findIndex(g => g.name === f.name) !== i);
+        if (duplicate) {
+            throw new CozoError(
+                ErrorCodes.COZO_SCHEMA_COLUMN_MISMATCH,
+                `Duplicate field in ${name}: ${duplicate.name}`,
+                { relation: name, field: duplicate.name }
+            );
+        }
+        const indices = Object.freeze(normalizeIndices(spec.indices, fields));
+
+        /**
+         * Validate a record against the definition
+         * Keys are always required; value fields are required unless they have a
+         * default or a nullable type. With `partial`, only present fields are checked.
+         * @param {Object} record
+         * @param {Object} [options] - { partial }
+         * @returns {{ valid: boolean, errors: Array<{ field: string, code: string }> }}
+         */
+        const validate = (record, options = {}) => {
+            const { partial = false } = options;
+            const errors = [];
+
+            Object.keys(record).forEach(field => {
+                if (!fields.some(f => f.name === field)) errors.push({ field, code: ValidationCodes.UNKNOWN_FIELD });
+            });
+
+            for (const field of fields) {
+                const value = record[field.name];
+                if (value === undefined) {
+                    const required = keyFields.includes(field) || (field.default === undefined && !field.nullable);
+                    if (!partial && required) errors.push({ field: field.name, code: ValidationCodes.MISSING_FIELD });
+                    continue;
+                }
+                if (value === null) {
+                    if (!field.nullable) errors.push({ field: field.name, code: ValidationCodes.INVALID_TYPE });
+                    continue;
+                }
+                if (!matchesType(field.baseType, value)) {
+                    errors.push({ field: field.name, code: ValidationCodes.INVALID_TYPE });
+                } else if (field.check && !field.check(value, record)) {
+                    errors.push({ field: field.name, code: ValidationCodes.INVALID_VALUE });
+                }
+            }
+
+            return Object.freeze({ valid: errors.length === 0, errors: Object.freeze(errors) });
+        };
+
+        const definition = {
+            name,
+            keyFields,
+            valueFields,
+            keys: Object.freeze(keyFields.map(f => f.name)),
+            values: Object.freeze(valueFields.map(f => f.name)),
+            indices,
+            validate,
+            repository: (executor, options) => createRepository(executor, definition, options)
+        };
+        definition.createQuery = buildCreateQuery(definition);
+        definition.indexQueries = Object.freeze(indices.map(ix => buildIndexQuery(name, ix)));
+        return Object.freeze(definition);
+    };
+
+    // ============================================
+    // Exports
+    // ============================================
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            defineRelation,
+            matchesType,
+            ValidationCodes
+        };
+    }
+
+    if (typeof window !== 'undefined') {
+        window.CozoSchema = {
+            defineRelation,
+            ValidationCodes
+        };
+    }
+
+})();